@@ -3,32 +3,53 @@
  *
  * Obsługuje wszystkie akcje użytkownika z kalkulatora:
  *  - dodawanie/usuwanie sojuszników i wrogów,
- *  - zapisywanie/wczytywanie zestawów,
- *  - otwieranie dialoga encountera,
- *  - zmianę trudności i ilości.
+ *  - zestawy drużyny (wczytanie, zapis jako, zmiana nazwy, usunięcie, domyślny),
+ *  - otwieranie dialoga encountera, panelu uzupełniania budżetu, generatora
+ *    okna przyznawania XP, biblioteki szablonów starć i okna „Dodaj z tekstu”,
+ *  - dodawanie aktorów z tokenów sceny (zaznaczonych lub wg nastawienia),
+ *  - odczyt uczestników walki i synchronizację z walką na żywo,
+ *  - odświeżanie wpisów z aktualnych danych aktorów,
+ *  - eksport / import aktywnej zakładki do pliku JSON,
+ *  - kartę czatu z podsumowaniem starcia,
+ *  - zmianę trudności, widoku trudności i ilości,
+ *  - cofnij / ponów (historia stanu),
+ *  - zakładki starć (dodanie, przełączenie, duplikat, zamknięcie).
  */
 
 import {
   MODULE_ID
 } from "./config/constants.js";
 import { EncounterCreateDialog } from "./dialogs/encounter-create-dialog.js";
+import { BudgetFillerDialog } from "./dialogs/budget-filler-dialog.js";
+import { EncounterGeneratorDialog } from "./dialogs/encounter-generator-dialog.js";
+import { XpAwardDialog } from "./dialogs/xp-award-dialog.js";
+import { EncounterLibraryDialog } from "./dialogs/encounter-library-dialog.js";
+import { TextListImportDialog } from "./dialogs/text-list-import-dialog.js";
 import {
   removeEntryFromList,
   getPcUuids,
   getAllyUuids,
-  getSavedAllies,
-  getSavedTeam,
-  setSavedAllies,
-  setSavedTeam,
-  getActorXp,
-  addSingleActorToSide,
-  updateEnemyQuantity
+  getPartyPresets,
+  setPartyPresets,
+  findPartyPreset,
+  upsertPartyPreset,
+  renamePartyPreset,
+  deletePartyPreset,
+  setDefaultPartyPreset,
+  updateEnemyQuantity,
+  getTargetDifficulty,
+  setDifficultyDisplayMode,
+  createWorkspace,
+  duplicateWorkspace,
+  getNextWorkspaceName,
+  validateCalculatorFile
 } from "./services/index.js";
 
 /**
  * Czyszczenie listy sojuszników.
  */
 export function onActionClearAllies(app, _event, _target) {
+  app.recordHistory({ allies: true });
   app.allies = [];
   app.render();
 }
@@ -37,6 +58,7 @@ export function onActionClearAllies(app, _event, _target) {
  * Czyszczenie listy wrogów.
  */
 export function onActionClearEnemies(app, _event, _target) {
+  app.recordHistory();
   app.enemies = [];
   app.render();
 }
@@ -46,11 +68,12 @@ export function onActionClearEnemies(app, _event, _target) {
  */
 export function onActionRemoveEntry(app, _event, target) {
   const side = target.dataset.side;
-  const uuid = target.dataset.uuid;
-  if (!uuid || !side) return;
+  const ref = target.dataset.key || target.dataset.uuid;
+  if (!ref || !side) return;
 
+  app.recordHistory({ allies: side !== "enemies" });
   const list = side === "enemies" ? app.enemies : app.allies;
-  removeEntryFromList(list, uuid);
+  removeEntryFromList(list, ref);
 
   app.render();
 }
@@ -66,19 +89,310 @@ export function onActionOpenEncounterDialog(app, _event, _target) {
     return;
   }
 
+  // Nazwa nadana zakładce staje się domyślną nazwą encountera.
+  const workspace = app.activeWorkspace;
   const dialog = new EncounterCreateDialog({
-    calculator: app
+    calculator: app,
+    name: workspace?.customName ? workspace.name : undefined
   });
   dialog.render({ force: true });
 }
 
+/**
+ * Otwieranie panelu „Uzupełnij budżet” (podpowiedzi z kompendiów).
+ * Okno jest jedno na kalkulator – ponowne kliknięcie tylko je przywraca.
+ */
+export function onActionOpenBudgetFiller(app, _event, _target) {
+  if (!app.budgetFillerDialog) {
+    app.budgetFillerDialog = new BudgetFillerDialog({
+      calculator: app
+    });
+  }
+  app.budgetFillerDialog.render({ force: true });
+}
+
+/**
+ * Otwieranie generatora starć (losowanie wrogów pod budżet).
+ */
+export function onActionOpenGenerator(app, _event, _target) {
+  if (!app.generatorDialog) {
+    app.generatorDialog = new EncounterGeneratorDialog({
+      calculator: app
+    });
+  }
+  app.generatorDialog.render({ force: true });
+}
+
+/**
+ * Otwieranie okna przyznawania XP drużynie.
+ */
+export function onActionOpenXpAward(app, _event, _target) {
+  if (!app.xpAwardDialog) {
+    app.xpAwardDialog = new XpAwardDialog({
+      calculator: app
+    });
+  }
+  app.xpAwardDialog.render({ force: true });
+}
+
+/**
+ * Otwieranie biblioteki szablonów starć.
+ */
+export function onActionOpenLibrary(app, _event, _target) {
+  if (!app.libraryDialog) {
+    app.libraryDialog = new EncounterLibraryDialog({
+      calculator: app
+    });
+  }
+  app.libraryDialog.render({ force: true });
+}
+
+/**
+ * Otwieranie okna „Dodaj z tekstu” (wklejona lista wrogów).
+ */
+export function onActionOpenTextListImport(app, _event, _target) {
+  if (!app.textListDialog) {
+    app.textListDialog = new TextListImportDialog({
+      calculator: app
+    });
+  }
+  app.textListDialog.render({ force: true });
+}
+
+/**
+ * Komunikat po imporcie tokenów.
+ *
+ * @param {Object} counts - wynik app.addTokens()
+ */
+function notifyTokenImport(counts) {
+  const added = counts.allies + counts.enemies;
+  if (!added) {
+    ui.notifications.warn(
+      "Żaden token nie został dodany (neutralne tokeny i tokeny bez aktora są pomijane)."
+    );
+    return;
+  }
+
+  let msg = `Dodano z tokenów: sojusznicy ${counts.allies}, wrogowie ${counts.enemies}.`;
+  if (counts.skipped) msg += ` Pominięto: ${counts.skipped}.`;
+  ui.notifications.info(msg);
+}
+
+/**
+ * Dodawanie aktorów z zaznaczonych tokenów.
+ */
+export function onActionAddSelectedTokens(app, _event, _target) {
+  const tokens = canvas?.tokens?.controlled ?? [];
+  if (!tokens.length) {
+    ui.notifications.info("Zaznacz tokeny na scenie, aby je dodać.");
+    return;
+  }
+
+  notifyTokenImport(app.addTokens(tokens));
+}
+
+/**
+ * Dodawanie aktorów ze wszystkich tokenów bieżącej sceny
+ * o wybranym nastawieniu (wrogie → wrogowie, przyjazne / PC → sojusznicy).
+ */
+export async function onActionAddSceneTokens(app, _event, _target) {
+  const scene = canvas?.scene;
+  if (!scene) {
+    ui.notifications.warn("Brak aktywnej sceny.");
+    return;
+  }
+
+  const sides = await foundry.applications.api.DialogV2.prompt({
+    window: { title: "Tokeny ze sceny" },
+    content: `
+      <p>Dodaj tokeny ze sceny „${foundry.utils.escapeHTML(scene.name)}”:</p>
+      <label class="checkbox">
+        <input type="checkbox" name="enemies" checked>
+        Wrogie → wrogowie
+      </label>
+      <label class="checkbox">
+        <input type="checkbox" name="allies" checked>
+        Przyjazne i postacie graczy → sojusznicy
+      </label>
+    `,
+    ok: {
+      label: "Dodaj",
+      icon: "fa-solid fa-plus",
+      callback: (_event, button) =>
+        ["allies", "enemies"].filter(
+          (side) => button.form.elements[side]?.checked
+        )
+    }
+  });
+  if (!sides?.length) return;
+
+  notifyTokenImport(app.addTokens(scene.tokens.contents, { sides }));
+}
+
+/**
+ * Zastąpienie sojuszników i wrogów uczestnikami aktywnej walki.
+ */
+export function onActionPopulateFromCombat(app, _event, _target) {
+  const combat = game.combat;
+  if (!combat?.combatants.size) {
+    ui.notifications.info("Brak aktywnej walki z uczestnikami.");
+    return;
+  }
+
+  const counts = app.syncFromCombat(combat, {
+    record: true,
+    workspaceId: app.activeWorkspaceId
+  });
+  ui.notifications.info(
+    `Wczytano walkę: sojusznicy ${counts.allies}, wrogowie ${counts.enemies}.`
+  );
+}
+
+/**
+ * Włączenie / wyłączenie synchronizacji z aktywną walką na żywo.
+ */
+export function onActionToggleCombatSync(app, _event, _target) {
+  if (app.combatSyncId) {
+    app.stopCombatSync();
+    ui.notifications.info("Wyłączono synchronizację z walką.");
+    return;
+  }
+
+  const combat = game.combat;
+  if (!combat) {
+    ui.notifications.info("Brak aktywnej walki do synchronizacji.");
+    return;
+  }
+
+  app.startCombatSync(combat);
+  ui.notifications.info(
+    "Kalkulator śledzi walkę – pokonani uczestnicy wypadają z sumy XP."
+  );
+}
+
+/**
+ * Odświeżenie wszystkich wpisów (poziom, CR, XP) z aktualnych aktorów.
+ */
+export async function onActionRefreshAllEntries(app, _event, _target) {
+  const { changed, missing } = await app.refreshAllEntries();
+
+  let msg = changed
+    ? `Odświeżono wpisy – zmienione: ${changed}.`
+    : "Odświeżono wpisy – bez zmian.";
+  if (missing) msg += ` Brak aktora: ${missing}.`;
+  ui.notifications.info(msg);
+}
+
+/**
+ * Ukrycie znacznika „zmieniono” przy wpisie.
+ */
+export function onActionDismissEntryChange(app, _event, target) {
+  const ref = target.dataset.key;
+  const entry = [app.allies, app.enemies].flat().find((e) => e.key === ref);
+  if (!entry?.changed) return;
+
+  delete entry.changed;
+  app.persistState();
+  app.render();
+}
+
+/**
+ * Eksport aktywnej zakładki do pliku JSON.
+ */
+export function onActionExportCalculatorFile(app, _event, _target) {
+  const data = app.exportCalculatorFile();
+  if (!data.allies.length && !data.enemies.length) {
+    ui.notifications.info("Kalkulator jest pusty – nie ma czego eksportować.");
+    return;
+  }
+
+  const slug = data.name.slugify({ strict: true }) || "starcie";
+  foundry.utils.saveDataToFile(
+    JSON.stringify(data, null, 2),
+    "application/json",
+    `${slug}.encounter.json`
+  );
+}
+
+/**
+ * Import pliku JSON do aktywnej zakładki (zastępuje sojuszników i wrogów).
+ * Plik jest sprawdzany przed importem; błędy trafiają do konsoli.
+ */
+export async function onActionImportCalculatorFile(app, _event, _target) {
+  const file = await foundry.applications.api.DialogV2.prompt({
+    window: { title: "Import starcia z pliku" },
+    content: `
+      <p>Sojusznicy, wrogowie i próg trudności aktywnej zakładki zostaną zastąpione zawartością pliku.</p>
+      <div class="form-group">
+        <label>Plik JSON</label>
+        <input type="file" name="file" accept=".json,application/json">
+      </div>
+    `,
+    ok: {
+      label: "Importuj",
+      icon: "fa-solid fa-file-import",
+      callback: (_event, button) => button.form.elements.file.files?.[0] ?? null
+    }
+  });
+  if (!file) return;
+
+  let data;
+  try {
+    data = JSON.parse(await foundry.utils.readTextFromFile(file));
+  } catch (e) {
+    ui.notifications.error("Nie udało się odczytać pliku – to nie jest poprawny JSON.");
+    console.error(`${MODULE_ID} | Błąd odczytu pliku ${file.name}:`, e);
+    return;
+  }
+
+  const errors = validateCalculatorFile(data);
+  if (errors.length) {
+    ui.notifications.error(`Niepoprawny plik starcia: ${errors[0]}`);
+    console.warn(`${MODULE_ID} | Błędy pliku ${file.name}:`, errors);
+    return;
+  }
+
+  const { missing, relinked, partyPresetFound } =
+    await app.importCalculatorFile(data);
+
+  ui.notifications.info(`Zaimportowano starcie z pliku ${file.name}.`);
+  if (relinked.length) {
+    ui.notifications.info(
+      `Dopasowano po nazwie w kompendiach: ${relinked.join(", ")}.`
+    );
+  }
+  if (missing.length) {
+    ui.notifications.warn(
+      `Nie odnaleziono aktorów: ${missing.join(", ")} – są oznaczeni na liście.`
+    );
+  }
+  if (!partyPresetFound) {
+    ui.notifications.info(
+      `Zestaw drużyny „${data.partyPreset}” nie istnieje w tym świecie.`
+    );
+  }
+}
+
+/**
+ * Karta czatu z podsumowaniem aktywnej zakładki.
+ */
+export async function onActionPostToChat(app, _event, _target) {
+  if (!app.enemies.length) {
+    ui.notifications.info("Brak wrogów – nie ma czego pokazać na czacie.");
+    return;
+  }
+  await app.postEncounterToChat();
+}
+
 /**
  * Zmiana docelowej trudności.
  */
 export function onActionSetTargetDifficulty(app, _event, target) {
   const diff = target?.dataset?.diff;
   if (!["low", "moderate", "high"].includes(diff)) return;
+  if (diff === app.targetDifficultyKey) return;
 
+  app.recordHistory();
   app.targetDifficultyKey = diff;
 
   game.settings
@@ -89,81 +403,206 @@ export function onActionSetTargetDifficulty(app, _event, target) {
 }
 
 /**
- * Zapisanie drużyny (tylko PC).
+ * Przełączenie widoku trudności: klasyczny (DMG) / względem budżetu.
  */
-export async function onActionSaveTeam(app, _event, _target) {
-  const pcUuids = getPcUuids(app.allies);
-  await setSavedTeam({ uuids: pcUuids });
-  ui.notifications.info("Zapisano drużynę (PC) w ustawieniach świata.");
+export function onActionSetDisplayMode(app, _event, target) {
+  const mode = target?.dataset?.mode;
+  if (!["dmg", "budget"].includes(mode)) return;
+
+  app.difficultyDisplayMode = mode;
+  setDifficultyDisplayMode(mode);
+
+  app.render();
 }
 
 /**
- * Zapisanie sojuszników (PC + NPC).
+ * Zapisuje zestawy drużyny (ustawienie świata – tylko MG).
+ *
+ * @param {Object} data - wynik getPartyPresets() po zmianach
+ * @returns {Promise<boolean>}
  */
-export async function onActionSaveAllies(app, _event, _target) {
-  const allUuids = getAllyUuids(app.allies);
-  await setSavedAllies({ uuids: allUuids });
-  ui.notifications.info("Zapisano sojuszników (PC + NPC) w ustawieniach świata.");
+async function savePartyPresets(data) {
+  if (!game.user?.isGM) {
+    ui.notifications.warn("Tylko MG może zmieniać zestawy drużyny.");
+    return false;
+  }
+  await setPartyPresets({ ...data, migrated: true });
+  return true;
 }
 
 /**
- * Wczytywanie zapisanego zestawu sojuszników.
+ * Okno z polem nazwy zestawu.
+ *
+ * @param {Object} params
+ * @param {string} params.title
+ * @param {string} params.label - etykieta przycisku zatwierdzenia
+ * @param {string} [params.name=""] - nazwa początkowa
+ * @param {boolean} [params.withPcOnly=false] - czy pokazać opcję „tylko PC”
+ * @returns {Promise<Object|null>} - { name, pcOnly } albo null (anulowano)
  */
-export async function onActionLoadSaved(app, _event, _target) {
-  const savedAllies = getSavedAllies();
-  const savedTeam = getSavedTeam();
+function promptPartyPresetName({ title, label, name = "", withPcOnly = false }) {
+  const pcOnly = withPcOnly
+    ? `
+      <label class="checkbox">
+        <input type="checkbox" name="pcOnly">
+        Tylko postacie graczy (bez NPC)
+      </label>`
+    : "";
 
-  const uuids = Array.isArray(savedAllies.uuids) && savedAllies.uuids.length
-    ? savedAllies.uuids
-    : Array.isArray(savedTeam.uuids) ? savedTeam.uuids : [];
+  return foundry.applications.api.DialogV2.prompt({
+    window: { title },
+    content: `
+      <div class="form-group">
+        <label>Nazwa zestawu</label>
+        <input type="text" name="name" value="${foundry.utils.escapeHTML(name)}" autofocus>
+      </div>
+      ${pcOnly}
+    `,
+    ok: {
+      label,
+      icon: "fa-solid fa-check",
+      callback: (_event, button) => ({
+        name: String(button.form.elements.name.value ?? "").trim(),
+        pcOnly: !!button.form.elements.pcOnly?.checked
+      })
+    }
+  });
+}
 
-  if (!uuids || !uuids.length) {
-    ui.notifications.info("Brak zapisanego zestawu do wczytania.");
+/**
+ * Zwraca zestaw wybrany w nagłówku (z komunikatem, gdy brak).
+ *
+ * @param {EncounterCalculatorApp} app
+ * @param {Object} data - wynik getPartyPresets()
+ * @returns {Object|null}
+ */
+function getSelectedPartyPreset(app, data) {
+  const preset = findPartyPreset(data, app.selectedPartyPresetId);
+  if (!preset) ui.notifications.info("Najpierw wybierz zestaw drużyny.");
+  return preset;
+}
+
+/**
+ * Wczytanie wybranego zestawu drużyny (zastępuje sojuszników).
+ */
+export async function onActionLoadPartyPreset(app, _event, _target) {
+  if (!getSelectedPartyPreset(app, getPartyPresets())) return;
+
+  const result = await app.loadPartyPreset(app.selectedPartyPresetId);
+  if (!result) return;
+
+  let msg = `Wczytano zestaw „${result.preset.name}”.`;
+  if (result.missing) msg += ` Nie odnaleziono aktorów: ${result.missing}.`;
+  ui.notifications.info(msg);
+}
+
+/**
+ * Zapisanie obecnych sojuszników jako zestaw (nowy albo nadpisanie
+ * zestawu o tej samej nazwie). Opcjonalnie tylko PC.
+ */
+export async function onActionSavePartyPreset(app, _event, _target) {
+  if (!app.allies.length) {
+    ui.notifications.info("Brak sojuszników do zapisania.");
     return;
   }
 
-  app.allies = [];
+  const data = getPartyPresets();
+  const selected = findPartyPreset(data, app.selectedPartyPresetId);
+  const input = await promptPartyPresetName({
+    title: "Zapisz zestaw drużyny",
+    label: "Zapisz",
+    name: selected?.name ?? "",
+    withPcOnly: true
+  });
+  if (!input?.name) return;
 
-  for (const uuid of uuids) {
-    try {
-      const actor = await fromUuid(uuid);
-      if (actor) {
-        addSingleActorToSide({
-          allies: app.allies,
-          enemies: app.enemies,
-          actor,
-          side: "allies",
-          getActorXpFn: getActorXp
-        });
-      } else {
-        console.warn(`${MODULE_ID} | Nie znaleziono aktora o uuid ${uuid} podczas wczytywania zapisu.`);
-      }
-    } catch (e) {
-      console.error(e);
-    }
+  const uuids = input.pcOnly ? getPcUuids(app.allies) : getAllyUuids(app.allies);
+  if (!uuids.length) {
+    ui.notifications.info("Brak postaci graczy do zapisania.");
+    return;
   }
 
+  const preset = upsertPartyPreset(data, { name: input.name, uuids });
+  if (!(await savePartyPresets(data))) return;
+
+  app.selectedPartyPresetId = preset.id;
   app.render();
-  ui.notifications.info("Wczytano zapis sojuszników.");
+  ui.notifications.info(`Zapisano zestaw „${preset.name}” (${uuids.length}).`);
 }
 
 /**
- * Usuwanie zapisanych zestawów (drużyna i sojusznicy).
+ * Zmiana nazwy wybranego zestawu.
  */
-export async function onActionClearSaved(app, _event, _target) {
-  await setSavedAllies({ uuids: [] });
-  await setSavedTeam({ uuids: [] });
-  ui.notifications.info("Usunięto zapis drużyny i sojuszników z ustawień świata.");
+export async function onActionRenamePartyPreset(app, _event, _target) {
+  const data = getPartyPresets();
+  const preset = getSelectedPartyPreset(app, data);
+  if (!preset) return;
+
+  const input = await promptPartyPresetName({
+    title: "Zmień nazwę zestawu",
+    label: "Zmień nazwę",
+    name: preset.name
+  });
+  if (!input?.name || input.name === preset.name) return;
+
+  if (!renamePartyPreset(data, preset.id, input.name)) {
+    ui.notifications.warn(`Zestaw o nazwie „${input.name}” już istnieje.`);
+    return;
+  }
+  if (await savePartyPresets(data)) app.render();
+}
+
+/**
+ * Usunięcie wybranego zestawu (z potwierdzeniem).
+ */
+export async function onActionDeletePartyPreset(app, _event, _target) {
+  const data = getPartyPresets();
+  const preset = getSelectedPartyPreset(app, data);
+  if (!preset) return;
+
+  const confirmed = await foundry.applications.api.DialogV2.confirm({
+    window: { title: "Usuń zestaw drużyny" },
+    content: `<p>Usunąć zestaw „${foundry.utils.escapeHTML(preset.name)}”?</p>`
+  });
+  if (!confirmed) return;
+
+  deletePartyPreset(data, preset.id);
+  if (!(await savePartyPresets(data))) return;
+
+  app.selectedPartyPresetId = null;
+  app.render();
+}
+
+/**
+ * Oznaczenie wybranego zestawu jako domyślny (autowczytywanie)
+ * albo zdjęcie tego oznaczenia.
+ */
+export async function onActionToggleDefaultPartyPreset(app, _event, _target) {
+  const data = getPartyPresets();
+  const preset = getSelectedPartyPreset(app, data);
+  if (!preset) return;
+
+  const makeDefault = data.defaultId !== preset.id;
+  setDefaultPartyPreset(data, makeDefault ? preset.id : null);
+  if (!(await savePartyPresets(data))) return;
+
+  app.render();
+  ui.notifications.info(
+    makeDefault
+      ? `„${preset.name}” jest teraz domyślnym zestawem drużyny.`
+      : `„${preset.name}” nie jest już domyślnym zestawem.`
+  );
 }
 
 /**
  * Zwiększenie ilości wroga o 1.
  */
 export function onActionIncreaseQuantity(app, _event, target) {
-  const uuid = target?.dataset?.uuid;
-  if (!uuid) return;
+  const ref = target?.dataset?.key || target?.dataset?.uuid;
+  if (!ref) return;
 
-  updateEnemyQuantity(app.enemies, uuid, "delta", 1);
+  app.recordHistory();
+  updateEnemyQuantity(app.enemies, ref, "delta", 1);
   app.render();
 }
 
@@ -171,9 +610,108 @@ export function onActionIncreaseQuantity(app, _event, target) {
  * Zmniejszenie ilości wroga o 1.
  */
 export function onActionDecreaseQuantity(app, _event, target) {
-  const uuid = target?.dataset?.uuid;
-  if (!uuid) return;
+  const ref = target?.dataset?.key || target?.dataset?.uuid;
+  if (!ref) return;
+
+  app.recordHistory();
+  updateEnemyQuantity(app.enemies, ref, "delta", -1);
+  app.render();
+}
+
+/**
+ * Cofnięcie ostatniej zmiany w kalkulatorze.
+ */
+export function onActionUndo(app, _event, _target) {
+  app.undo();
+}
+
+/**
+ * Ponowienie cofniętej zmiany w kalkulatorze.
+ */
+export function onActionRedo(app, _event, _target) {
+  app.redo();
+}
+
+/**
+ * Dodanie nowej, pustej zakładki starcia i przełączenie na nią.
+ */
+export function onActionAddWorkspace(app, _event, _target) {
+  const workspace = createWorkspace({
+    name: getNextWorkspaceName(app.workspaces),
+    targetDifficultyKey: getTargetDifficulty()
+  });
+  app.workspaces.push(workspace);
+  app.activeWorkspaceId = workspace.id;
+  app.persistState();
+  app.render();
+}
 
-  updateEnemyQuantity(app.enemies, uuid, "delta", -1);
+/**
+ * Przełączenie aktywnej zakładki starcia.
+ */
+export function onActionSwitchWorkspace(app, _event, target) {
+  const id = target?.dataset?.workspaceId;
+  if (!id || id === app.activeWorkspaceId) return;
+  if (!app.workspaces.some((w) => w.id === id)) return;
+
+  app.activeWorkspaceId = id;
+  app.persistState();
+  app.render();
+}
+
+/**
+ * Duplikowanie aktywnej zakładki (kopia trafia tuż za oryginał).
+ */
+export function onActionDuplicateWorkspace(app, _event, _target) {
+  const source = app.activeWorkspace;
+  const copy = duplicateWorkspace(source);
+  const index = app.workspaces.indexOf(source);
+  app.workspaces.splice(index + 1, 0, copy);
+  app.activeWorkspaceId = copy.id;
+  app.persistState();
+  app.render();
+}
+
+/**
+ * Zamknięcie zakładki. Zakładka z wrogami wymaga potwierdzenia;
+ * zamknięcie ostatniej zakładki zostawia jedną pustą.
+ */
+export async function onActionCloseWorkspace(app, _event, target) {
+  const id = target?.dataset?.workspaceId ?? app.activeWorkspaceId;
+  const index = app.workspaces.findIndex((w) => w.id === id);
+  if (index === -1) return;
+
+  const workspace = app.workspaces[index];
+  if (workspace.enemies.length) {
+    const confirmed = await foundry.applications.api.DialogV2.confirm({
+      window: { title: "Zamknij zakładkę" },
+      content: `<p>Zamknąć zakładkę „${foundry.utils.escapeHTML(
+        workspace.name
+      )}”? Jej lista wrogów zostanie utracona.</p>`
+    });
+    if (!confirmed) return;
+  }
+
+  // Walka nie może dalej zapisywać do zamkniętej zakładki.
+  if (id === app.combatSyncWorkspaceId) {
+    app.stopCombatSync();
+    ui.notifications.info("Wyłączono synchronizację z walką – jej zakładka została zamknięta.");
+  }
+
+  app.workspaces.splice(index, 1);
+  if (!app.workspaces.length) {
+    app.workspaces.push(
+      createWorkspace({
+        name: getNextWorkspaceName(app.workspaces),
+        targetDifficultyKey: getTargetDifficulty()
+      })
+    );
+  }
+
+  if (id === app.activeWorkspaceId) {
+    app.activeWorkspaceId =
+      app.workspaces[Math.min(index, app.workspaces.length - 1)].id;
+  }
+  app.persistState();
   app.render();
 }
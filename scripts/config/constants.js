@@ -12,6 +12,21 @@ export const MODULE_ID = "dnd5e-2024-encounter";
 /** Domyślna waga friendly NPC (sojuszniczych jednostek z MM). */
 export const DEFAULT_ALLY_NPC_WEIGHT = 0.5;
 
+/** Domyślna liczba wrogów na jednego PC, powyżej której kalkulator ostrzega. */
+export const DEFAULT_MAX_ENEMIES_PER_PC = 2;
+
+/**
+ * Domyślne progi trudności względem budżetu (tryb "budget").
+ * maxRatio – górna granica stosunku XP wrogów do budżetu (włącznie),
+ * null – ostatni, otwarty przedział.
+ */
+export const DEFAULT_DIFFICULTY_BANDS = [
+  { name: "Poniżej budżetu", maxRatio: 0.75, color: "#6fcf97" },
+  { name: "W zakresie budżetu", maxRatio: 1.25, color: "#f2c94c" },
+  { name: "Powyżej budżetu", maxRatio: 1.75, color: "#f2994a" },
+  { name: "Znacznie powyżej budżetu", maxRatio: null, color: "#eb5757" }
+];
+
 /** Domyślne kolory i skala fontu (dla presetu „ciemny"). */
 export const DEFAULT_BG_COLOR = "#0b0f18";
 export const DEFAULT_TEXT_COLOR = "#f5f7ff";
@@ -0,0 +1,91 @@
+// scripts/data/cr-xp.js
+
+/**
+ * XP za pokonanie stworzenia według jego Challenge Rating (CR).
+ *
+ * Klucz: CR jako liczba (ułamkowe CR jako 0.125 / 0.25 / 0.5)
+ * Wartość: XP za jedno stworzenie.
+ *
+ * Używane tam, gdzie nie mamy pełnego dokumentu aktora –
+ * np. w indeksach kompendiów, w których pochodne
+ * system.details.xp.value nie jest przechowywane.
+ */
+export const CR_XP_TABLE = {
+    0:     10,
+    0.125: 25,
+    0.25:  50,
+    0.5:   100,
+    1:     200,
+    2:     450,
+    3:     700,
+    4:     1100,
+    5:     1800,
+    6:     2300,
+    7:     2900,
+    8:     3900,
+    9:     5000,
+    10:    5900,
+    11:    7200,
+    12:    8400,
+    13:    10000,
+    14:    11500,
+    15:    13000,
+    16:    15000,
+    17:    18000,
+    18:    20000,
+    19:    22000,
+    20:    25000,
+    21:    33000,
+    22:    41000,
+    23:    50000,
+    24:    62000,
+    25:    75000,
+    26:    90000,
+    27:    105000,
+    28:    120000,
+    29:    135000,
+    30:    155000
+};
+
+/**
+ * Parsuje CR zapisany jako liczba lub ułamek ("1/4").
+ *
+ * @param {number|string|null} cr
+ * @returns {number|null}
+ */
+export function parseChallengeRating(cr) {
+  if (cr == null || cr === "") return null;
+  if (typeof cr === "string" && cr.includes("/")) {
+    const [num, den] = cr.split("/").map(Number);
+    return den ? num / den : null;
+  }
+  const value = Number(cr);
+  return Number.isFinite(value) ? value : null;
+}
+
+/**
+ * Formatuje CR do zapisu z podręcznika (0.25 → "1/4").
+ *
+ * @param {number|string|null} cr
+ * @returns {string}
+ */
+export function formatChallengeRating(cr) {
+  const value = parseChallengeRating(cr);
+  if (value === null) return "—";
+  if (value === 0.125) return "1/8";
+  if (value === 0.25) return "1/4";
+  if (value === 0.5) return "1/2";
+  return String(value);
+}
+
+/**
+ * Zwraca XP dla podanego CR (0, gdy CR nie ma w tabeli).
+ *
+ * @param {number|string|null} cr
+ * @returns {number}
+ */
+export function getXpForChallengeRating(cr) {
+  const value = parseChallengeRating(cr);
+  if (value === null) return 0;
+  return CR_XP_TABLE[value] ?? 0;
+}
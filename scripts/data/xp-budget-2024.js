@@ -12,9 +12,9 @@
  * UWAGA (BARDZO WAŻNE):
  *  - To są PRZYKŁADOWE wartości o zbliżonej skali.
  *  - NIE są to oficjalne liczby z DMG 2024.
- *  - Jeśli chcesz używać oficjalnych danych:
- *      1) otwórz ten plik,
- *      2) podmień liczby low/moderate/high dla każdego poziomu.
+ *  - Jeśli chcesz używać oficjalnych danych, wpisz je w edytorze
+ *    „Tabela budżetów XP” w ustawieniach modułu – tabela zapisuje się
+ *    w ustawieniach świata i nie znika przy aktualizacji modułu.
  *
  * Wartości są tak dobrane, aby:
  *  - rosły mniej więcej wykładniczo / liniowo w górnych poziomach,
@@ -43,8 +43,70 @@ export const XP_BUDGET_2024 = {
     20: { low: 6400, moderate: 13200, high: 22000 }
 };
 
+/** Klucze progów w wierszu tabeli budżetów. */
+export const XP_BUDGET_KEYS = ["low", "moderate", "high"];
+
+/**
+ * Aktywna tabela budżetów – domyślnie XP_BUDGET_2024, a po starcie świata
+ * tabela zapisana przez MG w ustawieniu "xpBudgetTable"
+ * (patrz setActiveBudgetTable i register-settings.js).
+ */
+let activeBudgetTable = XP_BUDGET_2024;
+
+/**
+ * Waliduje tabelę budżetów (np. z ustawień lub importu JSON).
+ *
+ * Przyjmuje obiekt { "1": { low, moderate, high }, ... } albo tablicę
+ * 20 wierszy (indeks 0 = poziom 1). Brakujące lub nieprawidłowe
+ * wartości są uzupełniane z XP_BUDGET_2024.
+ *
+ * @param {Object|Array|null} raw
+ * @returns {Object} pełna tabela 1–20
+ */
+export function normalizeXpBudgetTable(raw) {
+  const table = {};
+
+  for (let level = 1; level <= 20; level++) {
+    const source = Array.isArray(raw) ? raw[level - 1] : raw?.[level];
+    const row = {};
+
+    for (const key of XP_BUDGET_KEYS) {
+      const value = Math.round(Number(source?.[key]));
+      row[key] = Number.isFinite(value) && value > 0
+        ? value
+        : XP_BUDGET_2024[level][key];
+    }
+
+    table[level] = row;
+  }
+
+  return table;
+}
+
+/**
+ * Ustawia aktywną tabelę budżetów (pusta / null = tabela domyślna).
+ *
+ * @param {Object|Array|null} table
+ */
+export function setActiveBudgetTable(table) {
+  const isEmpty =
+    !table ||
+    (Array.isArray(table) ? !table.length : !Object.keys(table).length);
+
+  activeBudgetTable = isEmpty ? XP_BUDGET_2024 : normalizeXpBudgetTable(table);
+}
+
+/**
+ * Zwraca aktywną tabelę budżetów.
+ *
+ * @returns {Object}
+ */
+export function getActiveBudgetTable() {
+  return activeBudgetTable;
+}
+
 /**
- * Pomocnicza funkcja – zwraca wiersz tabeli budżetowej dla podanego poziomu.
+ * Pomocnicza funkcja – zwraca wiersz aktywnej tabeli budżetowej dla podanego poziomu.
  *
  * @param {number} level - poziom postaci (może być spoza zakresu 1–20).
  * @returns {{ low: number, moderate: number, high: number }} wiersz z tabeli.
@@ -60,7 +122,7 @@ export const XP_BUDGET_2024 = {
  */
 export function getBudgetRowForLevel(level) {
   const clamped = Math.max(1, Math.min(20, Number(level) || 1));
-  return XP_BUDGET_2024[clamped];
+  return activeBudgetTable[clamped];
 }
 
 /**
@@ -73,7 +135,7 @@ export function getBudgetRowForLevel(level) {
  *  - Chcemy przybliżyć: „Na ile poziomów postaci odpowiada taki NPC?”
  *
  * Algorytm:
- *  1. Bierzemy tabelę XP_BUDGET_2024.
+ *  1. Bierzemy aktywną tabelę budżetów (domyślnie XP_BUDGET_2024).
  *  2. Dla wybranego progu trudności (domyślnie "moderate"):
  *      - patrzymy, jaka wartość budżetu XP przypada na każdy poziom.
  *  3. Szukamy takiego poziomu, dla którego budżet jest NAJBLIŻSZY XP NPC:
@@ -99,7 +161,7 @@ export function getPseudoLevelForNpcXp(npcXp, difficultyKey = "moderate") {
   if (xp <= 0) return 1;
 
   // Wyciągamy wszystkie [level, row] z tabeli.
-  const entries = Object.entries(XP_BUDGET_2024);
+  const entries = Object.entries(activeBudgetTable);
 
   // Jeśli ktoś podał dziwny klucz trudności, zabezpieczamy się fallbackiem.
   const validDifficulty =
@@ -0,0 +1,95 @@
+// scripts/data/xp-thresholds-2014.js
+
+/**
+ * Progi XP na JEDNĄ postać według DMG 2014 (SRD 5.1)
+ * oraz mnożniki za liczbę potworów w starciu.
+ *
+ * Klucz: poziom postaci (1–20)
+ * Wartość: progi trudności:
+ *   - easy    – łatwe starcie
+ *   - medium  – średnie
+ *   - hard    – trudne
+ *   - deadly  – śmiertelne
+ *
+ * W modelu 2014 suma XP wrogów jest mnożona przez mnożnik zależny
+ * od liczby potworów (i korygowany wielkością drużyny), a dopiero
+ * ta „skorygowana” wartość jest porównywana z progami.
+ */
+export const XP_THRESHOLDS_2014 = {
+    1:  { easy: 25,   medium: 50,   hard: 75,   deadly: 100   },
+    2:  { easy: 50,   medium: 100,  hard: 150,  deadly: 200   },
+    3:  { easy: 75,   medium: 150,  hard: 225,  deadly: 400   },
+    4:  { easy: 125,  medium: 250,  hard: 375,  deadly: 500   },
+    5:  { easy: 250,  medium: 500,  hard: 750,  deadly: 1100  },
+    6:  { easy: 300,  medium: 600,  hard: 900,  deadly: 1400  },
+    7:  { easy: 350,  medium: 750,  hard: 1100, deadly: 1700  },
+    8:  { easy: 450,  medium: 900,  hard: 1400, deadly: 2100  },
+    9:  { easy: 550,  medium: 1100, hard: 1600, deadly: 2400  },
+    10: { easy: 600,  medium: 1200, hard: 1900, deadly: 2800  },
+    11: { easy: 800,  medium: 1600, hard: 2400, deadly: 3600  },
+    12: { easy: 1000, medium: 2000, hard: 3000, deadly: 4500  },
+    13: { easy: 1100, medium: 2200, hard: 3400, deadly: 5100  },
+    14: { easy: 1250, medium: 2500, hard: 3800, deadly: 5700  },
+    15: { easy: 1400, medium: 2800, hard: 4300, deadly: 6400  },
+    16: { easy: 1600, medium: 3200, hard: 4800, deadly: 7200  },
+    17: { easy: 2000, medium: 3900, hard: 5900, deadly: 8800  },
+    18: { easy: 2100, medium: 4200, hard: 6300, deadly: 9500  },
+    19: { easy: 2400, medium: 4900, hard: 7300, deadly: 10900 },
+    20: { easy: 2800, medium: 5700, hard: 8500, deadly: 12700 }
+};
+
+/**
+ * Kolejne stopnie mnożnika za liczbę potworów.
+ * Skrajne wartości (x0.5 i x5) są osiągalne tylko przez korektę
+ * wielkości drużyny.
+ */
+export const ENCOUNTER_MULTIPLIER_STEPS_2014 = [0.5, 1, 1.5, 2, 2.5, 3, 4, 5];
+
+/**
+ * Zwraca wiersz progów 2014 dla podanego poziomu (przycięty do 1–20).
+ *
+ * @param {number} level
+ * @returns {{ easy: number, medium: number, hard: number, deadly: number }}
+ */
+export function getThresholdRowForLevel2014(level) {
+  const clamped = Math.max(1, Math.min(20, Number(level) || 1));
+  return XP_THRESHOLDS_2014[clamped];
+}
+
+/**
+ * Mnożnik XP za liczbę potworów (DMG 2014):
+ *  - 1          → x1
+ *  - 2          → x1.5
+ *  - 3–6        → x2
+ *  - 7–10       → x2.5
+ *  - 11–14      → x3
+ *  - 15 i więcej → x4
+ *
+ * Korekta wielkości drużyny:
+ *  - mniej niż 3 postacie → mnożnik o stopień wyżej,
+ *  - 6 i więcej postaci   → mnożnik o stopień niżej.
+ *
+ * @param {number} monsterCount - liczba potworów (z uwzględnieniem ilości)
+ * @param {number} partySize - liczba członków drużyny
+ * @returns {number} mnożnik
+ */
+export function getEncounterMultiplier2014(monsterCount, partySize) {
+  const count = Math.max(0, Math.floor(Number(monsterCount) || 0));
+  if (count <= 0) return 1;
+
+  let index;
+  if (count === 1) index = 1;
+  else if (count === 2) index = 2;
+  else if (count <= 6) index = 3;
+  else if (count <= 10) index = 4;
+  else if (count <= 14) index = 5;
+  else index = 6;
+
+  const size = Math.max(0, Math.round(Number(partySize) || 0));
+  if (size > 0 && size < 3) index += 1;
+  else if (size >= 6) index -= 1;
+
+  const steps = ENCOUNTER_MULTIPLIER_STEPS_2014;
+  index = Math.max(0, Math.min(steps.length - 1, index));
+  return steps[index];
+}
@@ -0,0 +1,170 @@
+/**
+ * BudgetFillerDialog – panel „Uzupełnij budżet”.
+ *
+ * Liczy lukę między budżetem XP a XP wrogów z kalkulatora
+ * i podpowiada stworzenia z kompendiów, które się w niej mieszczą.
+ * Podpowiedzi można filtrować po typie stworzenia i zakresie CR,
+ * a kliknięcie dodaje stworzenie do wrogów kalkulatora.
+ *
+ * Otwierane z:
+ *  - EncounterCalculatorApp (przycisk w stopce).
+ */
+
+import { MODULE_ID } from "../config/constants.js";
+import {
+  styleDialogRoot,
+  bindOnceAll,
+  getMonsterCompendia,
+  loadMonsterCandidates,
+  getCreatureTypes,
+  findBudgetFillers
+} from "../services/index.js";
+
+const { ApplicationV2, HandlebarsApplicationMixin } =
+  foundry.applications.api;
+
+export class BudgetFillerDialog extends HandlebarsApplicationMixin(
+  ApplicationV2
+) {
+  /**
+   * Referencja do EncounterCalculatorApp.
+   */
+  calculator;
+
+  /**
+   * Kandydaci z indeksów kompendiów (wczytywani przy pierwszym renderze).
+   * null = jeszcze nie wczytano.
+   */
+  candidates = null;
+
+  /**
+   * Aktywne filtry podpowiedzi.
+   */
+  filters = {
+    creatureType: "",
+    crMin: "",
+    crMax: ""
+  };
+
+  static DEFAULT_OPTIONS = {
+    id: "dnd5e-2024-budget-filler-dialog",
+    title: "Uzupełnij budżet XP",
+    classes: [
+      "dnd5e-2024-budget-filler-dialog",
+      "dnd5e-encounter-calculator"
+    ],
+    position: {
+      width: 560,
+      height: 640
+    },
+    window: {
+      title: "Uzupełnij budżet XP",
+      icon: "fa-solid fa-wand-magic-sparkles",
+      resizable: true
+    },
+    actions: {
+      addSuggestion: BudgetFillerDialog._onActionAddSuggestion,
+      resetFilters: BudgetFillerDialog._onActionResetFilters,
+      reloadIndex: BudgetFillerDialog._onActionReloadIndex
+    }
+  };
+
+  static PARTS = {
+    main: {
+      template:
+        "modules/dnd5e-2024-encounter/templates/budget-filler-dialog.hbs"
+    }
+  };
+
+  constructor(options = {}) {
+    super(options);
+    this.calculator = options.calculator ?? null;
+  }
+
+  async _prepareContext() {
+    if (this.candidates === null) {
+      this.candidates = await loadMonsterCandidates({
+        packs: game.packs,
+        packIds: getMonsterCompendia(),
+        logWarn: (msg) => console.warn(`${MODULE_ID} | ${msg}`)
+      });
+    }
+
+    const difficulty = this.calculator?.getDifficulty() ?? null;
+    const budget = Number(difficulty?.budget) || 0;
+    const multiplier = Number(difficulty?.multiplier) || 1;
+    const comparedXp =
+      Number(difficulty?.adjustedXP ?? difficulty?.totalXP) || 0;
+
+    // W DMG 2014 budżet porównujemy z XP po mnożniku – lukę przeliczamy
+    // z powrotem na „surowe” XP stworzeń (wartość przybliżona).
+    const remainingXp = Math.max(
+      0,
+      Math.floor((budget - comparedXp) / multiplier)
+    );
+
+    const suggestions = findBudgetFillers({
+      candidates: this.candidates,
+      remainingXp,
+      filters: this.filters
+    });
+
+    const creatureTypes = getCreatureTypes(this.candidates).map((type) => ({
+      value: type,
+      label: CONFIG.DND5E?.creatureTypes?.[type]?.label ?? type,
+      selected: type === this.filters.creatureType
+    }));
+
+    return {
+      hasParty: budget > 0,
+      budget,
+      totalXp: Number(difficulty?.totalXP) || 0,
+      remainingXp,
+      isUnderBudget: remainingXp > 0,
+      isRuleset2014: difficulty?.ruleset === "2014",
+      candidatesCount: this.candidates.length,
+      creatureTypes,
+      filters: this.filters,
+      suggestions,
+      hasSuggestions: suggestions.length > 0
+    };
+  }
+
+  _onRender(_context, _options) {
+    const root = this.element;
+    if (!root) return;
+
+    styleDialogRoot(root);
+
+    const filterInputs = root.querySelectorAll("[data-filter]");
+    bindOnceAll(filterInputs, "boundFilterChange", "change", (event) => {
+      const key = event.currentTarget.dataset.filter;
+      if (!(key in this.filters)) return;
+      this.filters[key] = String(event.currentTarget.value ?? "").trim();
+      this.render();
+    });
+  }
+
+  // ─────────────────────────────────────────────
+  // Actions
+  // ─────────────────────────────────────────────
+
+  static async _onActionAddSuggestion(_event, target) {
+    const uuid = target?.dataset?.uuid;
+    if (!uuid || !this.calculator) return;
+
+    // Kalkulator po renderze sam odświeża ten panel (patrz _onRender kalkulatora).
+    const added = await this.calculator.addActorFromUuid(uuid, "enemies");
+    if (added && !this.calculator.rendered) this.render();
+  }
+
+  static _onActionResetFilters(_event, _target) {
+    this.filters = { creatureType: "", crMin: "", crMax: "" };
+    this.render();
+  }
+
+  static _onActionReloadIndex(_event, _target) {
+    this.candidates = null;
+    this.render();
+  }
+}
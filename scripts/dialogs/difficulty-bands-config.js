@@ -0,0 +1,143 @@
+/**
+ * DifficultyBandsConfig – edytor progów trudności względem budżetu.
+ *
+ * Okno menu ustawień (game.settings.registerMenu). MG definiuje tu
+ * dowolną liczbę nazwanych progów: górną granicę stosunku
+ * XP wrogów do budżetu i kolor etykiety w kalkulatorze.
+ *
+ * Zapis trafia do ustawienia świata "difficultyBands".
+ */
+
+import { DEFAULT_DIFFICULTY_BANDS } from "../config/constants.js";
+import {
+  styleDialogRoot,
+  getDifficultyBands,
+  setDifficultyBands,
+  normalizeDifficultyBands
+} from "../services/index.js";
+
+const { ApplicationV2, HandlebarsApplicationMixin } =
+  foundry.applications.api;
+
+export class DifficultyBandsConfig extends HandlebarsApplicationMixin(
+  ApplicationV2
+) {
+  /**
+   * Robocza kopia progów edytowanych w oknie.
+   * Zapisywana do ustawień dopiero po kliknięciu „Zapisz”.
+   */
+  bands = [];
+
+  static DEFAULT_OPTIONS = {
+    id: "dnd5e-2024-difficulty-bands-config",
+    title: "Progi trudności względem budżetu",
+    classes: [
+      "dnd5e-2024-difficulty-bands-config",
+      "dnd5e-encounter-calculator"
+    ],
+    position: {
+      width: 560,
+      height: "auto"
+    },
+    window: {
+      title: "Progi trudności względem budżetu",
+      icon: "fa-solid fa-sliders",
+      resizable: true
+    },
+    actions: {
+      addBand: DifficultyBandsConfig._onActionAddBand,
+      removeBand: DifficultyBandsConfig._onActionRemoveBand,
+      resetBands: DifficultyBandsConfig._onActionResetBands,
+      saveBands: DifficultyBandsConfig._onActionSaveBands
+    }
+  };
+
+  static PARTS = {
+    main: {
+      template:
+        "modules/dnd5e-2024-encounter/templates/difficulty-bands-config.hbs"
+    }
+  };
+
+  constructor(options = {}) {
+    super(options);
+    this.bands = getDifficultyBands().map((b) => ({ ...b }));
+  }
+
+  async _prepareContext() {
+    return {
+      bands: this.bands.map((band, index) => ({
+        ...band,
+        index,
+        isLast: index === this.bands.length - 1
+      }))
+    };
+  }
+
+  _onRender(_context, _options) {
+    const root = this.element;
+    if (!root) return;
+
+    styleDialogRoot(root);
+  }
+
+  /**
+   * Odczytuje progi z formularza (bez walidacji – ta dzieje się przy zapisie).
+   */
+  #readBandsFromForm() {
+    const rows = this.element?.querySelectorAll(".band-row") ?? [];
+    this.bands = [...rows].map((row) => ({
+      name: row.querySelector('[name="name"]')?.value ?? "",
+      maxRatio: row.querySelector('[name="maxRatio"]')?.value ?? "",
+      color: row.querySelector('[name="color"]')?.value ?? ""
+    }));
+  }
+
+  // ─────────────────────────────────────────────
+  // Actions
+  // ─────────────────────────────────────────────
+
+  static _onActionAddBand(_event, _target) {
+    this.#readBandsFromForm();
+
+    // Nowy próg wstawiamy przed ostatnim (otwartym) progiem.
+    const closed = this.bands.slice(0, -1);
+    const lastRatio = Number(closed[closed.length - 1]?.maxRatio) || 1;
+    this.bands.splice(Math.max(0, this.bands.length - 1), 0, {
+      name: "Nowy próg",
+      maxRatio: Math.round((lastRatio + 0.25) * 100) / 100,
+      color: "#cccccc"
+    });
+    this.render();
+  }
+
+  static _onActionRemoveBand(_event, target) {
+    this.#readBandsFromForm();
+
+    const index = Number(target?.dataset?.index);
+    if (!Number.isInteger(index) || this.bands.length <= 1) return;
+
+    this.bands.splice(index, 1);
+    this.render();
+  }
+
+  static _onActionResetBands(_event, _target) {
+    this.bands = DEFAULT_DIFFICULTY_BANDS.map((b) => ({ ...b }));
+    this.render();
+  }
+
+  static async _onActionSaveBands(_event, _target) {
+    this.#readBandsFromForm();
+
+    const bands = normalizeDifficultyBands(this.bands);
+    await setDifficultyBands(bands);
+    ui.notifications.info("Zapisano progi trudności.");
+
+    // Otwarty kalkulator od razu pokazuje nowe progi.
+    foundry.applications.instances
+      .get("dnd5e-2024-encounter-calculator")
+      ?.render();
+
+    this.close();
+  }
+}
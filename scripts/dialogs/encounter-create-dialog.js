@@ -3,6 +3,8 @@
  *
  * Ten dialog:
  *  - pozwala skonfigurować nazwę encountera, summary, opis, katalog i walutę,
+ *  - opcjonalnie zapisuje podsumowanie jako stronę wybranego dziennika,
+ *  - publikuje kartę czatu z wrogami, trudnością i skarbem,
  *  - pozwala dodać przedmioty (itemy) przeciągane z kompemdiów lub świata,
  *  - grupuje identyczne przedmioty po uuid i obsługuje ilości (quantity),
  *  - może zapisać domyślne ustawienia (bez przedmiotów),
@@ -37,6 +39,8 @@ import {
   getEncounterDefaultGold,
   getEncounterDefaultSilver,
   getEncounterDefaultCopper,
+  getEncounterExportJournalByDefault,
+  getEncounterJournalId,
   bindOnceAll,
   bindOnceAllMulti,
   formatCurrencyValue,
@@ -83,6 +87,10 @@ export class EncounterCreateDialog extends HandlebarsApplicationMixin(Applicatio
   _useFolder = undefined;
   _folderName = undefined;
 
+  // Strona dziennika z podsumowaniem ("" = nowy dziennik o nazwie katalogu).
+  _exportJournal = undefined;
+  _journalId = undefined;
+
   // Waluta encountera – przechowywana jako liczby całkowite.
   _platinum = undefined;
   _gold = undefined;
@@ -122,6 +130,7 @@ export class EncounterCreateDialog extends HandlebarsApplicationMixin(Applicatio
     actions: {
       saveEncounterSettings: EncounterCreateDialog._onActionSaveSettings,
       createEncounterActor: EncounterCreateDialog._onActionCreateActor,
+      postToChat: EncounterCreateDialog._onActionPostToChat,
       switchTab: EncounterCreateDialog._onActionSwitchTab,
       removeItem: EncounterCreateDialog._onActionRemoveItem,
       increaseItemQuantity: EncounterCreateDialog._onActionIncreaseItemQuantity,
@@ -145,6 +154,9 @@ export class EncounterCreateDialog extends HandlebarsApplicationMixin(Applicatio
 
     this.calculator = options.calculator ?? null;
     this.activeTab = "general";
+
+    // Opcjonalna nazwa startowa (np. nazwa zakładki starcia w kalkulatorze).
+    if (options.name) this._name = options.name;
   }
 
   // ─────────────────────────────────────────────
@@ -158,6 +170,8 @@ export class EncounterCreateDialog extends HandlebarsApplicationMixin(Applicatio
     let gold = getEncounterDefaultGold() ?? DEFAULT_ENCOUNTER_GOLD;
     let silver = getEncounterDefaultSilver() ?? DEFAULT_ENCOUNTER_SILVER;
     let copper = getEncounterDefaultCopper() ?? DEFAULT_ENCOUNTER_COPPER;
+    let exportJournal = getEncounterExportJournalByDefault() ?? false;
+    let journalId = getEncounterJournalId() || "";
 
     return {
       name,
@@ -165,7 +179,9 @@ export class EncounterCreateDialog extends HandlebarsApplicationMixin(Applicatio
       folderName,
       gold: Number(gold) || 0,
       silver: Number(silver) || 0,
-      copper: Number(copper) || 0
+      copper: Number(copper) || 0,
+      exportJournal: !!exportJournal,
+      journalId: game.journal?.get(journalId) ? journalId : ""
     };
   }
 
@@ -192,6 +208,10 @@ export class EncounterCreateDialog extends HandlebarsApplicationMixin(Applicatio
       this._useFolder = defaults.useFolder;
     if (typeof this._folderName === "undefined")
       this._folderName = defaults.folderName;
+    if (typeof this._exportJournal === "undefined")
+      this._exportJournal = defaults.exportJournal;
+    if (typeof this._journalId === "undefined")
+      this._journalId = defaults.journalId;
 
     if (typeof this._gold === "undefined") this._gold = defaults.gold;
     if (typeof this._silver === "undefined") this._silver = defaults.silver;
@@ -231,6 +251,15 @@ export class EncounterCreateDialog extends HandlebarsApplicationMixin(Applicatio
       description: this._description,
       useFolder: this._useFolder,
       folderName: this._folderName,
+      exportJournal: this._exportJournal,
+      journalOptions: (game.journal?.contents ?? [])
+        .filter((j) => j.isOwner)
+        .map((j) => ({
+          id: j.id,
+          name: j.name,
+          selected: j.id === this._journalId
+        }))
+        .sort((a, b) => a.name.localeCompare(b.name)),
 
       // Waluta
       platinum: this._platinum,
@@ -371,6 +400,8 @@ export class EncounterCreateDialog extends HandlebarsApplicationMixin(Applicatio
         useFolder:
           typeof this._useFolder === "boolean" ? this._useFolder : true,
         folderName: this._folderName ?? DEFAULT_ENCOUNTER_FOLDER_NAME,
+        exportJournal: !!this._exportJournal,
+        journalId: this._journalId ?? "",
         platinum: this._platinum ?? 0,
         gold: this._gold ?? DEFAULT_ENCOUNTER_GOLD,
         silver: this._silver ?? DEFAULT_ENCOUNTER_SILVER,
@@ -388,6 +419,8 @@ export class EncounterCreateDialog extends HandlebarsApplicationMixin(Applicatio
     const description = textInputs.description?.value?.toString() ?? "";
     const useFolder = textInputs.useFolder?.checked ?? true;
     const folderName = (textInputs.folderName?.value ?? "").toString().trim();
+    const exportJournal = textInputs.exportJournal?.checked ?? false;
+    const journalId = (textInputs.journalId?.value ?? "").toString();
 
     const platinum = normalizeNumberInput(currencyInputs.platinum?.value, 0);
     const gold = normalizeNumberInput(currencyInputs.gold?.value, 0);
@@ -400,6 +433,8 @@ export class EncounterCreateDialog extends HandlebarsApplicationMixin(Applicatio
     this._description = description;
     this._useFolder = !!useFolder;
     this._folderName = folderName || DEFAULT_ENCOUNTER_FOLDER_NAME;
+    this._exportJournal = !!exportJournal;
+    this._journalId = journalId;
 
     this._platinum = platinum;
     this._gold = gold;
@@ -413,6 +448,8 @@ export class EncounterCreateDialog extends HandlebarsApplicationMixin(Applicatio
       description: this._description,
       useFolder: this._useFolder,
       folderName: this._folderName,
+      exportJournal: this._exportJournal,
+      journalId: this._journalId,
       platinum: this._platinum,
       gold: this._gold,
       silver: this._silver,
@@ -471,7 +508,7 @@ export class EncounterCreateDialog extends HandlebarsApplicationMixin(Applicatio
 
   /**
    * Zapisuje z formularza domyślne ustawienia encountera do game.settings
-   * (bez przedmiotów – chodzi o nazwę, katalog i walutę).
+   * (bez przedmiotów – chodzi o nazwę, katalog, dziennik i walutę).
    */
   async _saveSettingsFromForm() {
     const values = this._readFormValues();
@@ -494,6 +531,18 @@ export class EncounterCreateDialog extends HandlebarsApplicationMixin(Applicatio
       values.folderName || DEFAULT_ENCOUNTER_FOLDER_NAME
     );
 
+    await game.settings.set(
+      MODULE_ID,
+      "encounterExportJournalByDefault",
+      !!values.exportJournal
+    );
+
+    await game.settings.set(
+      MODULE_ID,
+      "encounterJournalId",
+      values.journalId ?? ""
+    );
+
     await game.settings.set(
       MODULE_ID,
       "encounterDefaultGold",
@@ -545,6 +594,25 @@ export class EncounterCreateDialog extends HandlebarsApplicationMixin(Applicatio
     this.close();
   }
 
+  /**
+   * Publikuje kartę czatu z wrogami z kalkulatora i skarbem z formularza.
+   * Popup zostaje otwarty.
+   */
+  async _postToChatFromForm() {
+    if (!this.calculator?.enemies?.length) {
+      ui.notifications.info("Brak wrogów – nie ma czego pokazać na czacie.");
+      return;
+    }
+
+    const values = this._readFormValues();
+    values.items = Array.isArray(this._items) ? this._items : [];
+
+    await this.calculator.postEncounterToChat({
+      name: values.name,
+      treasure: values
+    });
+  }
+
   // ─────────────────────────────────────────────
   // ACTIONS popupu
   // ─────────────────────────────────────────────
@@ -557,6 +625,10 @@ export class EncounterCreateDialog extends HandlebarsApplicationMixin(Applicatio
     this._createActorFromForm();
   }
 
+  static _onActionPostToChat(_event, _target) {
+    this._postToChatFromForm();
+  }
+
   static _onActionSwitchTab(_event, target) {
     const tab = target?.dataset?.tab;
     if (!["general", "currency", "items"].includes(tab)) return;
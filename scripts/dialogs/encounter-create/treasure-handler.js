@@ -4,25 +4,13 @@
 
 import {
   generateIndividualTreasure,
-  generateTreasureHoard
+  generateTreasureHoard,
+  normalizeEnemiesForTreasure
 } from "../../services/index.js";
 import { TreasureChoiceDialog } from "../treasure-choice-dialog.js";
 
 export function getEnemiesForTreasure(dialog) {
-  const raw = dialog.calculator?.enemies ?? [];
-  return raw
-    .map((e) => {
-      const crNum = e.cr != null ? Number(e.cr) : NaN;
-      const quantity = Number(e.quantity ?? 1) || 1;
-      const safeCr = Number.isFinite(crNum) && crNum >= 0 ? crNum : null;
-
-      return {
-        name: e.name ?? "??",
-        cr: safeCr,
-        quantity: Math.max(1, Math.min(99, quantity))
-      };
-    })
-    .filter((e) => e.cr !== null);
+  return normalizeEnemiesForTreasure(dialog.calculator?.enemies ?? []);
 }
 
 export async function generateIndividualTreasureForDialog(dialog) {
@@ -0,0 +1,270 @@
+/**
+ * EncounterGeneratorDialog – losowanie składu wrogów pod wybraną trudność.
+ *
+ * Na podstawie drużyny i progu trudności z kalkulatora losuje stworzenia
+ * z wybranych kompendiów (z filtrami typu, środowiska, CR i liczby
+ * stworzeń) według archetypu składu i wstawia je do kolumny wrogów.
+ * Każde kliknięcie „Generuj” losuje skład od nowa.
+ *
+ * Otwierane z:
+ *  - EncounterCalculatorApp (przycisk w stopce).
+ */
+
+import { MODULE_ID } from "../config/constants.js";
+import {
+  styleDialogRoot,
+  bindOnceAll,
+  getMonsterCompendia,
+  loadMonsterCandidates,
+  getCreatureTypes,
+  generateEncounter,
+  ENCOUNTER_ARCHETYPES
+} from "../services/index.js";
+
+const { ApplicationV2, HandlebarsApplicationMixin } =
+  foundry.applications.api;
+
+export class EncounterGeneratorDialog extends HandlebarsApplicationMixin(
+  ApplicationV2
+) {
+  /**
+   * Referencja do EncounterCalculatorApp.
+   */
+  calculator;
+
+  /**
+   * Kandydaci z indeksów kompendiów (wczytywani przy pierwszym renderze).
+   * null = jeszcze nie wczytano.
+   */
+  candidates = null;
+
+  /**
+   * Ustawienia generatora (filtry + archetyp + liczba stworzeń).
+   * packs – zaznaczone kompendia (pusta tablica = wszystkie dostępne).
+   */
+  settings = {
+    archetype: "mixed",
+    creatureType: "",
+    environment: "",
+    crMin: "",
+    crMax: "",
+    minCount: 1,
+    maxCount: 8,
+    packs: []
+  };
+
+  /**
+   * Podsumowanie ostatniego losowania (do wyświetlenia w oknie).
+   */
+  lastResult = null;
+
+  static DEFAULT_OPTIONS = {
+    id: "dnd5e-2024-encounter-generator-dialog",
+    title: "Generator starć",
+    classes: [
+      "dnd5e-2024-encounter-generator-dialog",
+      "dnd5e-encounter-calculator"
+    ],
+    position: {
+      width: 560,
+      height: "auto"
+    },
+    window: {
+      title: "Generator starć",
+      icon: "fa-solid fa-dice-d20",
+      resizable: true
+    },
+    actions: {
+      generate: EncounterGeneratorDialog._onActionGenerate,
+      reloadIndex: EncounterGeneratorDialog._onActionReloadIndex
+    }
+  };
+
+  static PARTS = {
+    main: {
+      template:
+        "modules/dnd5e-2024-encounter/templates/encounter-generator-dialog.hbs"
+    }
+  };
+
+  constructor(options = {}) {
+    super(options);
+    this.calculator = options.calculator ?? null;
+  }
+
+  async _prepareContext() {
+    await this.#ensureCandidates();
+
+    const settings = this.settings;
+    const difficulty = this.calculator?.getDifficulty() ?? null;
+
+    const packIds = [...new Set(this.candidates.map((c) => c.pack))];
+    const packs = packIds.map((id) => ({
+      id,
+      label: game.packs.get(id)?.metadata?.label ?? id,
+      checked: !settings.packs.length || settings.packs.includes(id)
+    }));
+
+    const creatureTypes = getCreatureTypes(this.candidates).map((type) => ({
+      value: type,
+      label: CONFIG.DND5E?.creatureTypes?.[type]?.label ?? type,
+      selected: type === settings.creatureType
+    }));
+
+    const archetypes = Object.entries(ENCOUNTER_ARCHETYPES).map(
+      ([value, label]) => ({
+        value,
+        label,
+        selected: value === settings.archetype
+      })
+    );
+
+    return {
+      hasParty: Number(difficulty?.budget) > 0,
+      budget: Number(difficulty?.budget) || 0,
+      targetLabel: difficulty?.targetLabel ?? "",
+      settings,
+      isSolo: settings.archetype === "solo",
+      packs,
+      creatureTypes,
+      archetypes,
+      candidatesCount: this.candidates.length,
+      lastResult: this.lastResult
+    };
+  }
+
+  _onRender(_context, _options) {
+    const root = this.element;
+    if (!root) return;
+
+    styleDialogRoot(root);
+
+    const inputs = root.querySelectorAll("[data-setting]");
+    bindOnceAll(inputs, "boundSettingChange", "change", (event) =>
+      this.#onSettingChange(event)
+    );
+  }
+
+  /**
+   * Wczytuje kandydatów z kompendiów (raz, do czasu „Wczytaj ponownie”).
+   */
+  async #ensureCandidates() {
+    if (this.candidates !== null) return;
+    this.candidates = await loadMonsterCandidates({
+      packs: game.packs,
+      packIds: getMonsterCompendia(),
+      logWarn: (msg) => console.warn(`${MODULE_ID} | ${msg}`)
+    });
+  }
+
+  /**
+   * Zapisuje zmianę pola formularza w ustawieniach generatora.
+   */
+  #onSettingChange(event) {
+    const input = event.currentTarget;
+    const key = input.dataset.setting;
+    const settings = this.settings;
+
+    if (key === "packs") {
+      const checked = [
+        ...this.element.querySelectorAll('[data-setting="packs"]:checked')
+      ].map((el) => el.value);
+      const all = this.element.querySelectorAll('[data-setting="packs"]').length;
+      // Pusta tablica oznacza „wszystkie” – odznaczenie wszystkich kompendiów
+      // jest błędem, a render przywraca poprzedni wybór.
+      if (!checked.length) {
+        ui.notifications.warn("Zaznacz co najmniej jedno kompendium.");
+      } else {
+        settings.packs = checked.length === all ? [] : checked;
+      }
+    } else if (key === "minCount" || key === "maxCount") {
+      settings[key] = Math.max(1, Math.min(99, Math.floor(Number(input.value) || 1)));
+      if (settings.minCount > settings.maxCount) {
+        settings[key === "minCount" ? "maxCount" : "minCount"] = settings[key];
+      }
+    } else if (key in settings) {
+      settings[key] = String(input.value ?? "").trim();
+    }
+
+    this.render();
+  }
+
+  // ─────────────────────────────────────────────
+  // Actions
+  // ─────────────────────────────────────────────
+
+  static async _onActionGenerate(_event, _target) {
+    const calculator = this.calculator;
+    if (!calculator) return;
+
+    await this.#ensureCandidates();
+
+    const settings = this.settings;
+    const base = calculator.getDifficulty();
+    if (!(Number(base.budget) > 0)) {
+      ui.notifications.warn(
+        "Dodaj drużynę do kalkulatora – bez niej nie ma budżetu XP do wylosowania starcia."
+      );
+      return;
+    }
+
+    // Ocena próby = ta sama trudność co w kalkulatorze (drużyna, próg,
+    // zestaw zasad), tylko z wylosowanymi wrogami.
+    const evaluateFn = (enemies) => calculator.getDifficulty({ enemies });
+
+    const result = generateEncounter({
+      candidates: this.candidates,
+      evaluateFn,
+      archetype: settings.archetype,
+      filters: {
+        creatureType: settings.creatureType,
+        environment: settings.environment,
+        crMin: settings.crMin,
+        crMax: settings.crMax,
+        packs: settings.packs
+      },
+      minCount: settings.minCount,
+      maxCount: settings.maxCount
+    });
+
+    if (!result) {
+      ui.notifications.warn(
+        "Nie znaleziono stworzeń pasujących do filtrów. Poluzuj filtry lub wybierz inne kompendia."
+      );
+      return;
+    }
+
+    if (!result.passed) {
+      ui.notifications.info(
+        "Nie udało się trafić dokładnie w budżet – wstawiono skład najbliższy budżetowi."
+      );
+    }
+
+    const missing = await calculator.replaceEnemies(
+      result.picks.map((p) => ({ uuid: p.candidate.uuid, quantity: p.quantity }))
+    );
+    if (missing.length) {
+      console.warn(
+        `${MODULE_ID} | Generator: nie wczytano aktorów: ${missing.join(", ")}`
+      );
+    }
+
+    this.lastResult = {
+      passed: result.passed,
+      label: result.difficulty.label,
+      comparedXp: result.difficulty.adjustedXP ?? result.difficulty.totalXP,
+      budget: result.difficulty.budget,
+      entries: result.picks.map((p) => ({
+        name: p.candidate.name,
+        crLabel: p.candidate.crLabel,
+        quantity: p.quantity
+      }))
+    };
+    this.render();
+  }
+
+  static _onActionReloadIndex(_event, _target) {
+    this.candidates = null;
+    this.render();
+  }
+}
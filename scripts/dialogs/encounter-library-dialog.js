@@ -0,0 +1,314 @@
+/**
+ * EncounterLibraryDialog – biblioteka szablonów składu wrogów.
+ *
+ * Pozwala zapisać obecną kolumnę wrogów jako nazwany szablon
+ * (środowisko, motyw, zakres poziomów, tagi), przeszukiwać i filtrować
+ * bibliotekę, podejrzeć trudność szablonu dla bieżącej drużyny
+ * oraz wczytać szablon do kolumny wrogów (zastąpienie lub dołączenie).
+ * Szablony są ustawieniem świata (encounterTemplates) – zmienia je MG.
+ *
+ * Otwierane z:
+ *  - EncounterCalculatorApp (przycisk w stopce).
+ */
+
+import { MODULE_ID } from "../config/constants.js";
+import {
+  styleDialogRoot,
+  bindOnceAll,
+  getEncounterTemplates,
+  setEncounterTemplates,
+  upsertEncounterTemplate,
+  deleteEncounterTemplate,
+  filterEncounterTemplates,
+  getTemplateFieldValues,
+  buildTemplateEnemies
+} from "../services/index.js";
+
+const { ApplicationV2, HandlebarsApplicationMixin } =
+  foundry.applications.api;
+
+export class EncounterLibraryDialog extends HandlebarsApplicationMixin(
+  ApplicationV2
+) {
+  /**
+   * Referencja do EncounterCalculatorApp.
+   */
+  calculator;
+
+  /**
+   * Filtry listy szablonów.
+   * fitsParty – tylko szablony, których zakres poziomów obejmuje drużynę.
+   */
+  filters = {
+    query: "",
+    environment: "",
+    theme: "",
+    fitsParty: false
+  };
+
+  /**
+   * Formularz nowego szablonu (zapis obecnych wrogów).
+   */
+  draft = {
+    name: "",
+    environment: "",
+    theme: "",
+    levelMin: "",
+    levelMax: "",
+    tags: ""
+  };
+
+  static DEFAULT_OPTIONS = {
+    id: "dnd5e-2024-encounter-library-dialog",
+    title: "Biblioteka starć",
+    classes: [
+      "dnd5e-2024-encounter-library-dialog",
+      "dnd5e-encounter-calculator"
+    ],
+    position: {
+      width: 620,
+      height: "auto"
+    },
+    window: {
+      title: "Biblioteka starć",
+      icon: "fa-solid fa-book-bookmark",
+      resizable: true
+    },
+    actions: {
+      saveTemplate: EncounterLibraryDialog._onActionSaveTemplate,
+      loadTemplate: EncounterLibraryDialog._onActionLoadTemplate,
+      appendTemplate: EncounterLibraryDialog._onActionAppendTemplate,
+      deleteTemplate: EncounterLibraryDialog._onActionDeleteTemplate,
+      clearFilters: EncounterLibraryDialog._onActionClearFilters
+    }
+  };
+
+  static PARTS = {
+    main: {
+      template:
+        "modules/dnd5e-2024-encounter/templates/encounter-library-dialog.hbs"
+    }
+  };
+
+  constructor(options = {}) {
+    super(options);
+    this.calculator = options.calculator ?? null;
+  }
+
+  /**
+   * Średni poziom postaci graczy w kalkulatorze (0 = brak PC).
+   *
+   * @returns {number}
+   */
+  #getPartyLevel() {
+    const levels = (this.calculator?.allies ?? [])
+      .filter((a) => a.type === "character")
+      .map((a) => Number(a.level) || 0)
+      .filter((l) => l > 0);
+    if (!levels.length) return 0;
+    return Math.round(levels.reduce((sum, l) => sum + l, 0) / levels.length);
+  }
+
+  async _prepareContext() {
+    const { templates } = getEncounterTemplates();
+    const filters = this.filters;
+    const partyLevel = this.#getPartyLevel();
+    const hasParty =
+      Number(this.calculator?.getDifficulty()?.budget) > 0;
+
+    const visible = filterEncounterTemplates(templates, {
+      query: filters.query,
+      environment: filters.environment,
+      theme: filters.theme,
+      partyLevel: filters.fitsParty ? partyLevel : null
+    });
+
+    const rows = visible.map((t) => {
+      const enemies = buildTemplateEnemies(t);
+      const difficulty = hasParty
+        ? this.calculator.getDifficulty({ enemies })
+        : null;
+
+      return {
+        id: t.id,
+        name: t.name,
+        environment: t.environment,
+        theme: t.theme,
+        tags: t.tags,
+        levelRange:
+          t.levelMin !== null || t.levelMax !== null
+            ? `${t.levelMin ?? 1}–${t.levelMax ?? 20}`
+            : "",
+        enemiesSummary: t.enemies
+          .map((e) => `${e.quantity}× ${e.name ?? "?"}`)
+          .join(", "),
+        totalXp: enemies.reduce((sum, e) => sum + e.totalXp, 0),
+        difficultyLabel: difficulty?.label ?? "",
+        difficultyColor: difficulty?.labelColor ?? "",
+        comparedXp: difficulty
+          ? difficulty.adjustedXP ?? difficulty.totalXP
+          : null,
+        budget: difficulty?.budget ?? null
+      };
+    });
+
+    const toOptions = (field) =>
+      getTemplateFieldValues(templates, field).map((value) => ({
+        value,
+        selected: value === filters[field]
+      }));
+
+    return {
+      rows,
+      templatesCount: templates.length,
+      hasTemplates: templates.length > 0,
+      environments: toOptions("environment"),
+      themes: toOptions("theme"),
+      filters,
+      draft: this.draft,
+      partyLevel,
+      hasParty,
+      isGM: !!game.user?.isGM,
+      enemiesCount: this.calculator?.enemies.length ?? 0
+    };
+  }
+
+  _onRender(_context, _options) {
+    const root = this.element;
+    if (!root) return;
+
+    styleDialogRoot(root);
+
+    const filterInputs = root.querySelectorAll("[data-filter]");
+    bindOnceAll(filterInputs, "boundFilterChange", "change", (event) => {
+      const input = event.currentTarget;
+      const key = input.dataset.filter;
+      this.filters[key] =
+        input.type === "checkbox" ? input.checked : String(input.value ?? "");
+      this.render();
+    });
+
+    // Pola formularza nie przerysowują okna – tylko zapamiętują wartości.
+    const draftInputs = root.querySelectorAll("[data-draft]");
+    bindOnceAll(draftInputs, "boundDraftInput", "input", (event) => {
+      const input = event.currentTarget;
+      this.draft[input.dataset.draft] = String(input.value ?? "");
+    });
+  }
+
+  /**
+   * Zapisuje bibliotekę (ustawienie świata – tylko MG).
+   *
+   * @param {Object} data
+   * @returns {Promise<boolean>}
+   */
+  async #saveLibrary(data) {
+    if (!game.user?.isGM) {
+      ui.notifications.warn("Tylko MG może zmieniać bibliotekę starć.");
+      return false;
+    }
+    await setEncounterTemplates(data);
+    return true;
+  }
+
+  /**
+   * Szablon o id z przycisku.
+   *
+   * @param {HTMLElement} target
+   * @returns {Object|null}
+   */
+  #getTemplate(target) {
+    const id = target?.closest("[data-template-id]")?.dataset.templateId;
+    return getEncounterTemplates().templates.find((t) => t.id === id) ?? null;
+  }
+
+  /**
+   * Wczytuje szablon do kalkulatora.
+   *
+   * @param {HTMLElement} target
+   * @param {boolean} append
+   */
+  async #insertTemplate(target, append) {
+    const template = this.#getTemplate(target);
+    if (!template || !this.calculator) return;
+
+    const missing = await this.calculator.addTemplateEnemies(template, {
+      append
+    });
+    if (missing.length) {
+      ui.notifications.warn(
+        `Nie odnaleziono aktorów z szablonu: ${missing.join(", ")}.`
+      );
+      console.warn(
+        `${MODULE_ID} | Szablon „${template.name}”: brak aktorów ${missing.join(", ")}`
+      );
+    }
+  }
+
+  // ─────────────────────────────────────────────
+  // Actions
+  // ─────────────────────────────────────────────
+
+  static async _onActionSaveTemplate(_event, _target) {
+    const enemies = this.calculator?.enemies ?? [];
+    if (!enemies.length) {
+      ui.notifications.info("Kolumna wrogów jest pusta – nie ma czego zapisać.");
+      return;
+    }
+    if (!this.draft.name.trim()) {
+      ui.notifications.warn("Podaj nazwę szablonu.");
+      return;
+    }
+
+    const data = getEncounterTemplates();
+    const template = upsertEncounterTemplate(data, {
+      ...this.draft,
+      enemies
+    });
+    if (!template || !(await this.#saveLibrary(data))) return;
+
+    ui.notifications.info(`Zapisano szablon „${template.name}”.`);
+    this.draft = {
+      name: "",
+      environment: "",
+      theme: "",
+      levelMin: "",
+      levelMax: "",
+      tags: ""
+    };
+    this.render();
+  }
+
+  static async _onActionLoadTemplate(_event, target) {
+    await this.#insertTemplate(target, false);
+  }
+
+  static async _onActionAppendTemplate(_event, target) {
+    await this.#insertTemplate(target, true);
+  }
+
+  static async _onActionDeleteTemplate(_event, target) {
+    const template = this.#getTemplate(target);
+    if (!template) return;
+
+    const confirmed = await foundry.applications.api.DialogV2.confirm({
+      window: { title: "Usuń szablon" },
+      content: `<p>Usunąć szablon „${foundry.utils.escapeHTML(template.name)}” z biblioteki?</p>`
+    });
+    if (!confirmed) return;
+
+    const data = getEncounterTemplates();
+    deleteEncounterTemplate(data, template.id);
+    if (await this.#saveLibrary(data)) this.render();
+  }
+
+  static _onActionClearFilters(_event, _target) {
+    this.filters = {
+      query: "",
+      environment: "",
+      theme: "",
+      fitsParty: false
+    };
+    this.render();
+  }
+}
@@ -0,0 +1,228 @@
+/**
+ * TextListImportDialog – okno „Dodaj z tekstu”.
+ *
+ * Przyjmuje wklejoną listę wrogów (np. „3x Goblin, Hobgoblin Captain,
+ * 2 Wolves” z PDF przygody), rozpoznaje ilości i nazwy, dopasowuje je
+ * do aktorów z kompendiów i świata, a po potwierdzeniu niejednoznacznych
+ * pozycji dodaje wrogów do kalkulatora z odczytanymi ilościami.
+ *
+ * Otwierane z:
+ *  - EncounterCalculatorApp (przycisk w stopce).
+ */
+
+import { MODULE_ID } from "../config/constants.js";
+import {
+  styleDialogRoot,
+  bindOnceAll,
+  getMonsterCompendia,
+  loadMonsterCandidates,
+  buildMonsterCandidate,
+  parseEnemyList,
+  matchEnemyList
+} from "../services/index.js";
+
+const { ApplicationV2, HandlebarsApplicationMixin } =
+  foundry.applications.api;
+
+export class TextListImportDialog extends HandlebarsApplicationMixin(
+  ApplicationV2
+) {
+  /**
+   * Referencja do EncounterCalculatorApp.
+   */
+  calculator;
+
+  /**
+   * Kandydaci z indeksów kompendiów i aktorzy NPC ze świata
+   * (wczytywani przy pierwszym rozpoznaniu listy).
+   * null = jeszcze nie wczytano.
+   */
+  candidates = null;
+
+  /**
+   * Wklejony tekst.
+   */
+  text = "";
+
+  /**
+   * Rozpoznane pozycje – wynik matchEnemyList() z wyborem MG.
+   */
+  rows = [];
+
+  static DEFAULT_OPTIONS = {
+    id: "dnd5e-2024-text-list-import-dialog",
+    title: "Dodaj wrogów z tekstu",
+    classes: [
+      "dnd5e-2024-text-list-import-dialog",
+      "dnd5e-encounter-calculator"
+    ],
+    position: {
+      width: 600,
+      height: "auto"
+    },
+    window: {
+      title: "Dodaj wrogów z tekstu",
+      icon: "fa-solid fa-paste",
+      resizable: true
+    },
+    actions: {
+      parseText: TextListImportDialog._onActionParseText,
+      addEnemies: TextListImportDialog._onActionAddEnemies,
+      clearText: TextListImportDialog._onActionClearText
+    }
+  };
+
+  static PARTS = {
+    main: {
+      template:
+        "modules/dnd5e-2024-encounter/templates/text-list-import-dialog.hbs"
+    }
+  };
+
+  constructor(options = {}) {
+    super(options);
+    this.calculator = options.calculator ?? null;
+  }
+
+  /**
+   * Wczytuje kandydatów: najpierw aktorzy NPC świata, potem kompendia.
+   * Przy remisie wyników wygrywa wcześniejszy kandydat, więc własne
+   * (np. zmodyfikowane) stworzenia świata mają pierwszeństwo.
+   *
+   * @returns {Promise<Array>}
+   */
+  async #loadCandidates() {
+    const worldActors = (game.actors?.contents ?? [])
+      .map((actor) =>
+        buildMonsterCandidate(actor, { collection: "", label: "Aktorzy świata" })
+      )
+      .filter(Boolean);
+
+    const compendium = await loadMonsterCandidates({
+      packs: game.packs,
+      packIds: getMonsterCompendia(),
+      logWarn: (msg) => console.warn(`${MODULE_ID} | ${msg}`)
+    });
+
+    return [...worldActors, ...compendium];
+  }
+
+  async _prepareContext() {
+    const rows = this.rows.map((row, index) => ({
+      index,
+      raw: row.raw,
+      name: row.name,
+      quantity: row.quantity,
+      ambiguous: row.ambiguous,
+      unmatched: row.matches.length === 0,
+      needsChoice: !row.selectedUuid,
+      options: row.matches.map((m) => ({
+        uuid: m.uuid,
+        label: `${m.name} · CR ${m.crLabel} · ${m.packLabel}`,
+        score: Math.round(m.score * 100),
+        selected: m.uuid === row.selectedUuid
+      }))
+    }));
+
+    const selected = this.rows.filter((r) => r.selectedUuid);
+
+    return {
+      text: this.text,
+      rows,
+      hasRows: rows.length > 0,
+      candidatesCount: this.candidates?.length ?? 0,
+      selectedCount: selected.length,
+      pendingCount: this.rows.length - selected.length,
+      totalQuantity: selected.reduce((sum, r) => sum + r.quantity, 0)
+    };
+  }
+
+  _onRender(_context, _options) {
+    const root = this.element;
+    if (!root) return;
+
+    styleDialogRoot(root);
+
+    // Tekst nie przerysowuje okna – tylko zapamiętuje wartość.
+    const textInputs = root.querySelectorAll("[data-text-list]");
+    bindOnceAll(textInputs, "boundTextInput", "input", (event) => {
+      this.text = String(event.currentTarget.value ?? "");
+    });
+
+    const matchSelects = root.querySelectorAll("[data-row-match]");
+    bindOnceAll(matchSelects, "boundMatchChange", "change", (event) => {
+      const row = this.rows[Number(event.currentTarget.dataset.rowMatch)];
+      if (!row) return;
+      row.selectedUuid = String(event.currentTarget.value ?? "");
+      this.render();
+    });
+
+    const quantityInputs = root.querySelectorAll("[data-row-quantity]");
+    bindOnceAll(quantityInputs, "boundQuantityChange", "change", (event) => {
+      const row = this.rows[Number(event.currentTarget.dataset.rowQuantity)];
+      if (!row) return;
+      const value = Math.floor(Number(event.currentTarget.value));
+      row.quantity = Math.min(99, Math.max(1, value || 1));
+      this.render();
+    });
+  }
+
+  // ─────────────────────────────────────────────
+  // Actions
+  // ─────────────────────────────────────────────
+
+  static async _onActionParseText(_event, _target) {
+    const lines = parseEnemyList(this.text);
+    if (!lines.length) {
+      ui.notifications.info("Wklej listę wrogów, np. „3x Goblin, 2 Wolves”.");
+      return;
+    }
+
+    if (this.candidates === null) {
+      this.candidates = await this.#loadCandidates();
+    }
+
+    this.rows = matchEnemyList(lines, this.candidates);
+    this.render();
+  }
+
+  static async _onActionAddEnemies(_event, _target) {
+    if (!this.calculator) return;
+
+    const picks = this.rows.filter((r) => r.selectedUuid);
+    const skipped = this.rows.filter((r) => !r.selectedUuid);
+    if (!picks.length) {
+      ui.notifications.warn("Wybierz dopasowanie dla co najmniej jednej pozycji.");
+      return;
+    }
+
+    const missing = await this.calculator.addEnemiesWithQuantities(
+      picks.map((r) => {
+        const match = r.matches.find((m) => m.uuid === r.selectedUuid);
+        return { uuid: r.selectedUuid, quantity: r.quantity, name: match?.name };
+      })
+    );
+
+    if (missing.length) {
+      ui.notifications.warn(
+        `Nie udało się wczytać aktorów: ${missing.join(", ")}.`
+      );
+    }
+    if (skipped.length) {
+      ui.notifications.info(
+        `Pominięto pozycje bez wybranego aktora: ${skipped.map((r) => r.raw).join(", ")}.`
+      );
+    }
+
+    // Pominięte pozycje zostają w oknie – można je poprawić i dodać osobno.
+    this.rows = skipped;
+    this.text = skipped.map((r) => r.raw).join("\n");
+    this.render();
+  }
+
+  static _onActionClearText(_event, _target) {
+    this.text = "";
+    this.rows = [];
+    this.render();
+  }
+}
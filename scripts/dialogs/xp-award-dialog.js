@@ -0,0 +1,170 @@
+/**
+ * XpAwardDialog – okno „Przyznaj XP”.
+ *
+ * Dzieli XP wrogów z kalkulatora (plus ręczny bonus) między postacie
+ * graczy z kolumny sojuszników, zapisuje je na kartach postaci
+ * i publikuje na czacie kartę z rozbiciem nagrody.
+ *
+ * Otwierane z:
+ *  - EncounterCalculatorApp (przycisk w stopce).
+ */
+
+import { MODULE_ID } from "../config/constants.js";
+import {
+  styleDialogRoot,
+  bindOnceAll,
+  calculateXpAward,
+  applyXpAward,
+  postXpAwardChatCard
+} from "../services/index.js";
+
+const { ApplicationV2, HandlebarsApplicationMixin } =
+  foundry.applications.api;
+
+export class XpAwardDialog extends HandlebarsApplicationMixin(ApplicationV2) {
+  /**
+   * Referencja do EncounterCalculatorApp.
+   */
+  calculator;
+
+  /**
+   * Opcje nagrody ustawiane w oknie.
+   */
+  settings = {
+    includeAllyNpcs: false,
+    onlyDefeated: false,
+    bonusXp: 0
+  };
+
+  /**
+   * Liczba pokonanych wrogów na wpis ({ key: liczba }).
+   * Brak wpisu = wszyscy pokonani.
+   */
+  defeatedByKey = {};
+
+  /**
+   * Czy nagroda jest właśnie przyznawana (blokuje ponowne kliknięcie,
+   * które dałoby postaciom XP drugi raz).
+   */
+  #awarding = false;
+
+  static DEFAULT_OPTIONS = {
+    id: "dnd5e-2024-xp-award-dialog",
+    title: "Przyznaj XP",
+    classes: ["dnd5e-2024-xp-award-dialog", "dnd5e-encounter-calculator"],
+    position: {
+      width: 520,
+      height: "auto"
+    },
+    window: {
+      title: "Przyznaj XP drużynie",
+      icon: "fa-solid fa-star",
+      resizable: true
+    },
+    actions: {
+      awardXp: XpAwardDialog._onActionAwardXp
+    }
+  };
+
+  static PARTS = {
+    main: {
+      template: "modules/dnd5e-2024-encounter/templates/xp-award-dialog.hbs"
+    }
+  };
+
+  constructor(options = {}) {
+    super(options);
+    this.calculator = options.calculator ?? null;
+  }
+
+  /**
+   * Wylicza nagrodę dla bieżącego stanu kalkulatora i opcji okna.
+   *
+   * @returns {Object} - wynik calculateXpAward()
+   */
+  #computeAward() {
+    return calculateXpAward({
+      allies: this.calculator?.allies ?? [],
+      enemies: this.calculator?.enemies ?? [],
+      includeAllyNpcs: this.settings.includeAllyNpcs,
+      onlyDefeated: this.settings.onlyDefeated,
+      defeatedByKey: this.defeatedByKey,
+      bonusXp: this.settings.bonusXp
+    });
+  }
+
+  async _prepareContext() {
+    const award = this.#computeAward();
+
+    return {
+      settings: this.settings,
+      award,
+      hasEnemies: award.enemies.length > 0,
+      hasRecipients: award.recipients.length > 0,
+      canAward: award.recipients.length > 0 && award.totalXp > 0
+    };
+  }
+
+  _onRender(_context, _options) {
+    const root = this.element;
+    if (!root) return;
+
+    styleDialogRoot(root);
+
+    const settingInputs = root.querySelectorAll("[data-setting]");
+    bindOnceAll(settingInputs, "boundSettingChange", "change", (event) => {
+      const input = event.currentTarget;
+      const key = input.dataset.setting;
+      if (!(key in this.settings)) return;
+
+      this.settings[key] =
+        input.type === "checkbox"
+          ? input.checked
+          : Math.max(0, Math.floor(Number(input.value) || 0));
+      this.render();
+    });
+
+    const defeatedInputs = root.querySelectorAll("[data-defeated]");
+    bindOnceAll(defeatedInputs, "boundDefeatedChange", "change", (event) => {
+      const input = event.currentTarget;
+      this.defeatedByKey[input.dataset.defeated] = Math.max(
+        0,
+        Math.floor(Number(input.value) || 0)
+      );
+      this.render();
+    });
+  }
+
+  // ─────────────────────────────────────────────
+  // Actions
+  // ─────────────────────────────────────────────
+
+  static async _onActionAwardXp(_event, target) {
+    if (this.#awarding) return;
+
+    const award = this.#computeAward();
+    if (!award.recipients.length || award.totalXp <= 0) return;
+
+    this.#awarding = true;
+    target.disabled = true;
+    try {
+      const results = await applyXpAward({
+        award,
+        actorResolverByUuid: (uuid) => fromUuid(uuid),
+        logWarn: (msg) => console.warn(`${MODULE_ID} | ${msg}`)
+      });
+
+      await postXpAwardChatCard({ award, results });
+
+      const applied = results.filter((r) => r.applied).length;
+      ui.notifications.info(
+        `Przyznano po ${award.share} XP (${applied} postaci).`
+      );
+    } finally {
+      this.#awarding = false;
+      target.disabled = false;
+    }
+
+    this.close();
+  }
+}
@@ -0,0 +1,178 @@
+/**
+ * XpBudgetTableConfig – edytor tabeli budżetów XP (DMG 2024).
+ *
+ * Okno menu ustawień (game.settings.registerMenu). Siatka 20 poziomów
+ * z budżetami niska / umiarkowana / wysoka na postać, z przywracaniem
+ * wartości domyślnych oraz importem / eksportem JSON.
+ *
+ * Zapis trafia do ustawienia świata "xpBudgetTable"; onChange ustawienia
+ * podmienia aktywną tabelę używaną przez kalkulator.
+ */
+
+import { MODULE_ID } from "../config/constants.js";
+import {
+  XP_BUDGET_2024,
+  XP_BUDGET_KEYS,
+  getActiveBudgetTable,
+  normalizeXpBudgetTable
+} from "../data/xp-budget-2024.js";
+import {
+  styleDialogRoot,
+  bindOnce,
+  setXpBudgetTable
+} from "../services/index.js";
+
+const { ApplicationV2, HandlebarsApplicationMixin } =
+  foundry.applications.api;
+
+export class XpBudgetTableConfig extends HandlebarsApplicationMixin(
+  ApplicationV2
+) {
+  /**
+   * Robocza kopia tabeli edytowanej w oknie.
+   */
+  table = {};
+
+  static DEFAULT_OPTIONS = {
+    id: "dnd5e-2024-xp-budget-table-config",
+    title: "Tabela budżetów XP",
+    classes: [
+      "dnd5e-2024-xp-budget-table-config",
+      "dnd5e-encounter-calculator"
+    ],
+    position: {
+      width: 520,
+      height: 720
+    },
+    window: {
+      title: "Tabela budżetów XP (DMG 2024)",
+      icon: "fa-solid fa-table",
+      resizable: true
+    },
+    actions: {
+      resetTable: XpBudgetTableConfig._onActionResetTable,
+      exportJson: XpBudgetTableConfig._onActionExportJson,
+      importJson: XpBudgetTableConfig._onActionImportJson,
+      saveTable: XpBudgetTableConfig._onActionSaveTable
+    }
+  };
+
+  static PARTS = {
+    main: {
+      template:
+        "modules/dnd5e-2024-encounter/templates/xp-budget-table-config.hbs"
+    }
+  };
+
+  constructor(options = {}) {
+    super(options);
+    this.table = normalizeXpBudgetTable(getActiveBudgetTable());
+  }
+
+  async _prepareContext() {
+    const rows = [];
+    for (let level = 1; level <= 20; level++) {
+      rows.push({
+        level,
+        cells: XP_BUDGET_KEYS.map((key) => ({
+          key,
+          value: this.table[level][key],
+          isChanged: this.table[level][key] !== XP_BUDGET_2024[level][key]
+        }))
+      });
+    }
+    return { rows };
+  }
+
+  _onRender(_context, _options) {
+    const root = this.element;
+    if (!root) return;
+
+    styleDialogRoot(root);
+
+    const fileInput = root.querySelector("input.xbt-import-file");
+    bindOnce(fileInput, "boundImportChange", "change", (event) =>
+      this.#onImportFile(event)
+    );
+  }
+
+  /**
+   * Odczytuje wartości z siatki formularza.
+   *
+   * @returns {Object} tabela { level: { low, moderate, high } }
+   */
+  #readTableFromForm() {
+    const raw = {};
+    const inputs = this.element?.querySelectorAll("input[data-level]") ?? [];
+    for (const input of inputs) {
+      const level = Number(input.dataset.level);
+      raw[level] ??= {};
+      raw[level][input.dataset.key] = input.value;
+    }
+    return normalizeXpBudgetTable(raw);
+  }
+
+  /**
+   * Wczytuje tabelę z wybranego pliku JSON.
+   */
+  async #onImportFile(event) {
+    const file = event.currentTarget.files?.[0];
+    event.currentTarget.value = "";
+    if (!file) return;
+
+    try {
+      const text = await foundry.utils.readTextFromFile(file);
+      const data = JSON.parse(text);
+      this.table = normalizeXpBudgetTable(data?.table ?? data);
+      ui.notifications.info(
+        "Wczytano tabelę z pliku. Kliknij „Zapisz”, aby ją zastosować."
+      );
+      this.render();
+    } catch (e) {
+      console.error(`${MODULE_ID} | Błąd importu tabeli budżetów:`, e);
+      ui.notifications.error("Nie udało się wczytać pliku – nieprawidłowy JSON.");
+    }
+  }
+
+  // ─────────────────────────────────────────────
+  // Actions
+  // ─────────────────────────────────────────────
+
+  static _onActionResetTable(_event, _target) {
+    this.table = normalizeXpBudgetTable(XP_BUDGET_2024);
+    this.render();
+  }
+
+  static _onActionExportJson(_event, _target) {
+    const table = this.#readTableFromForm();
+    const data = JSON.stringify({ module: MODULE_ID, table }, null, 2);
+    foundry.utils.saveDataToFile(
+      data,
+      "application/json",
+      "xp-budget-table.json"
+    );
+  }
+
+  static _onActionImportJson(_event, _target) {
+    this.element?.querySelector("input.xbt-import-file")?.click();
+  }
+
+  static async _onActionSaveTable(_event, _target) {
+    const table = this.#readTableFromForm();
+
+    // Tabela identyczna z wbudowaną zapisujemy jako pusty obiekt,
+    // żeby przyszłe poprawki domyślnych wartości w module działały.
+    const isDefault = Object.keys(XP_BUDGET_2024).every((level) =>
+      XP_BUDGET_KEYS.every((key) => table[level][key] === XP_BUDGET_2024[level][key])
+    );
+
+    await setXpBudgetTable(isDefault ? {} : table);
+    ui.notifications.info("Zapisano tabelę budżetów XP.");
+
+    foundry.applications.instances
+      .get("dnd5e-2024-encounter-calculator")
+      ?.render();
+
+    this.close();
+  }
+}
@@ -5,8 +5,12 @@
  *  - UI kalkulatora (drag & drop aktorów po dwóch stronach),
  *  - przeliczanie budżetu XP na podstawie tabeli 2024,
  *  - ocenę trudności starcia (wg ustawienia modułu: klasyczne DMG lub względem budżetu),
- *  - tworzenie aktora encounter (wrogowie, waluta, opis, summary, przedmioty),
+ *  - tworzenie aktora encounter (wrogowie, waluta, opis, summary, przedmioty)
+ *    i opcjonalnie strony dziennika z podsumowaniem,
+ *  - karty czatu z podsumowaniem starcia (i ponowne wczytanie z karty),
  *  - import aktora encounter (modułowego i ręcznie stworzonego),
+ *  - eksport / import szkicu starcia do pliku JSON,
+ *  - dodawanie wrogów z wklejonej listy (nazwy i ilości),
  *  - obsługę ilości (quantity) wrogów,
  *  - dostarczanie listy przedmiotów do auto-loot w popupie encountera.
  */
@@ -18,36 +22,97 @@ import {
   onActionClearEnemies,
   onActionRemoveEntry,
   onActionOpenEncounterDialog,
+  onActionOpenBudgetFiller,
+  onActionOpenGenerator,
+  onActionOpenXpAward,
+  onActionOpenLibrary,
+  onActionOpenTextListImport,
+  onActionAddSelectedTokens,
+  onActionAddSceneTokens,
+  onActionPopulateFromCombat,
+  onActionToggleCombatSync,
+  onActionRefreshAllEntries,
+  onActionDismissEntryChange,
+  onActionExportCalculatorFile,
+  onActionImportCalculatorFile,
+  onActionPostToChat,
+  onActionUndo,
+  onActionRedo,
+  onActionAddWorkspace,
+  onActionSwitchWorkspace,
+  onActionDuplicateWorkspace,
+  onActionCloseWorkspace,
   onActionSetTargetDifficulty,
-  onActionSaveTeam,
-  onActionSaveAllies,
-  onActionLoadSaved,
-  onActionClearSaved,
+  onActionSetDisplayMode,
+  onActionLoadPartyPreset,
+  onActionSavePartyPreset,
+  onActionRenamePartyPreset,
+  onActionDeletePartyPreset,
+  onActionToggleDefaultPartyPreset,
   onActionIncreaseQuantity,
   onActionDecreaseQuantity
 } from "./calculator-actions.js";
 import {
   MODULE_ID,
-  DEFAULT_ALLY_NPC_WEIGHT
+  DEFAULT_ALLY_NPC_WEIGHT,
+  DEFAULT_MAX_ENEMIES_PER_PC
 } from "./config/constants.js";
 import {
   calculateDifficulty,
+  calculateWaveDifficulties,
   normalizeEnemyQuantities,
+  getTargetDifficultyLabels,
+  buildBudgetBreakdownView,
   aggregateLootFromEnemies,
   getTargetDifficulty,
   getDifficultyDisplayMode,
+  getDifficultyBands,
+  getDifficultyRuleset,
   getAutoLoadSavedAllies,
   getAutoLootQuantityMode,
   getAllyNpcWeight,
-  getSavedAllies,
-  getSavedTeam,
+  getMaxEnemiesPerPc,
+  getMonsterCompendia,
+  getPartyPresets,
+  findPartyPreset,
+  getDefaultPartyPreset,
   createEncounterActor,
+  buildEncounterJournalData,
+  createEncounterJournalPage,
+  buildEncounterChatData,
+  postEncounterChatCard,
+  validateCalculatorFile,
+  bindOnce,
   bindOnceAll,
   getActorXp,
+  refreshEntryFromActor,
   addSingleActorToSide,
+  addActorWithQuantity,
   updateEnemyQuantity,
+  setEnemyWave,
+  normalizeWave,
+  getEntryXp,
+  hasEntryOverrides,
+  setEntryOverride,
+  ENTRY_OVERRIDE_FIELDS,
+  moveEntry,
+  MAX_WAVE,
+  createWorkspace,
+  CALCULATOR_STATE_FLAG,
+  saveCalculatorState,
+  restoreCalculatorState,
+  createCalculatorHistory,
+  snapshotCalculatorState,
+  pushHistoryStep,
+  undoHistoryStep,
+  redoHistoryStep,
   importGroupMembers,
   importEncounterActor,
+  importTokens,
+  buildEntriesFromCombat,
+  buildCalculatorFile,
+  resolveCalculatorFile,
+  findCompendiumActorUuidByName,
   getDefaultDragDropCallbacks,
   prepareDragDropConfig
 } from "./services/index.js";
@@ -63,21 +128,33 @@ export class EncounterCalculatorApp extends HandlebarsApplicationMixin(
    * Aktualny stan aplikacji – listy sojuszników i wrogów.
    * Tablice przechowują uproszczone wpisy:
    *  {
-   *    id, uuid, name, type, level, cr, xp,
+   *    key, id, uuid, name, type, level, cr, xp,
    *    quantity, totalXp
    *  }
+   * Sojusznicy są wspólni; wrogowie należą do aktywnej zakładki
+   * (patrz workspaces oraz akcesory allies / enemies / targetDifficultyKey).
    */
   dragDropHandlers = [];
-  allies = [];
-  enemies = [];
+  #allies = [];
 
   /**
-   * Aktualnie wybrany próg budżetu XP:
-   *  - "low"
-   *  - "moderate"
-   *  - "high"
+   * Zakładki starć (workspace.service): każda ma własnych wrogów,
+   * próg trudności, nazwę i historię cofnij / ponów.
+   */
+  workspaces = [createWorkspace({ name: "Starcie 1" })];
+  activeWorkspaceId = this.workspaces[0].id;
+
+  /**
+   * Historia sojuszników – wspólna dla zakładek, tak jak sama kolumna.
+   * Cofnięcie w zakładce nie przywraca więc sojuszników sprzed zmian
+   * zrobionych w innej zakładce (patrz calculator-history.service.js).
    */
-  targetDifficultyKey = "moderate";
+  alliesHistory = createCalculatorHistory();
+
+  /**
+   * Numer ostatniego kroku historii (wspólny dla zakładek i sojuszników).
+   */
+  #historySeq = 0;
 
   /**
    * Tryb wyliczania ramki „Trudność względem budżetu”:
@@ -86,6 +163,78 @@ export class EncounterCalculatorApp extends HandlebarsApplicationMixin(
    */
   difficultyDisplayMode = "dmg";
 
+  /**
+   * Zestaw zasad liczenia trudności:
+   *  - "2024" – budżet XP na postać,
+   *  - "2014" – progi DMG 2014 + mnożnik za liczbę potworów.
+   * Odczytywany z ustawień przy każdym renderze.
+   */
+  difficultyRuleset = "2024";
+
+  /**
+   * Zestaw drużyny wybrany w nagłówku (id z ustawienia partyPresets).
+   */
+  selectedPartyPresetId = null;
+
+  /**
+   * Synchronizacja z walką na żywo: id śledzonej walki (null = wyłączona)
+   * i id zakładki, do której trafiają wrogowie z tej walki.
+   * Zmiany uczestników przekazuje register-combat-sync.js.
+   */
+  combatSyncId = null;
+  combatSyncWorkspaceId = null;
+
+  /**
+   * Czy zapisany stan kalkulatora (flaga użytkownika) został już odtworzony.
+   * Do tego czasu nie zapisujemy stanu, żeby nie nadpisać go pustym.
+   */
+  #stateRestored = false;
+
+  /**
+   * Klucze wpisów z rozwiniętym panelem nadpisań (XP, waga, poziom PC).
+   */
+  #openOverrideKeys = new Set();
+
+  /**
+   * Zapis stanu do flagi użytkownika z opóźnieniem – kolejne zmiany
+   * w krótkim odstępie czasu dają jeden zapis.
+   */
+  #persistStateDebounced = foundry.utils.debounce(() => {
+    saveCalculatorState(game.user, {
+      allies: this.allies,
+      workspaces: this.workspaces,
+      activeWorkspaceId: this.activeWorkspaceId
+    }).catch((e) =>
+      console.warn(`${MODULE_ID} | Nie udało się zapisać stanu kalkulatora:`, e)
+    );
+  }, 500);
+
+  /**
+   * Panel „Uzupełnij budżet” (BudgetFillerDialog) – tworzony przy
+   * pierwszym otwarciu i odświeżany razem z kalkulatorem.
+   */
+  budgetFillerDialog = null;
+
+  /**
+   * Generator starć (EncounterGeneratorDialog) – tworzony przy pierwszym otwarciu.
+   */
+  generatorDialog = null;
+
+  /**
+   * Okno „Przyznaj XP” (XpAwardDialog) – tworzone przy pierwszym otwarciu.
+   */
+  xpAwardDialog = null;
+
+  /**
+   * Biblioteka szablonów starć (EncounterLibraryDialog) – tworzona przy pierwszym otwarciu.
+   */
+  libraryDialog = null;
+
+  /**
+   * Okno „Dodaj z tekstu” (TextListImportDialog) – tworzone przy pierwszym otwarciu.
+   */
+  textListDialog = null;
+
   /**
    * Podstawowe opcje okna ApplicationV2.
    */
@@ -104,20 +253,44 @@ export class EncounterCalculatorApp extends HandlebarsApplicationMixin(
     },
     dragDrop: [
       {
-        dragSelector: null,
+        // Wiersze kalkulatora można przeciągać w obrębie i między kolumnami.
+        dragSelector: ".actor-entry[data-key]",
         dropSelector: ".encounter-dropzone"
       }
     ],
     actions: {
       clearAllies: EncounterCalculatorApp._onActionClearAllies,
       clearEnemies: EncounterCalculatorApp._onActionClearEnemies,
-      saveTeam: EncounterCalculatorApp._onActionSaveTeam,
-      saveAllies: EncounterCalculatorApp._onActionSaveAllies,
-      loadSaved: EncounterCalculatorApp._onActionLoadSaved,
-      clearSaved: EncounterCalculatorApp._onActionClearSaved,
+      loadPartyPreset: EncounterCalculatorApp._onActionLoadPartyPreset,
+      savePartyPreset: EncounterCalculatorApp._onActionSavePartyPreset,
+      renamePartyPreset: EncounterCalculatorApp._onActionRenamePartyPreset,
+      deletePartyPreset: EncounterCalculatorApp._onActionDeletePartyPreset,
+      toggleDefaultPartyPreset:
+        EncounterCalculatorApp._onActionToggleDefaultPartyPreset,
       removeEntry: EncounterCalculatorApp._onActionRemoveEntry,
       openEncounterDialog: EncounterCalculatorApp._onActionOpenEncounterDialog,
+      openBudgetFiller: EncounterCalculatorApp._onActionOpenBudgetFiller,
+      openGenerator: EncounterCalculatorApp._onActionOpenGenerator,
+      openXpAward: EncounterCalculatorApp._onActionOpenXpAward,
+      openLibrary: EncounterCalculatorApp._onActionOpenLibrary,
+      openTextListImport: EncounterCalculatorApp._onActionOpenTextListImport,
+      addSelectedTokens: EncounterCalculatorApp._onActionAddSelectedTokens,
+      addSceneTokens: EncounterCalculatorApp._onActionAddSceneTokens,
+      populateFromCombat: EncounterCalculatorApp._onActionPopulateFromCombat,
+      toggleCombatSync: EncounterCalculatorApp._onActionToggleCombatSync,
+      refreshAllEntries: EncounterCalculatorApp._onActionRefreshAllEntries,
+      dismissEntryChange: EncounterCalculatorApp._onActionDismissEntryChange,
+      exportCalculatorFile: EncounterCalculatorApp._onActionExportCalculatorFile,
+      importCalculatorFile: EncounterCalculatorApp._onActionImportCalculatorFile,
+      postToChat: EncounterCalculatorApp._onActionPostToChat,
+      undo: EncounterCalculatorApp._onActionUndo,
+      redo: EncounterCalculatorApp._onActionRedo,
+      addWorkspace: EncounterCalculatorApp._onActionAddWorkspace,
+      switchWorkspace: EncounterCalculatorApp._onActionSwitchWorkspace,
+      duplicateWorkspace: EncounterCalculatorApp._onActionDuplicateWorkspace,
+      closeWorkspace: EncounterCalculatorApp._onActionCloseWorkspace,
       setTargetDifficulty: EncounterCalculatorApp._onActionSetTargetDifficulty,
+      setDisplayMode: EncounterCalculatorApp._onActionSetDisplayMode,
       increaseQuantity: EncounterCalculatorApp._onActionIncreaseQuantity,
       decreaseQuantity: EncounterCalculatorApp._onActionDecreaseQuantity
     }
@@ -133,11 +306,71 @@ export class EncounterCalculatorApp extends HandlebarsApplicationMixin(
     }
   };
 
+  /**
+   * Aktywna zakładka starcia.
+   */
+  get activeWorkspace() {
+    return (
+      this.workspaces.find((w) => w.id === this.activeWorkspaceId) ??
+      this.workspaces[0]
+    );
+  }
+
+  /**
+   * Sojusznicy – wspólni dla wszystkich zakładek.
+   * Przypisanie nowej listy zapisuje stan (patrz persistState()).
+   */
+  get allies() {
+    return this.#allies;
+  }
+
+  set allies(value) {
+    this.#allies = value;
+    this.persistState();
+  }
+
+  /**
+   * Wrogowie aktywnej zakładki.
+   */
+  get enemies() {
+    return this.activeWorkspace.enemies;
+  }
+
+  set enemies(value) {
+    this.activeWorkspace.enemies = value;
+    this.persistState();
+  }
+
+  /**
+   * Aktualnie wybrany próg budżetu XP aktywnej zakładki:
+   *  - "low"
+   *  - "moderate"
+   *  - "high"
+   */
+  get targetDifficultyKey() {
+    return this.activeWorkspace.targetDifficultyKey;
+  }
+
+  set targetDifficultyKey(value) {
+    this.activeWorkspace.targetDifficultyKey = value;
+    this.persistState();
+  }
+
+  /**
+   * Historia cofnij / ponów aktywnej zakładki – migawki enemies
+   * i targetDifficultyKey zapisywane przed każdą zmianą (patrz recordHistory()).
+   * Zmiany sojuszników trafiają do wspólnej alliesHistory.
+   */
+  get history() {
+    return this.activeWorkspace.history;
+  }
+
   /**
    * Konstruktor:
    *  - wczytuje zapisany próg trudności z ustawień,
    *  - wczytuje tryb wyświetlania trudności,
-   *  - tworzy instancje DragDrop.
+   *  - tworzy instancje DragDrop,
+   *  - odtwarza zapisany stan użytkownika (lub autowczytuje sojuszników).
    */
   constructor(options = {}) {
     super(options);
@@ -150,16 +383,58 @@ export class EncounterCalculatorApp extends HandlebarsApplicationMixin(
 
     this.dragDropHandlers = this.#createDragDropHandlers();
 
-    // Autowczytywanie zapisanego zestawu sojuszników (jeśli włączone w ustawieniach)
+    // Odtworzenie stanu z flagi użytkownika, a gdy nie ma sojuszników –
+    // autowczytywanie zapisanego zestawu (jeśli włączone w ustawieniach).
     (async () => {
-      if (getAutoLoadSavedAllies()) {
-        await this._loadSavedFromSettings();
-        // renderujemy z nowymi sojusznikami
-        this.render();
+      await this.#restorePersistedState();
+      if (!this.allies.length && getAutoLoadSavedAllies()) {
+        await this._loadDefaultPartyPreset();
       }
+      this.#stateRestored = true;
+      // Zapis obejmuje zestaw drużyny wczytany automatycznie powyżej.
+      this.persistState();
+      this.render();
     })();
   }
 
+  /**
+   * Odtwarza stan kalkulatora zapisany we fladze użytkownika.
+   * Wpisy aktorów, których już nie ma, zostają na liście z oznaczeniem.
+   */
+  async #restorePersistedState() {
+    try {
+      const restored = await restoreCalculatorState(
+        game.user?.getFlag(MODULE_ID, CALCULATOR_STATE_FLAG),
+        { actorResolverByUuid: (uuid) => fromUuid(uuid) }
+      );
+      if (!restored) return;
+
+      // Zakładki są zastępowane – śledzona zakładka walki przestaje istnieć.
+      this.stopCombatSync();
+      this.allies = restored.allies;
+      this.workspaces = restored.workspaces.map((w) => createWorkspace(w));
+      this.activeWorkspaceId = this.workspaces[restored.activeIndex].id;
+
+      if (restored.missing.length) {
+        ui.notifications.warn(
+          `Nie odnaleziono ${restored.missing.length} aktorów z zapisanego stanu kalkulatora – są oznaczeni na liście.`
+        );
+      }
+    } catch (e) {
+      console.error(`${MODULE_ID} | Błąd odtwarzania stanu kalkulatora:`, e);
+    }
+  }
+
+  /**
+   * Zapisuje stan kalkulatora we fladze użytkownika (z opóźnieniem).
+   * Wołane przy każdej zmianie stanu, a nie przy renderze – zmiany
+   * przy zamkniętym oknie (synchronizacja z walką, hooki aktorów)
+   * też muszą trafić do flagi, a render() zamkniętego okna nic nie robi.
+   */
+  persistState() {
+    if (this.#stateRestored) this.#persistStateDebounced();
+  }
+
   /**
    * Tworzy instancje DragDrop na podstawie DEFAULT_OPTIONS.dragDrop.
    */
@@ -180,42 +455,87 @@ export class EncounterCalculatorApp extends HandlebarsApplicationMixin(
   }
 
   /**
-   * Wczytuje zapisane UUIDy sojuszników / drużyny z ustawień świata.
-   * Preferuje `savedAllies`, fallback na `savedTeam`.
+   * Start przeciągania wiersza kalkulatora.
+   * Dane mają typ "Actor" (upuszczenie poza kalkulatorem działa jak
+   * przeciągnięcie aktora z katalogu) oraz znacznik wpisu do przeniesienia.
+   */
+  _onDragStart(event) {
+    const row = event.currentTarget?.closest?.(".actor-entry[data-key]");
+    if (!row) return;
+
+    event.dataTransfer.setData(
+      "text/plain",
+      JSON.stringify({
+        type: "Actor",
+        uuid: row.dataset.uuid,
+        calculatorEntry: {
+          side: row.dataset.side,
+          key: row.dataset.key
+        }
+      })
+    );
+  }
+
+  /**
+   * Wczytuje domyślny zestaw drużyny (autowczytywanie przy otwarciu).
    */
-  async _loadSavedFromSettings() {
+  async _loadDefaultPartyPreset() {
     try {
-      const savedAllies = getSavedAllies();
-      const savedTeam = getSavedTeam();
+      const preset = getDefaultPartyPreset(getPartyPresets());
+      if (!preset) return;
+
+      this.selectedPartyPresetId = preset.id;
+      await this.loadPartyPreset(preset.id, { record: false });
+    } catch (e) {
+      console.error(`${MODULE_ID} | Błąd wczytywania zestawu drużyny:`, e);
+    }
+  }
 
-      const uuids = Array.isArray(savedAllies.uuids) && savedAllies.uuids.length
-        ? savedAllies.uuids
-        : Array.isArray(savedTeam.uuids) ? savedTeam.uuids : [];
+  /**
+   * Zastępuje sojuszników aktorami z zestawu drużyny.
+   *
+   * @param {string} id - id zestawu
+   * @param {Object} [options]
+   * @param {boolean} [options.record=true] - czy zapisać krok historii
+   * @returns {Promise<Object|null>} - { preset, loaded, missing } albo null, gdy brak zestawu
+   */
+  async loadPartyPreset(id, { record = true } = {}) {
+    const preset = findPartyPreset(getPartyPresets(), id);
+    if (!preset) return null;
 
-      if (!uuids || !uuids.length) return;
+    const snapshot = record ? snapshotCalculatorState(this) : null;
+    const allies = [];
+    let missing = 0;
 
-      // Czyścimy obecną lewą stronę i wczytujemy aktorów na nowo
-      this.allies = [];
+    for (const uuid of preset.uuids) {
+      let actor = null;
+      try {
+        actor = await fromUuid(uuid);
+      } catch (e) {
+        console.error(e);
+      }
 
-      for (const uuid of uuids) {
-        try {
-          const actor = await fromUuid(uuid);
-          if (actor) {
-            addSingleActorToSide({
-              allies: this.allies,
-              enemies: this.enemies,
-              actor,
-              side: "allies",
-              getActorXpFn: getActorXp
-            });
-          }
-        } catch (e) {
-          console.error(e);
-        }
+      if (!actor) {
+        missing++;
+        console.warn(
+          `${MODULE_ID} | Nie znaleziono aktora o uuid ${uuid} z zestawu „${preset.name}”.`
+        );
+        continue;
       }
-    } catch (e) {
-      console.error(`${MODULE_ID} | Błąd wczytywania zapisu:`, e);
+
+      addSingleActorToSide({
+        allies,
+        enemies: this.enemies,
+        actor,
+        side: "allies",
+        getActorXpFn: getActorXp
+      });
     }
+
+    this.allies = allies;
+    if (snapshot) this.commitHistory(snapshot);
+    this.render();
+    return { preset, loaded: allies.length, missing };
   }
 
   /**
@@ -225,18 +545,76 @@ export class EncounterCalculatorApp extends HandlebarsApplicationMixin(
   // Upewniamy się, że ilości wrogów są w zakresie 1–99 i totalXp jest przeliczone.
   normalizeEnemyQuantities(this.enemies);
 
-  const difficulty = calculateDifficulty({
-    allies: this.allies,
-    enemies: this.enemies,
-    targetDifficultyKey: this.targetDifficultyKey,
-    difficultyDisplayMode: this.difficultyDisplayMode,
-    allyNpcWeight: this.#getAllyNpcWeight()
-  });
+  const difficulty = this.getDifficulty();
   const target = this.targetDifficultyKey;
+  const targetLabels = getTargetDifficultyLabels(difficulty.ruleset);
+
+  // Udział każdego wroga w budżecie (procent przy wierszu + pasek w stopce).
+  const breakdownView = buildBudgetBreakdownView(difficulty);
+  // Zestawy drużyny (lista w nagłówku).
+  const partyPresets = getPartyPresets();
+  if (!findPartyPreset(partyPresets, this.selectedPartyPresetId)) {
+    this.selectedPartyPresetId = null;
+  }
+  const selectedPreset = findPartyPreset(partyPresets, this.selectedPartyPresetId);
+
+  // Ostrzeżenia: przypięte do wiersza wroga albo dotyczące całego starcia.
+  const encounterWarnings = difficulty.warnings.filter((w) => !w.uuid);
+  const overridesView = (entry) => ({
+    effectiveXp: getEntryXp(entry),
+    hasOverrides: hasEntryOverrides(entry),
+    overridesOpen:
+      hasEntryOverrides(entry) || this.#openOverrideKeys.has(entry.key)
+  });
+  const allyRows = this.allies.map((ally) => ({
+    ...ally,
+    ...overridesView(ally),
+    isNpc: ally.type === "npc"
+  }));
+  const enemyRows = this.enemies.map((enemy) => ({
+    ...enemy,
+    ...overridesView(enemy),
+    wave: normalizeWave(enemy.wave),
+    budgetSharePercent:
+      breakdownView.sharesByKey.get(enemy.key ?? enemy.uuid)?.budgetPercent ?? 0,
+    warnings: difficulty.warnings.filter(
+      (w) => w.key === (enemy.key ?? enemy.uuid)
+    )
+  }));
+
+  // Fale wrogów: wiersze pogrupowane po fali + trudność fali i narastająco.
+  const waveDifficulties = this.getWaveDifficulties();
+  const lastWave = waveDifficulties.at(-1)?.wave ?? 1;
+  const waveChoices = Array.from(
+    { length: Math.min(MAX_WAVE, lastWave + 1) },
+    (_, i) => i + 1
+  );
+  const enemyWaves = (waveDifficulties.length ? waveDifficulties : [{ wave: 1 }])
+    .map((w) => ({
+      wave: w.wave,
+      enemiesCount: w.enemiesCount ?? 0,
+      label: w.result?.label ?? "",
+      xpTotal: w.result?.totalXP ?? 0,
+      xpAdjusted: w.result?.adjustedXP ?? 0,
+      cumulativeLabel: w.cumulative?.label ?? "",
+      cumulativeXp: w.cumulative?.adjustedXP ?? 0,
+      entries: enemyRows
+        .filter((row) => row.wave === w.wave)
+        .map((row) => ({
+          ...row,
+          waveOptions: waveChoices.map((value) => ({
+            value,
+            selected: value === row.wave
+          }))
+        }))
+    }));
 
   return {
-    allies: this.allies,
-    enemies: this.enemies,
+    allies: allyRows,
+    allyNpcWeight: this.#getAllyNpcWeight(),
+    enemies: enemyRows,
+    enemyWaves,
+    hasMultipleWaves: enemyWaves.length > 1,
     alliesCount: this.allies.length,
     // Liczba wrogów = suma quantity wszystkich wpisów
     enemiesCount: this.enemies.reduce((sum, enemy) => {
@@ -246,9 +624,43 @@ export class EncounterCalculatorApp extends HandlebarsApplicationMixin(
       return sum + safeQty;
     }, 0),
     difficultyLabel: difficulty.label,             // „Trudność względem budżetu”
+    difficultyLabelColor: difficulty.labelColor,   // kolor progu (tryb "budget")
+    isDisplayModeDmg: difficulty.displayMode !== "budget",
+    isDisplayModeBudget: difficulty.displayMode === "budget",
     difficultyTargetLabel: difficulty.targetLabel, // „Budowane pod trudność”
     xpBudget: difficulty.budget,                   // Budżet XP (docelowy)
     xpTotal: difficulty.totalXP,                   // Suma XP wrogów
+    xpAdjusted: difficulty.adjustedXP,             // XP po mnożniku (2014)
+    xpMultiplier: difficulty.multiplier,
+    isRuleset2014: difficulty.ruleset === "2014",
+    targetLabels,
+    hasBudgetShares: difficulty.budget > 0,
+    partyPresets: partyPresets.presets.map((p) => ({
+      id: p.id,
+      name: p.name,
+      count: p.uuids.length,
+      isDefault: p.id === partyPresets.defaultId,
+      isSelected: p.id === this.selectedPartyPresetId
+    })),
+    hasSelectedPartyPreset: !!selectedPreset,
+    isSelectedPartyPresetDefault:
+      !!selectedPreset && selectedPreset.id === partyPresets.defaultId,
+    workspaces: this.workspaces.map((w) => ({
+      id: w.id,
+      name: w.name,
+      isActive: w.id === this.activeWorkspaceId,
+      enemiesCount: w.enemies.reduce(
+        (sum, e) => sum + (Number(e.quantity ?? 1) || 1),
+        0
+      )
+    })),
+    combatSyncActive: !!this.combatSyncId,
+    canUndo: this.history.past.length > 0 || this.alliesHistory.past.length > 0,
+    canRedo:
+      this.history.future.length > 0 || this.alliesHistory.future.length > 0,
+    budgetBar: breakdownView,
+    encounterWarnings,
+    hasEncounterWarnings: encounterWarnings.length > 0,
     targetDifficultyKey: target,
     isTargetLow: target === "low",
     isTargetModerate: target === "moderate",
@@ -261,7 +673,7 @@ export class EncounterCalculatorApp extends HandlebarsApplicationMixin(
    * Po renderze:
    *  - podpinamy DragDrop,
    *  - nakładamy style użytkownika,
-   *  - podpinamy inputy quantity dla wrogów.
+   *  - podpinamy inputy quantity i wybór fali dla wrogów.
    */
   _onRender(_context, _options) {
     const root = this.element;
@@ -280,6 +692,75 @@ export class EncounterCalculatorApp extends HandlebarsApplicationMixin(
       "change",
       (event) => this.#onQuantityInputChange(event)
     );
+
+    // Wybór zestawu drużyny od razu go wczytuje.
+    const presetSelect = root.querySelector("select.party-preset-select");
+    bindOnce(presetSelect, "boundPartyPresetChange", "change", (event) => {
+      this.selectedPartyPresetId = event.currentTarget.value || null;
+      if (this.selectedPartyPresetId) {
+        onActionLoadPartyPreset(this, event, event.currentTarget);
+      } else {
+        this.render();
+      }
+    });
+
+    const nameInput = root.querySelector("input.workspace-name-input");
+    bindOnce(nameInput, "boundWorkspaceRename", "change", (event) => {
+      const name = String(event.currentTarget.value ?? "").trim();
+      const workspace = this.activeWorkspace;
+      if (!name || name === workspace.name) {
+        event.currentTarget.value = workspace.name;
+        return;
+      }
+      workspace.name = name;
+      workspace.customName = true;
+      this.persistState();
+      this.render();
+    });
+
+    const overrideInputs = root.querySelectorAll("input[data-override]");
+    bindOnceAll(overrideInputs, "boundOverrideChange", "change", (event) => {
+      const input = event.currentTarget;
+      const list =
+        input.dataset.side === "enemies" ? this.enemies : this.allies;
+      this.recordHistory({ allies: input.dataset.side !== "enemies" });
+      setEntryOverride(
+        list,
+        input.dataset.key,
+        input.dataset.override,
+        input.value
+      );
+      this.render();
+    });
+
+    const overridePanels = root.querySelectorAll("details.entry-overrides");
+    bindOnceAll(overridePanels, "boundOverrideToggle", "toggle", (event) => {
+      const panel = event.currentTarget;
+      if (panel.open) this.#openOverrideKeys.add(panel.dataset.key);
+      else this.#openOverrideKeys.delete(panel.dataset.key);
+    });
+
+    const waveSelects = root.querySelectorAll("select.wave-select");
+    bindOnceAll(waveSelects, "boundWaveChange", "change", (event) => {
+      const select = event.currentTarget;
+      this.recordHistory();
+      setEnemyWave(this.enemies, select.dataset.key, select.value);
+      this.render();
+    });
+
+    // Luka w budżecie zależy od stanu kalkulatora – odświeżamy otwarty panel.
+    if (this.budgetFillerDialog?.rendered) {
+      this.budgetFillerDialog.render();
+    }
+    if (this.generatorDialog?.rendered) {
+      this.generatorDialog.render();
+    }
+    if (this.libraryDialog?.rendered) {
+      this.libraryDialog.render();
+    }
+    if (this.xpAwardDialog?.rendered) {
+      this.xpAwardDialog.render();
+    }
   }
 
   /**
@@ -297,6 +778,12 @@ export class EncounterCalculatorApp extends HandlebarsApplicationMixin(
     const type = data.type ?? data.documentName;
     if (type !== "Actor") return;
 
+    // Wiersz przeciągnięty z samego kalkulatora – przeniesienie zamiast dodania.
+    if (data.calculatorEntry) {
+      this.#onEntryDrop(event, data.calculatorEntry);
+      return;
+    }
+
     // Rozpoznanie uuid aktora z różnych możliwych formatów drag danych.
     const uuid =
       data.uuid ??
@@ -311,10 +798,19 @@ export class EncounterCalculatorApp extends HandlebarsApplicationMixin(
     const actor = await fromUuid(uuid);
     if (!actor) return;
 
+    // PC upuszczony na wrogów znika z sojuszników – historię zapisujemy
+    // po zmianie, porównując z migawką.
+    const snapshot = snapshotCalculatorState(this);
+
     // Określenie strony dropu (allies/enemies).
     const dropTarget = event.target.closest("[data-side]");
     let side = dropTarget?.dataset.side ?? "allies";
 
+    // Fala wrogów: drop na grupę fali trafia do tej fali, w innym razie do 1.
+    const wave = normalizeWave(
+      event.target.closest(".wave-group")?.dataset.wave ?? 1
+    );
+
     // Aktor typu "group" – rozwijamy członków.
     if (actor.type === "group") {
       await importGroupMembers({
@@ -327,6 +823,7 @@ export class EncounterCalculatorApp extends HandlebarsApplicationMixin(
         logWarn: (msg) => console.warn(`${MODULE_ID} | ${msg}`),
         getActorXpFn: getActorXp
       });
+      this.commitHistory(snapshot);
       this.render();
       return;
     }
@@ -345,11 +842,116 @@ export class EncounterCalculatorApp extends HandlebarsApplicationMixin(
         moduleId: MODULE_ID,
         getActorXpFn: getActorXp
       });
+      this.commitHistory(snapshot);
       this.render();
       return;
     }
 
     // Zwykły aktor (PC/NPC/potwór).
+    addSingleActorToSide({
+      allies: this.allies,
+      enemies: this.enemies,
+      actor,
+      side,
+      getActorXpFn: getActorXp,
+      wave
+    });
+    this.commitHistory(snapshot);
+    this.render();
+  }
+
+  /**
+   * Przeniesienie wiersza kalkulatora: zmiana kolejności, fali lub strony.
+   *
+   * @param {DragEvent} event
+   * @param {Object} entryRef - { side, key }
+   */
+  #onEntryDrop(event, { side: fromSide, key }) {
+    const toSide = event.target.closest("[data-side]")?.dataset.side;
+    if (!key || !["allies", "enemies"].includes(toSide)) return;
+
+    const targetRow = event.target.closest(".actor-entry[data-key]");
+    const beforeRef =
+      targetRow && targetRow.dataset.side === toSide
+        ? targetRow.dataset.key
+        : null;
+    const waveGroup = event.target.closest(".wave-group")?.dataset.wave;
+
+    const snapshot = snapshotCalculatorState(this);
+    const moved = moveEntry({
+      allies: this.allies,
+      enemies: this.enemies,
+      fromSide,
+      ref: key,
+      toSide,
+      beforeRef,
+      wave: waveGroup
+    });
+    if (!moved) return;
+
+    this.commitHistory(snapshot);
+    this.render();
+  }
+
+  /**
+   * Wylicza trudność dla aktualnego stanu kalkulatora.
+   * Używane przez _prepareContext oraz okna pomocnicze (np. uzupełnianie budżetu).
+   * Opcjonalnie można podać inną listę wrogów (np. próbę z generatora starć).
+   *
+   * @param {Object} [params]
+   * @param {Array} [params.enemies=this.enemies]
+   * @returns {Object} - wynik calculateDifficulty()
+   */
+  getDifficulty({ enemies = this.enemies } = {}) {
+    return calculateDifficulty(this.#getDifficultyParams(enemies));
+  }
+
+  /**
+   * Wylicza trudność każdej fali wrogów osobno i narastająco.
+   *
+   * @returns {Array} - wynik calculateWaveDifficulties()
+   */
+  getWaveDifficulties() {
+    return calculateWaveDifficulties(this.#getDifficultyParams(this.enemies));
+  }
+
+  /**
+   * Parametry calculateDifficulty dla bieżącej drużyny i ustawień.
+   *
+   * @param {Array} enemies
+   * @returns {Object}
+   */
+  #getDifficultyParams(enemies) {
+    // Zestaw zasad może się zmienić w ustawieniach przy otwartym oknie.
+    this.difficultyRuleset = getDifficultyRuleset();
+
+    return {
+      allies: this.allies,
+      enemies,
+      targetDifficultyKey: this.targetDifficultyKey,
+      difficultyDisplayMode: this.difficultyDisplayMode,
+      allyNpcWeight: this.#getAllyNpcWeight(),
+      ruleset: this.difficultyRuleset,
+      maxEnemiesPerPc: getMaxEnemiesPerPc(DEFAULT_MAX_ENEMIES_PER_PC),
+      difficultyBands: getDifficultyBands()
+    };
+  }
+
+  /**
+   * Dodaje aktora o podanym UUID po wskazanej stronie i odświeża okno.
+   *
+   * @param {string} uuid
+   * @param {string} side - "allies" | "enemies"
+   * @returns {Promise<boolean>} - czy aktor został dodany
+   */
+  async addActorFromUuid(uuid, side = "enemies") {
+    const actor = uuid ? await fromUuid(uuid) : null;
+    if (!actor || actor.documentName !== "Actor") {
+      ui.notifications.warn("Nie znaleziono aktora do dodania.");
+      return false;
+    }
+
+    const snapshot = snapshotCalculatorState(this);
     addSingleActorToSide({
       allies: this.allies,
       enemies: this.enemies,
@@ -357,6 +959,535 @@ export class EncounterCalculatorApp extends HandlebarsApplicationMixin(
       side,
       getActorXpFn: getActorXp
     });
+    this.commitHistory(snapshot);
+    this.render();
+    return true;
+  }
+
+  /**
+   * Zastępuje listę wrogów aktorami o podanych UUID (z ilościami).
+   * Używane przez generator starć.
+   *
+   * @param {Array} refs - [{ uuid, quantity }]
+   * @returns {Promise<string[]>} - UUID, których nie udało się wczytać
+   */
+  async replaceEnemies(refs) {
+    const snapshot = snapshotCalculatorState(this);
+    const enemies = [];
+    const missing = [];
+
+    for (const { uuid, quantity } of refs ?? []) {
+      const actor = uuid ? await fromUuid(uuid) : null;
+      if (!actor || actor.documentName !== "Actor") {
+        missing.push(uuid);
+        continue;
+      }
+
+      const entry = addSingleActorToSide({
+        allies: this.allies,
+        enemies,
+        actor,
+        side: "enemies",
+        getActorXpFn: getActorXp
+      });
+      updateEnemyQuantity(enemies, entry.key, "set", Number(quantity) || 1);
+    }
+
+    this.commitHistory(snapshot);
+    this.enemies = enemies;
+    this.render();
+    return missing;
+  }
+
+  /**
+   * Dodaje aktorów z tokenów sceny (strona wg nastawienia tokena).
+   * Cała operacja to jeden krok historii.
+   *
+   * @param {Array} tokens - Token lub TokenDocument
+   * @param {Object} [options]
+   * @param {string[]} [options.sides] - które strony importować
+   * @returns {Object} - wynik importTokens(): { allies, enemies, skipped }
+   */
+  addTokens(tokens, { sides } = {}) {
+    const snapshot = snapshotCalculatorState(this);
+    const counts = importTokens({
+      allies: this.allies,
+      enemies: this.enemies,
+      tokens,
+      sides,
+      getActorXpFn: getActorXp
+    });
+
+    if (counts.allies || counts.enemies) {
+      this.commitHistory(snapshot);
+      this.render();
+    }
+    return counts;
+  }
+
+  // ─────────────────────────────────────────────
+  // PLIK JSON – eksport / import szkicu starcia
+  // ─────────────────────────────────────────────
+
+  /**
+   * Buduje plik eksportu aktywnej zakładki (sojusznicy, wrogowie,
+   * próg trudności, nazwa wybranego zestawu drużyny).
+   *
+   * @returns {Object} - wynik buildCalculatorFile()
+   */
+  exportCalculatorFile() {
+    const preset = findPartyPreset(getPartyPresets(), this.selectedPartyPresetId);
+    return buildCalculatorFile({
+      allies: this.allies,
+      enemies: this.enemies,
+      targetDifficultyKey: this.targetDifficultyKey,
+      name: this.activeWorkspace.name,
+      partyPresetName: preset?.name ?? null
+    });
+  }
+
+  /**
+   * Wczytuje sprawdzony plik eksportu do aktywnej zakładki
+   * (zastępuje sojuszników, wrogów i próg trudności – jeden krok historii).
+   * Zestaw drużyny o nazwie z pliku zostaje wybrany, jeśli istnieje.
+   * Bez includeAllies sojusznicy (wspólni dla zakładek) i zestaw zostają bez zmian.
+   *
+   * @param {Object} data - dane po validateCalculatorFile()
+   * @param {Object} [options]
+   * @param {boolean} [options.includeAllies=true] - czy zastąpić sojuszników z pliku
+   * @returns {Promise<Object>} - { missing, relinked, partyPresetFound }
+   */
+  async importCalculatorFile(data, { includeAllies = true } = {}) {
+    if (!includeAllies) data = { ...data, allies: [], partyPreset: null };
+
+    const state = await resolveCalculatorFile(data, {
+      actorResolverByUuid: (uuid) => fromUuid(uuid),
+      findUuidByName: (name) =>
+        findCompendiumActorUuidByName(name, {
+          packs: game.packs,
+          packIds: getMonsterCompendia()
+        }),
+      getActorXpFn: getActorXp
+    });
+
+    this.recordHistory({ allies: includeAllies });
+    if (includeAllies) this.allies = state.allies;
+    this.enemies = state.enemies;
+    this.targetDifficultyKey = state.targetDifficultyKey;
+
+    if (state.name) {
+      this.activeWorkspace.name = state.name;
+      this.activeWorkspace.customName = true;
+    }
+
+    const presetName = state.partyPresetName?.toLowerCase();
+    const preset = presetName
+      ? getPartyPresets().presets.find((p) => p.name.toLowerCase() === presetName)
+      : null;
+    if (includeAllies) this.selectedPartyPresetId = preset?.id ?? null;
+
+    this.render();
+    return {
+      missing: state.missing,
+      relinked: state.relinked,
+      partyPresetFound: !state.partyPresetName || !!preset
+    };
+  }
+
+  // ─────────────────────────────────────────────
+  // KARTA CZATU – podsumowanie starcia
+  // ─────────────────────────────────────────────
+
+  /**
+   * Publikuje na czacie kartę aktywnej zakładki (wrogowie, XP, budżet,
+   * trudność). Widoczność karty wynika z bieżącego trybu rzutu.
+   *
+   * @param {Object} [options]
+   * @param {string} [options.name] - nazwa na karcie (domyślnie nazwa zakładki)
+   * @param {Object|null} [options.treasure] - waluty i przedmioty z popupu encountera
+   * @returns {Promise<ChatMessage>}
+   */
+  async postEncounterToChat({ name, treasure = null } = {}) {
+    const encounter = this.exportCalculatorFile();
+    if (name) encounter.name = name;
+
+    return postEncounterChatCard({
+      data: buildEncounterChatData({
+        name: encounter.name,
+        enemies: this.enemies,
+        difficulty: this.getDifficulty(),
+        treasure
+      }),
+      encounter
+    });
+  }
+
+  /**
+   * Otwiera kalkulator ze starciem zapisanym na karcie czatu.
+   * Do nowej zakładki trafiają tylko wrogowie i próg trudności – sojusznicy
+   * są wspólni dla wszystkich zakładek, więc stara karta nie może ich podmienić.
+   *
+   * @param {Object} encounter - flaga karty (wynik buildCalculatorFile())
+   * @returns {Promise<boolean>}
+   */
+  async openEncounterCard(encounter) {
+    const errors = validateCalculatorFile(encounter);
+    if (errors.length) {
+      ui.notifications.error(`Nie można wczytać starcia z karty: ${errors[0]}`);
+      return false;
+    }
+
+    const workspace = createWorkspace({
+      name: encounter.name || "Starcie z czatu",
+      customName: !!encounter.name
+    });
+    this.workspaces.push(workspace);
+    this.activeWorkspaceId = workspace.id;
+
+    const { missing } = await this.importCalculatorFile(encounter, {
+      includeAllies: false
+    });
+    if (missing.length) {
+      ui.notifications.warn(
+        `Nie odnaleziono aktorów: ${missing.join(", ")} – są oznaczeni na liście.`
+      );
+    }
+
+    this.render({ force: true });
+    return true;
+  }
+
+  // ─────────────────────────────────────────────
+  // WALKA – odczyt uczestników i synchronizacja
+  // ─────────────────────────────────────────────
+
+  /**
+   * Zastępuje sojuszników i wrogów uczestnikami walki (bez pokonanych).
+   * Nadpisania i fale wpisów tych samych aktorów są zachowywane.
+   *
+   * Domyślnie celem jest zakładka synchronizacji. Gdy jej już nie ma
+   * (zamknięta albo zastąpiona), synchronizacja jest wyłączana – zmiany
+   * walki nie mogą trafić do innej, przypadkiem otwartej zakładki.
+   *
+   * @param {Combat} combat
+   * @param {Object} [options]
+   * @param {boolean} [options.record=false] - czy zapisać krok historii
+   * @param {string} [options.workspaceId] - zakładka docelowa
+   * @returns {Object} - { allies, enemies, skipped }
+   */
+  syncFromCombat(
+    combat,
+    { record = false, workspaceId = this.combatSyncWorkspaceId } = {}
+  ) {
+    const workspace = this.workspaces.find((w) => w.id === workspaceId);
+    if (!workspace) {
+      this.stopCombatSync();
+      return { allies: 0, enemies: 0, skipped: 0 };
+    }
+
+    const { allies, enemies, counts } = buildEntriesFromCombat({
+      combat,
+      previousAllies: this.allies,
+      previousEnemies: workspace.enemies,
+      getActorXpFn: getActorXp
+    });
+
+    const snapshot = record
+      ? snapshotCalculatorState({
+          allies: this.allies,
+          enemies: workspace.enemies,
+          targetDifficultyKey: workspace.targetDifficultyKey
+        })
+      : null;
+
+    this.allies = allies;
+    // Zakładka synchronizacji nie musi być aktywna – zapis przez allies wyżej.
+    workspace.enemies = enemies;
+    if (snapshot) this.commitHistory(snapshot, workspace);
+    this.render();
+    return counts;
+  }
+
+  /**
+   * Włącza synchronizację na żywo z walką (do aktywnej zakładki).
+   *
+   * @param {Combat} combat
+   */
+  startCombatSync(combat) {
+    this.combatSyncId = combat.id;
+    this.combatSyncWorkspaceId = this.activeWorkspaceId;
+    this.syncFromCombat(combat, { record: true });
+  }
+
+  /**
+   * Wyłącza synchronizację z walką. Listy zostają w obecnym stanie.
+   */
+  stopCombatSync() {
+    if (!this.combatSyncId) return;
+    this.combatSyncId = null;
+    this.combatSyncWorkspaceId = null;
+    this.render();
+  }
+
+  // ─────────────────────────────────────────────
+  // AKTORZY ŹRÓDŁOWI – odświeżanie wpisów
+  // ─────────────────────────────────────────────
+
+  /**
+   * Wszystkie wpisy kalkulatora: sojusznicy i wrogowie ze wszystkich zakładek.
+   *
+   * @returns {Array}
+   */
+  #getAllEntries() {
+    return [this.allies, ...this.workspaces.map((w) => w.enemies)].flat();
+  }
+
+  /**
+   * Reakcja na zmianę aktora (hook updateActor albo zmiana jego przedmiotu
+   * klasy przy awansie): odświeża jego wpisy.
+   * Zmienione wartości oznacza znacznik „zmieniono” przy wpisie.
+   *
+   * @param {Actor} actor
+   */
+  onActorUpdated(actor) {
+    const entries = this.#getAllEntries().filter((e) => e.uuid === actor.uuid);
+    if (!entries.length) return;
+
+    for (const entry of entries) refreshEntryFromActor(entry, actor, getActorXp);
+    this.persistState();
+    this.render();
+  }
+
+  /**
+   * Reakcja na usunięcie aktora (hook deleteActor): wpisy zostają
+   * na liście z oznaczeniem „brak aktora”.
+   *
+   * @param {Actor} actor
+   */
+  onActorDeleted(actor) {
+    const entries = this.#getAllEntries().filter((e) => e.uuid === actor.uuid);
+    if (!entries.length) return;
+
+    for (const entry of entries) entry.missing = true;
+    this.persistState();
+    this.render();
+  }
+
+  /**
+   * Ponownie wczytuje wszystkich aktorów z wpisów i odświeża ich dane.
+   * Usuwa wcześniejsze znaczniki „zmieniono” (nowe różnice oznacza od nowa).
+   *
+   * @returns {Promise<Object>} - { changed, missing } – liczby wpisów
+   */
+  async refreshAllEntries() {
+    const entries = this.#getAllEntries();
+    const actors = new Map();
+    let changed = 0;
+    let missing = 0;
+
+    for (const entry of entries) {
+      delete entry.changed;
+
+      if (!actors.has(entry.uuid)) {
+        let actor = null;
+        try {
+          actor = await fromUuid(entry.uuid);
+        } catch (e) {
+          actor = null;
+        }
+        actors.set(entry.uuid, actor);
+      }
+
+      const actor = actors.get(entry.uuid);
+      if (!actor) {
+        entry.missing = true;
+        missing++;
+        continue;
+      }
+      if (refreshEntryFromActor(entry, actor, getActorXp)) changed++;
+    }
+
+    this.persistState();
+    this.render();
+    return { changed, missing };
+  }
+
+  /**
+   * Wstawia wrogów z szablonu biblioteki do kolumny wrogów
+   * (zastępując ją albo dołączając – wtedy wpisy tego samego aktora
+   * w tej samej fali i z tymi samymi nadpisaniami sumują ilości).
+   * Cała operacja to jeden krok historii.
+   *
+   * @param {Object} template - szablon z encounter-templates.service
+   * @param {Object} [options]
+   * @param {boolean} [options.append=false]
+   * @returns {Promise<string[]>} - nazwy wrogów, których aktorów nie znaleziono
+   */
+  async addTemplateEnemies(template, { append = false } = {}) {
+    // Migawka przed pętlą – PC z szablonu znika z sojuszników już przy dodaniu.
+    const snapshot = snapshotCalculatorState(this);
+    const enemies = append ? foundry.utils.deepClone(this.enemies) : [];
+    const missing = [];
+
+    for (const e of template?.enemies ?? []) {
+      const actor = await fromUuid(e.uuid).catch(() => null);
+      if (!actor || actor.documentName !== "Actor") {
+        missing.push(e.name ?? e.uuid);
+        continue;
+      }
+
+      const overrides = {};
+      for (const field of ENTRY_OVERRIDE_FIELDS) {
+        if (e[field] !== undefined) overrides[field] = e[field];
+      }
+
+      addActorWithQuantity({
+        allies: this.allies,
+        enemies,
+        actor,
+        quantity: e.quantity,
+        getActorXpFn: getActorXp,
+        wave: normalizeWave(e.wave),
+        overrides
+      });
+    }
+
+    this.commitHistory(snapshot);
+    this.enemies = enemies;
+    this.render();
+    return missing;
+  }
+
+  /**
+   * Dopisuje do wrogów aktorów o podanych UUID z ilościami
+   * (ilość sumuje się z istniejącym wpisem w pierwszej fali).
+   * Używane przez okno „Dodaj z tekstu”. Cała operacja to jeden krok historii.
+   *
+   * @param {Array} refs - [{ uuid, quantity, name? }]
+   * @returns {Promise<string[]>} - nazwy (lub UUID) aktorów, których nie udało się wczytać
+   */
+  async addEnemiesWithQuantities(refs) {
+    const snapshot = snapshotCalculatorState(this);
+    const enemies = foundry.utils.deepClone(this.enemies);
+    const missing = [];
+
+    for (const ref of refs ?? []) {
+      const actor = ref.uuid ? await fromUuid(ref.uuid).catch(() => null) : null;
+      if (!actor || actor.documentName !== "Actor") {
+        missing.push(ref.name ?? ref.uuid);
+        continue;
+      }
+
+      addActorWithQuantity({
+        allies: this.allies,
+        enemies,
+        actor,
+        quantity: ref.quantity,
+        getActorXpFn: getActorXp
+      });
+    }
+
+    this.commitHistory(snapshot);
+    this.enemies = enemies;
+    this.render();
+    return missing;
+  }
+
+  // ─────────────────────────────────────────────
+  // HISTORIA – cofnij / ponów
+  // ─────────────────────────────────────────────
+
+  /**
+   * Zapisuje w historii stan sprzed zmiany.
+   * Wołane tuż przed każdą modyfikacją list lub progu trudności.
+   *
+   * @param {Object} [options]
+   * @param {boolean} [options.allies=false] - czy zmiana dotyczy sojuszników
+   */
+  recordHistory({ allies = false } = {}) {
+    this.#pushHistoryStep(this.activeWorkspace, snapshotCalculatorState(this), {
+      allies
+    });
+  }
+
+  /**
+   * Zapisuje w historii migawkę zrobioną przed zmianą, która już się odbyła.
+   * Sojusznicy trafiają do historii tylko wtedy, gdy faktycznie się zmienili
+   * (np. PC dodany do wrogów znika z sojuszników).
+   *
+   * @param {Object} snapshot - wynik snapshotCalculatorState() sprzed zmiany
+   * @param {Object} [workspace] - zakładka zmiany (domyślnie aktywna)
+   */
+  commitHistory(snapshot, workspace = this.activeWorkspace) {
+    this.#pushHistoryStep(workspace, snapshot, {
+      allies: !foundry.utils.objectsEqual(snapshot.allies, this.allies)
+    });
+  }
+
+  #pushHistoryStep(workspace, snapshot, { allies }) {
+    pushHistoryStep({
+      history: workspace.history,
+      alliesHistory: this.alliesHistory,
+      snapshot,
+      seq: ++this.#historySeq,
+      allies
+    });
+    // Krok historii poprzedza zmianę – zapis z opóźnieniem obejmie już nowy stan.
+    this.persistState();
+  }
+
+  /**
+   * Cofa ostatnią zmianę.
+   *
+   * @returns {boolean} - czy było co cofnąć
+   */
+  undo() {
+    const snapshot = undoHistoryStep(
+      this.history,
+      this.alliesHistory,
+      snapshotCalculatorState(this)
+    );
+    if (!snapshot) return false;
+    this.#restoreSnapshot(snapshot);
+    return true;
+  }
+
+  /**
+   * Ponawia ostatnio cofniętą zmianę.
+   *
+   * @returns {boolean} - czy było co ponowić
+   */
+  redo() {
+    const snapshot = redoHistoryStep(
+      this.history,
+      this.alliesHistory,
+      snapshotCalculatorState(this)
+    );
+    if (!snapshot) return false;
+    this.#restoreSnapshot(snapshot);
+    return true;
+  }
+
+  /**
+   * Przywraca migawkę stanu i odświeża okno.
+   * Migawka zawiera tylko pola cofanego kroku (sojuszników i/lub zakładkę).
+   *
+   * @param {Object} snapshot - wynik undoHistoryStep() / redoHistoryStep()
+   */
+  #restoreSnapshot(snapshot) {
+    if (snapshot.allies) this.allies = snapshot.allies;
+    if (snapshot.enemies) this.enemies = snapshot.enemies;
+
+    if (
+      snapshot.targetDifficultyKey &&
+      snapshot.targetDifficultyKey !== this.targetDifficultyKey
+    ) {
+      this.targetDifficultyKey = snapshot.targetDifficultyKey;
+      game.settings
+        .set(MODULE_ID, "targetDifficulty", snapshot.targetDifficultyKey)
+        .catch(() => {});
+    }
+
     this.render();
   }
 
@@ -408,12 +1539,36 @@ export class EncounterCalculatorApp extends HandlebarsApplicationMixin(
    *  - summary / description z popupu,
    *  - waluty,
    *  - przedmioty z zakładki "Przedmioty" (z ilościami).
+   * Przy config.exportJournal dodaje też stronę dziennika z podsumowaniem
+   * (trudność liczona dla bieżącej drużyny).
    */
   async createEncounterFromEnemies(config) {
-    return createEncounterActor({
-      enemies: this.enemies ?? [],
-      config
-    });
+    const enemies = this.enemies ?? [];
+    const encounterActor = await createEncounterActor({ enemies, config });
+    if (!encounterActor || !config.exportJournal) return encounterActor;
+
+    try {
+      const page = await createEncounterJournalPage({
+        data: buildEncounterJournalData({
+          enemies,
+          difficulty: this.getDifficulty({ enemies }),
+          config,
+          encounterActor
+        }),
+        journalId: config.journalId,
+        journalName: config.folderName
+      });
+      if (page) {
+        ui.notifications.info(
+          `Dodano stronę „${page.name}” do dziennika „${page.parent.name}”.`
+        );
+      }
+    } catch (e) {
+      ui.notifications.error("Nie udało się utworzyć strony dziennika.");
+      console.error(`${MODULE_ID} | Błąd tworzenia strony dziennika:`, e);
+    }
+
+    return encounterActor;
   }
 
 
@@ -423,28 +1578,32 @@ export class EncounterCalculatorApp extends HandlebarsApplicationMixin(
    */
   #onQuantityInputChange(event) {
     const input = event.currentTarget;
-    const uuid = input.dataset.uuid;
-    if (!uuid) return;
+    const ref = input.dataset.key || input.dataset.uuid;
+    if (!ref) return;
 
     const raw = input.value;
     let parsed = Number(raw);
 
     if (!Number.isFinite(parsed)) {
-      const enemy = this.enemies.find((e) => e.uuid === uuid);
+      const enemy =
+        this.enemies.find((e) => e.key === ref) ??
+        this.enemies.find((e) => e.uuid === ref);
       const currentQ = Number(enemy?.quantity ?? 1) || 1;
       input.value = String(currentQ);
       return;
     }
 
+    this.recordHistory();
+
     if (parsed <= 0) {
-      updateEnemyQuantity(this.enemies, uuid, "set", parsed);
+      updateEnemyQuantity(this.enemies, ref, "set", parsed);
       this.render();
       return;
     }
 
     if (parsed > 99) parsed = 99;
 
-    updateEnemyQuantity(this.enemies, uuid, "set", parsed);
+    updateEnemyQuantity(this.enemies, ref, "set", parsed);
     this.render();
     }
 
@@ -468,24 +1627,112 @@ export class EncounterCalculatorApp extends HandlebarsApplicationMixin(
     onActionOpenEncounterDialog(this, _event, _target);
   }
 
+  static _onActionOpenBudgetFiller(_event, _target) {
+    onActionOpenBudgetFiller(this, _event, _target);
+  }
+
+  static _onActionOpenGenerator(_event, _target) {
+    onActionOpenGenerator(this, _event, _target);
+  }
+
+  static _onActionOpenXpAward(_event, _target) {
+    onActionOpenXpAward(this, _event, _target);
+  }
+
+  static _onActionOpenLibrary(_event, _target) {
+    onActionOpenLibrary(this, _event, _target);
+  }
+
+  static _onActionOpenTextListImport(_event, _target) {
+    onActionOpenTextListImport(this, _event, _target);
+  }
+
+  static _onActionAddSelectedTokens(_event, _target) {
+    onActionAddSelectedTokens(this, _event, _target);
+  }
+
+  static async _onActionAddSceneTokens(_event, _target) {
+    await onActionAddSceneTokens(this, _event, _target);
+  }
+
+  static _onActionPopulateFromCombat(_event, _target) {
+    onActionPopulateFromCombat(this, _event, _target);
+  }
+
+  static _onActionToggleCombatSync(_event, _target) {
+    onActionToggleCombatSync(this, _event, _target);
+  }
+
+  static async _onActionRefreshAllEntries(_event, _target) {
+    await onActionRefreshAllEntries(this, _event, _target);
+  }
+
+  static _onActionDismissEntryChange(_event, target) {
+    onActionDismissEntryChange(this, _event, target);
+  }
+
+  static _onActionExportCalculatorFile(_event, _target) {
+    onActionExportCalculatorFile(this, _event, _target);
+  }
+
+  static async _onActionImportCalculatorFile(_event, _target) {
+    await onActionImportCalculatorFile(this, _event, _target);
+  }
+
+  static async _onActionPostToChat(_event, _target) {
+    await onActionPostToChat(this, _event, _target);
+  }
+
+  static _onActionUndo(_event, _target) {
+    onActionUndo(this, _event, _target);
+  }
+
+  static _onActionRedo(_event, _target) {
+    onActionRedo(this, _event, _target);
+  }
+
+  static _onActionAddWorkspace(_event, _target) {
+    onActionAddWorkspace(this, _event, _target);
+  }
+
+  static _onActionSwitchWorkspace(_event, target) {
+    onActionSwitchWorkspace(this, _event, target);
+  }
+
+  static _onActionDuplicateWorkspace(_event, _target) {
+    onActionDuplicateWorkspace(this, _event, _target);
+  }
+
+  static async _onActionCloseWorkspace(_event, target) {
+    await onActionCloseWorkspace(this, _event, target);
+  }
+
   static _onActionSetTargetDifficulty(_event, target) {
     onActionSetTargetDifficulty(this, _event, target);
   }
 
-  static async _onActionSaveTeam(_event, _target) {
-    await onActionSaveTeam(this, _event, _target);
+  static _onActionSetDisplayMode(_event, target) {
+    onActionSetDisplayMode(this, _event, target);
+  }
+
+  static async _onActionLoadPartyPreset(_event, _target) {
+    await onActionLoadPartyPreset(this, _event, _target);
+  }
+
+  static async _onActionSavePartyPreset(_event, _target) {
+    await onActionSavePartyPreset(this, _event, _target);
   }
 
-  static async _onActionSaveAllies(_event, _target) {
-    await onActionSaveAllies(this, _event, _target);
+  static async _onActionRenamePartyPreset(_event, _target) {
+    await onActionRenamePartyPreset(this, _event, _target);
   }
 
-  static async _onActionLoadSaved(_event, _target) {
-    await onActionLoadSaved(this, _event, _target);
+  static async _onActionDeletePartyPreset(_event, _target) {
+    await onActionDeletePartyPreset(this, _event, _target);
   }
 
-  static async _onActionClearSaved(_event, _target) {
-    await onActionClearSaved(this, _event, _target);
+  static async _onActionToggleDefaultPartyPreset(_event, _target) {
+    await onActionToggleDefaultPartyPreset(this, _event, _target);
   }
 
   static _onActionIncreaseQuantity(_event, target) {
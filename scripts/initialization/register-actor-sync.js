@@ -0,0 +1,68 @@
+// scripts/initialization/register-actor-sync.js
+
+/**
+ * Odświeżanie wpisów kalkulatora po zmianach aktorów
+ * (Hooks.on updateActor / deleteActor oraz create / update / deleteItem
+ * dla przedmiotów klasy – awans PC zmienia system.levels klasy,
+ * a poziom aktora jest wartością pochodną i nie wywołuje updateActor).
+ */
+
+import { getEncounterCalculator } from "./register-app.js";
+
+/**
+ * Czy zmiana aktora dotyczy danych trzymanych we wpisach (nazwa, poziom, CR, XP).
+ * Np. zmiany HP w trakcie walki są pomijane.
+ *
+ * @param {Object} changes
+ * @returns {boolean}
+ */
+function isRelevantActorChange(changes) {
+  return (
+    "name" in changes ||
+    foundry.utils.hasProperty(changes, "system.details")
+  );
+}
+
+/**
+ * Aktor, którego poziom zmienia dany przedmiot klasy (null dla innych przedmiotów).
+ *
+ * @param {Item} item
+ * @returns {Actor|null}
+ */
+function getClassItemActor(item) {
+  if (item?.type !== "class") return null;
+  return item.parent?.documentName === "Actor" ? item.parent : null;
+}
+
+/**
+ * Przekazuje zmianę przedmiotu klasy do kalkulatora.
+ * Kalkulator sam pomija aktorów, których nie ma na listach.
+ *
+ * @param {Item} item
+ */
+function notifyClassItemChange(item) {
+  const actor = getClassItemActor(item);
+  if (actor) getEncounterCalculator()?.onActorUpdated(actor);
+}
+
+/**
+ * Rejestruje hooki odświeżania wpisów kalkulatora.
+ */
+export function initializeActorSync() {
+  Hooks.on("updateActor", (actor, changes) => {
+    if (!isRelevantActorChange(changes)) return;
+    getEncounterCalculator()?.onActorUpdated(actor);
+  });
+
+  Hooks.on("deleteActor", (actor) => {
+    getEncounterCalculator()?.onActorDeleted(actor);
+  });
+
+  Hooks.on("createItem", (item) => notifyClassItemChange(item));
+  Hooks.on("deleteItem", (item) => notifyClassItemChange(item));
+
+  Hooks.on("updateItem", (item, changes) => {
+    if (!foundry.utils.hasProperty(changes, "system.levels")) return;
+    notifyClassItemChange(item);
+  });
+}
@@ -0,0 +1,26 @@
+// scripts/initialization/register-api.js
+
+/**
+ * Udostępnianie publicznego API modułu (Hooks.once "init").
+ */
+
+import { MODULE_ID } from "../config/constants.js";
+import { createModuleApi } from "../module-api.js";
+
+/**
+ * Podpina API pod game.modules.get(MODULE_ID).api
+ * i ogłasza jego gotowość hookiem "dnd5e-2024-encounter.ready".
+ */
+export function initializeApi() {
+  Hooks.once("init", () => {
+    const module = game.modules.get(MODULE_ID);
+    if (!module) return;
+
+    module.api = createModuleApi();
+  });
+
+  Hooks.once("ready", () => {
+    const api = game.modules.get(MODULE_ID)?.api;
+    if (api) Hooks.callAll(`${MODULE_ID}.ready`, api);
+  });
+}
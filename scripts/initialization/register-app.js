@@ -32,3 +32,15 @@ export function getEncounterCalculator() {
 export function setEncounterCalculator(instance) {
   encounterCalculator = instance;
 }
+
+/**
+ * Zwraca instancję kalkulatora, tworząc ją w razie potrzeby
+ * (np. gdy przycisk lub API zostały użyte przed "ready").
+ * @returns {EncounterCalculatorApp}
+ */
+export function getOrCreateEncounterCalculator() {
+  if (!encounterCalculator) {
+    encounterCalculator = new EncounterCalculatorApp();
+  }
+  return encounterCalculator;
+}
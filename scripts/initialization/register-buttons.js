@@ -4,8 +4,7 @@
  * Dodawanie przycisku kalkulatora do Scene Controls (Hooks.on "getSceneControlButtons").
  */
 
-import { EncounterCalculatorApp } from "../encounter-calculator-app.js";
-import { getEncounterCalculator, setEncounterCalculator } from "./register-app.js";
+import { getOrCreateEncounterCalculator } from "./register-app.js";
 
 /**
  * Rejestruje przycisk kalkulatora w Scene Controls.
@@ -26,12 +25,7 @@ export function initializeSceneControls() {
       button: true,
       visible: game.user.isGM,
       onChange: () => {
-        let encounterCalculator = getEncounterCalculator();
-        
-        if (!encounterCalculator) {
-          encounterCalculator = new EncounterCalculatorApp();
-          setEncounterCalculator(encounterCalculator);
-        }
+        const encounterCalculator = getOrCreateEncounterCalculator();
 
         if (encounterCalculator.rendered) {
           encounterCalculator.close();
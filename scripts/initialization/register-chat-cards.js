@@ -0,0 +1,35 @@
+// scripts/initialization/register-chat-cards.js
+
+/**
+ * Przyciski kart czatu modułu (Hooks.on renderChatMessageHTML).
+ * Karta starcia ma przycisk ponownego otwarcia kalkulatora z tym starciem
+ * (tylko dla MG – jak sam kalkulator).
+ */
+
+import { MODULE_ID } from "../config/constants.js";
+import { ENCOUNTER_CARD_FLAG } from "../services/index.js";
+import { getOrCreateEncounterCalculator } from "./register-app.js";
+
+/**
+ * Rejestruje obsługę przycisków kart czatu.
+ */
+export function initializeChatCards() {
+  Hooks.on("renderChatMessageHTML", (message, html) => {
+    const encounter = message.getFlag(MODULE_ID, ENCOUNTER_CARD_FLAG);
+    if (!encounter) return;
+
+    const button = html.querySelector('[data-encounter-card-action="open"]');
+    if (!button) return;
+
+    // Kalkulator jest tylko dla MG – gracze widzą kartę bez przycisku.
+    if (!game.user.isGM) {
+      button.remove();
+      return;
+    }
+
+    button.addEventListener("click", (event) => {
+      event.preventDefault();
+      getOrCreateEncounterCalculator().openEncounterCard(encounter);
+    });
+  });
+}
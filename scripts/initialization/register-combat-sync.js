@@ -0,0 +1,43 @@
+// scripts/initialization/register-combat-sync.js
+
+/**
+ * Synchronizacja kalkulatora z walką (Hooks.on createCombatant / deleteCombatant /
+ * updateCombatant / deleteCombat).
+ */
+
+import { getEncounterCalculator } from "./register-app.js";
+
+/**
+ * Zmiany uczestnika, które wpływają na zawartość kalkulatora
+ * (inicjatywa i kolejność tur są ignorowane).
+ */
+const RELEVANT_COMBATANT_CHANGES = ["defeated", "tokenId", "actorId", "sceneId"];
+
+/**
+ * Przekazuje zmianę walki do kalkulatora, jeśli śledzi tę walkę.
+ *
+ * @param {Combat|null} combat
+ */
+function notifyCalculator(combat) {
+  const app = getEncounterCalculator();
+  if (!app || !combat || app.combatSyncId !== combat.id) return;
+  app.syncFromCombat(combat);
+}
+
+/**
+ * Rejestruje hooki synchronizacji z walką.
+ */
+export function initializeCombatSync() {
+  Hooks.on("createCombatant", (combatant) => notifyCalculator(combatant.parent));
+  Hooks.on("deleteCombatant", (combatant) => notifyCalculator(combatant.parent));
+
+  Hooks.on("updateCombatant", (combatant, changes) => {
+    if (!RELEVANT_COMBATANT_CHANGES.some((key) => key in changes)) return;
+    notifyCalculator(combatant.parent);
+  });
+
+  Hooks.on("deleteCombat", (combat) => {
+    const app = getEncounterCalculator();
+    if (app?.combatSyncId === combat.id) app.stopCombatSync();
+  });
+}
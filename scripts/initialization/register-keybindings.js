@@ -0,0 +1,58 @@
+// scripts/initialization/register-keybindings.js
+
+/**
+ * Rejestracja skrótów klawiszowych modułu (Hooks.once "init").
+ */
+
+import { MODULE_ID } from "../config/constants.js";
+import { getEncounterCalculator } from "./register-app.js";
+
+/**
+ * Zwraca kalkulator, jeśli jest otwarty i jest aktywnym oknem.
+ * Dzięki temu Ctrl+Z poza kalkulatorem działa jak w rdzeniu Foundry.
+ *
+ * @returns {EncounterCalculatorApp|null}
+ */
+function getActiveCalculator() {
+  const app = getEncounterCalculator();
+  if (!app?.rendered) return null;
+  return ui.activeWindow === app ? app : null;
+}
+
+/**
+ * Obsługuje skrót w aktywnym kalkulatorze. Skrót jest „zużyty” także
+ * przy pustej historii – inaczej Ctrl+Z trafiłby do rdzenia Foundry
+ * i cofnął zmianę na scenie za oknem kalkulatora.
+ *
+ * @param {"undo"|"redo"} method
+ * @returns {boolean} - false, gdy kalkulator nie jest aktywnym oknem
+ */
+function handleHistoryKey(method) {
+  const app = getActiveCalculator();
+  if (!app) return false;
+  app[method]();
+  return true;
+}
+
+/**
+ * Rejestruje skróty cofnij / ponów dla kalkulatora.
+ */
+export function initializeKeybindings() {
+  Hooks.once("init", () => {
+    game.keybindings.register(MODULE_ID, "undo", {
+      name: "Kalkulator starcia: cofnij",
+      hint: "Cofa ostatnią zmianę w otwartym kalkulatorze starcia.",
+      editable: [{ key: "KeyZ", modifiers: ["Control"] }],
+      precedence: CONST.KEYBINDING_PRECEDENCE.PRIORITY,
+      onDown: () => handleHistoryKey("undo")
+    });
+
+    game.keybindings.register(MODULE_ID, "redo", {
+      name: "Kalkulator starcia: ponów",
+      hint: "Ponawia cofniętą zmianę w otwartym kalkulatorze starcia.",
+      editable: [{ key: "KeyZ", modifiers: ["Control", "Shift"] }],
+      precedence: CONST.KEYBINDING_PRECEDENCE.PRIORITY,
+      onDown: () => handleHistoryKey("redo")
+    });
+  });
+}
@@ -1,18 +1,47 @@
 // scripts/initialization/register-settings.js
 
 /**
- * Rejestracja ustawień modułu (Hooks.once "init").
+ * Rejestracja ustawień modułu (Hooks.once "init")
+ * oraz migracja starych zapisów drużyny (Hooks.once "ready").
  */
 
 import { MODULE_ID } from "../config/constants.js";
 import { registerModuleSettings } from "../settings.js";
+import { setActiveBudgetTable } from "../data/xp-budget-2024.js";
+import {
+  getXpBudgetTable,
+  getPartyPresets,
+  setPartyPresets
+} from "../services/index.js";
 
 /**
  * Rejestruje ustawienia modułu podczas inicjalizacji Foundry.
+ * W "setup" (ustawienia świata są już wczytane) aktywuje
+ * tabelę budżetów XP zapisaną przez MG.
+ * W "ready" MG zapisuje zestawy drużyny ze starych ustawień
+ * savedTeam / savedAllies (jednorazowo).
  */
 export function initializeSettings() {
   Hooks.once("init", () => {
     console.log(`${MODULE_ID} | init`);
     registerModuleSettings();
   });
+
+  Hooks.once("setup", () => {
+    setActiveBudgetTable(getXpBudgetTable());
+  });
+
+  Hooks.once("ready", async () => {
+    if (!game.user?.isGM) return;
+
+    const stored = game.settings.get(MODULE_ID, "partyPresets");
+    if (stored?.migrated) return;
+
+    // getPartyPresets() dołącza stare zapisy w pamięci – wystarczy je utrwalić.
+    const data = getPartyPresets();
+    if (!(await setPartyPresets(data))) return;
+    console.log(
+      `${MODULE_ID} | Zestawy drużyny: przeniesiono stare zapisy (${data.presets.length}).`
+    );
+  });
 }
@@ -8,8 +8,18 @@
 import { initializeSettings } from "./initialization/register-settings.js";
 import { initializeApp } from "./initialization/register-app.js";
 import { initializeSceneControls } from "./initialization/register-buttons.js";
+import { initializeApi } from "./initialization/register-api.js";
+import { initializeKeybindings } from "./initialization/register-keybindings.js";
+import { initializeCombatSync } from "./initialization/register-combat-sync.js";
+import { initializeActorSync } from "./initialization/register-actor-sync.js";
+import { initializeChatCards } from "./initialization/register-chat-cards.js";
 
 // Inicjalizacja wszystkich komponentów modułu
 initializeSettings();
 initializeApp();
 initializeSceneControls();
+initializeApi();
+initializeKeybindings();
+initializeCombatSync();
+initializeActorSync();
+initializeChatCards();
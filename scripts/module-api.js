@@ -0,0 +1,345 @@
+// scripts/module-api.js
+
+/**
+ * Publiczne API modułu dostępne jako:
+ *   game.modules.get("dnd5e-2024-encounter").api
+ *
+ * Pozwala makrom i innym modułom budować i oceniać starcia
+ * bez otwierania okna kalkulatora. Wszystkie funkcje przyjmują
+ * aktorów jako:
+ *  - UUID (string),
+ *  - dokument Actor,
+ *  - obiekt { uuid, quantity } (quantity ma znaczenie tylko dla wrogów).
+ *
+ * API jest cienką warstwą nad serwisami z services/index.js –
+ * nie trzyma własnego stanu i nie zależy od instancji EncounterCalculatorApp.
+ */
+
+import {
+  MODULE_ID,
+  DEFAULT_ALLY_NPC_WEIGHT,
+  DEFAULT_MAX_ENEMIES_PER_PC
+} from "./config/constants.js";
+import {
+  calculateDifficulty,
+  normalizeEnemyQuantities,
+  getTargetDifficulty,
+  getDifficultyDisplayMode,
+  getDifficultyRuleset,
+  getDifficultyBands,
+  getAllyNpcWeight,
+  getMaxEnemiesPerPc,
+  getActorXp,
+  addSingleActorToSide,
+  updateEnemyQuantity,
+  createEncounterActor,
+  aggregateLootFromEnemies,
+  getItemGoldValue,
+  generateIndividualTreasure,
+  generateTreasureHoard,
+  normalizeEnemiesForTreasure,
+  rollCurrencyFormula
+} from "./services/index.js";
+import { getOrCreateEncounterCalculator } from "./initialization/register-app.js";
+
+/** Wersja kontraktu API – zwiększana przy zmianach niekompatybilnych wstecz. */
+export const API_VERSION = 1;
+
+/**
+ * Tworzy obiekt publicznego API modułu.
+ *
+ * @returns {Object} zamrożony obiekt z funkcjami API
+ */
+export function createModuleApi() {
+  return Object.freeze({
+    version: API_VERSION,
+    buildEntries,
+    evaluate,
+    createEncounter,
+    getLoot,
+    generateTreasure,
+    calculateDifficulty,
+    openCalculator
+  });
+}
+
+/**
+ * Normalizuje pojedynczą referencję do aktora.
+ *
+ * @param {string|Actor|Object} ref
+ * @returns {{ uuid: string|null, actor: Actor|null, quantity: number }}
+ */
+function normalizeActorRef(ref) {
+  if (!ref) return { uuid: null, actor: null, quantity: 1 };
+
+  if (typeof ref === "string") {
+    return { uuid: ref, actor: null, quantity: 1 };
+  }
+
+  if (ref.documentName === "Actor") {
+    return { uuid: ref.uuid, actor: ref, quantity: 1 };
+  }
+
+  const quantity = Math.max(1, Math.min(99, Number(ref.quantity ?? 1) || 1));
+  return { uuid: ref.uuid ?? null, actor: null, quantity };
+}
+
+/**
+ * Buduje wpisy allies/enemies w tym samym formacie, którego używa kalkulator.
+ *
+ * @param {Object} params
+ * @param {Array} [params.party=[]] - sojusznicy (PC i NPC)
+ * @param {Array} [params.enemies=[]] - wrogowie (opcjonalnie z quantity)
+ * @returns {Promise<{ allies: Array, enemies: Array, missing: string[] }>}
+ */
+export async function buildEntries({ party = [], enemies = [] } = {}) {
+  const allies = [];
+  const enemyEntries = [];
+  const missing = [];
+
+  const addRefs = async (refs, side) => {
+    for (const raw of refs ?? []) {
+      const ref = normalizeActorRef(raw);
+      const actor = ref.actor ?? (ref.uuid ? await fromUuid(ref.uuid) : null);
+
+      if (!actor || actor.documentName !== "Actor") {
+        if (ref.uuid) missing.push(ref.uuid);
+        continue;
+      }
+
+      const entry = addSingleActorToSide({
+        allies,
+        enemies: enemyEntries,
+        actor,
+        side,
+        getActorXpFn: getActorXp
+      });
+
+      // Wrogowie są grupowani we wpisy – dokładamy resztę ilości.
+      if (side === "enemies" && ref.quantity > 1) {
+        if (entry) {
+          updateEnemyQuantity(
+            enemyEntries,
+            entry.key,
+            "set",
+            (Number(entry.quantity) || 1) + ref.quantity - 1
+          );
+        }
+      }
+    }
+  };
+
+  await addRefs(party, "allies");
+  await addRefs(enemies, "enemies");
+
+  normalizeEnemyQuantities(enemyEntries);
+
+  if (missing.length) {
+    console.warn(
+      `${MODULE_ID} | API: nie znaleziono aktorów: ${missing.join(", ")}`
+    );
+  }
+
+  return { allies, enemies: enemyEntries, missing };
+}
+
+/**
+ * Ocenia trudność starcia dla podanych UUID drużyny i wrogów.
+ * Parametry, których nie podano, są brane z ustawień modułu.
+ *
+ * @param {Object} params
+ * @param {Array} [params.party=[]]
+ * @param {Array} [params.enemies=[]]
+ * @param {string} [params.targetDifficulty] - "low" | "moderate" | "high"
+ * @param {string} [params.displayMode] - "dmg" | "budget"
+ * @param {number} [params.allyNpcWeight]
+ * @param {string} [params.ruleset] - "2024" | "2014"
+ * @param {number} [params.maxEnemiesPerPc] - próg ostrzeżenia "too-many-enemies"
+ * @param {Array} [params.difficultyBands] - progi widoku "budget" ([{ name, maxRatio, color }])
+ * @returns {Promise<Object>} - wynik calculateDifficulty + { allies, enemies, missing }
+ */
+export async function evaluate({
+  party = [],
+  enemies = [],
+  targetDifficulty = getTargetDifficulty(),
+  displayMode = getDifficultyDisplayMode(),
+  allyNpcWeight = getAllyNpcWeight(DEFAULT_ALLY_NPC_WEIGHT),
+  ruleset = getDifficultyRuleset(),
+  maxEnemiesPerPc = getMaxEnemiesPerPc(DEFAULT_MAX_ENEMIES_PER_PC),
+  difficultyBands = getDifficultyBands()
+} = {}) {
+  const entries = await buildEntries({ party, enemies });
+
+  const difficulty = calculateDifficulty({
+    allies: entries.allies,
+    enemies: entries.enemies,
+    targetDifficultyKey: targetDifficulty,
+    difficultyDisplayMode: displayMode,
+    allyNpcWeight,
+    ruleset,
+    maxEnemiesPerPc,
+    difficultyBands
+  });
+
+  return {
+    ...difficulty,
+    allies: entries.allies,
+    enemies: entries.enemies,
+    missing: entries.missing
+  };
+}
+
+/**
+ * Agreguje łup z ekwipunku wrogów (jak auto-loot w popupie encountera).
+ *
+ * @param {Object} params
+ * @param {Array} params.enemies
+ * @param {string} [params.mode="perEnemy"] - "off" | "perEnemy" | "perActorType"
+ * @returns {Promise<Array>}
+ */
+export async function getLoot({ enemies = [], mode = "perEnemy" } = {}) {
+  const entries = await buildEntries({ enemies });
+  return aggregateLootFromEnemies({
+    enemies: entries.enemies,
+    mode,
+    actorResolver: fromUuid
+  });
+}
+
+/**
+ * Generuje skarb dla wrogów.
+ *
+ * @param {Object} params
+ * @param {Array} params.enemies
+ * @param {string} [params.kind="individual"] - "individual" | "hoard"
+ * @param {string} [params.mode="average"] - "roll" | "average"
+ * @returns {Promise<Object>} - { platinum, gold, silver, copper, electrum, magicItemsCount? }
+ */
+export async function generateTreasure({
+  enemies = [],
+  kind = "individual",
+  mode = "average"
+} = {}) {
+  const entries = await buildEntries({ enemies });
+  const treasureEnemies = normalizeEnemiesForTreasure(entries.enemies);
+
+  if (kind === "hoard") {
+    const maxCr = treasureEnemies.length
+      ? Math.max(...treasureEnemies.map((e) => e.cr))
+      : -1;
+    return generateTreasureHoard({
+      maxCr,
+      mode,
+      rollEvaluator: rollCurrencyFormula
+    });
+  }
+
+  return generateIndividualTreasure({
+    enemies: treasureEnemies,
+    mode,
+    rollEvaluator: rollCurrencyFormula
+  });
+}
+
+/**
+ * Tworzy aktora typu "encounter" bez otwierania popupu.
+ *
+ * @param {Object} params
+ * @param {Array} params.enemies - wrogowie (UUID lub { uuid, quantity })
+ * @param {string} [params.name]
+ * @param {string} [params.summary]
+ * @param {string} [params.description]
+ * @param {string} [params.folderName] - jeśli podany, encounter trafi do tego katalogu
+ * @param {Object} [params.currency] - { platinum, gold, silver, copper, electrum }
+ * @param {Array} [params.items] - przedmioty (UUID lub { uuid, quantity })
+ * @param {string|null} [params.autoLoot=null] - tryb auto-loot ("perEnemy" | "perActorType")
+ * @param {string|null} [params.treasure=null] - "individual" | "hoard" (dodawany do currency)
+ * @param {string} [params.treasureMode="average"] - "roll" | "average"
+ * @returns {Promise<Actor|null>}
+ */
+export async function createEncounter({
+  enemies = [],
+  name = "",
+  summary = "",
+  description = "",
+  folderName = "",
+  currency = {},
+  items = [],
+  autoLoot = null,
+  treasure = null,
+  treasureMode = "average"
+} = {}) {
+  const entries = await buildEntries({ enemies });
+
+  const money = {
+    platinum: Number(currency.platinum ?? 0) || 0,
+    gold: Number(currency.gold ?? 0) || 0,
+    silver: Number(currency.silver ?? 0) || 0,
+    copper: Number(currency.copper ?? 0) || 0,
+    electrum: Number(currency.electrum ?? 0) || 0
+  };
+
+  if (treasure === "individual" || treasure === "hoard") {
+    const generated = await generateTreasure({
+      enemies: entries.enemies,
+      kind: treasure,
+      mode: treasureMode
+    });
+    // Skarb dokłada się do podanych monet (magicItemsCount nie trafia do aktora).
+    for (const coin of Object.keys(money)) {
+      money[coin] += Number(generated?.[coin] ?? 0) || 0;
+    }
+  }
+
+  const itemEntries = [];
+  for (const raw of items ?? []) {
+    const uuid = typeof raw === "string" ? raw : raw?.uuid;
+    if (!uuid) continue;
+
+    const item = await fromUuid(uuid);
+    if (!item || item.documentName !== "Item") continue;
+
+    itemEntries.push({
+      _id: foundry.utils.randomID(),
+      uuid: item.uuid,
+      name: item.name,
+      type: item.type,
+      img: item.img,
+      price: getItemGoldValue(item),
+      quantity: Math.max(1, Math.min(99, Number(raw?.quantity ?? 1) || 1))
+    });
+  }
+
+  if (autoLoot && autoLoot !== "off") {
+    const loot = await aggregateLootFromEnemies({
+      enemies: entries.enemies,
+      mode: autoLoot,
+      actorResolver: fromUuid
+    });
+    itemEntries.push(...loot);
+  }
+
+  return createEncounterActor({
+    enemies: entries.enemies,
+    config: {
+      name,
+      summary,
+      description,
+      useFolder: !!folderName,
+      folderName,
+      ...money,
+      items: itemEntries
+    }
+  });
+}
+
+/**
+ * Otwiera okno kalkulatora (tworzy instancję, jeśli jeszcze nie istnieje).
+ *
+ * @returns {EncounterCalculatorApp}
+ */
+export function openCalculator() {
+  const calculator = getOrCreateEncounterCalculator();
+  calculator.render({ force: true });
+  return calculator;
+}
@@ -0,0 +1,196 @@
+/**
+ * CalculatorHistory – serwis historii cofnij / ponów dla kalkulatora.
+ *
+ * Historia przechowuje migawki stanu (allies, enemies, targetDifficultyKey)
+ * robione przed każdą zmianą. Migawki są głębokimi kopiami, więc późniejsze
+ * mutacje list w kalkulatorze ich nie zmieniają.
+ *
+ * Wrogowie i próg trudności należą do zakładki, więc mają historię zakładki.
+ * Sojusznicy są wspólni – ich migawki trafiają do jednej, globalnej historii.
+ * Kroki obu historii mają wspólny numer (seq), dzięki czemu cofanie
+ * zachowuje kolejność zmian, a zmiana obu stron naraz jest jednym krokiem.
+ */
+
+/** Domyślna maksymalna liczba kroków do cofnięcia. */
+export const DEFAULT_HISTORY_LIMIT = 50;
+
+/**
+ * Tworzy pustą historię.
+ *
+ * @param {number} [limit=DEFAULT_HISTORY_LIMIT]
+ * @returns {{ past: Array, future: Array, limit: number }}
+ */
+export function createCalculatorHistory(limit = DEFAULT_HISTORY_LIMIT) {
+  return { past: [], future: [], limit: Math.max(1, Number(limit) || 1) };
+}
+
+/**
+ * Robi migawkę stanu kalkulatora.
+ *
+ * @param {Object} state - obiekt z polami allies, enemies, targetDifficultyKey
+ * @returns {Object} - { allies, enemies, targetDifficultyKey }
+ */
+export function snapshotCalculatorState(state) {
+  return {
+    allies: foundry.utils.deepClone(state?.allies ?? []),
+    enemies: foundry.utils.deepClone(state?.enemies ?? []),
+    targetDifficultyKey: state?.targetDifficultyKey ?? "moderate"
+  };
+}
+
+/**
+ * Zapisuje migawkę stanu sprzed zmiany. Czyści stos „ponów”.
+ *
+ * @param {Object} history
+ * @param {Object} snapshot - wynik snapshotCalculatorState()
+ */
+export function pushHistory(history, snapshot) {
+  history.past.push(snapshot);
+  if (history.past.length > history.limit) history.past.shift();
+  history.future.length = 0;
+}
+
+/**
+ * Cofa ostatnią zmianę.
+ *
+ * @param {Object} history
+ * @param {Object} current - migawka bieżącego stanu (trafia na stos „ponów”)
+ * @returns {Object|null} - migawka do przywrócenia albo null
+ */
+export function undoHistory(history, current) {
+  const previous = history.past.pop();
+  if (!previous) return null;
+  history.future.push(current);
+  return previous;
+}
+
+/**
+ * Ponawia ostatnio cofniętą zmianę.
+ *
+ * @param {Object} history
+ * @param {Object} current - migawka bieżącego stanu (trafia na stos „cofnij”)
+ * @returns {Object|null} - migawka do przywrócenia albo null
+ */
+export function redoHistory(history, current) {
+  const next = history.future.pop();
+  if (!next) return null;
+  history.past.push(current);
+  return next;
+}
+
+/**
+ * Zapisuje krok historii: wrogów i próg w historii zakładki,
+ * a sojuszników – tylko gdy krok ich dotyczy – w historii globalnej.
+ *
+ * @param {Object} params
+ * @param {Object} params.history - historia zakładki
+ * @param {Object} params.alliesHistory - globalna historia sojuszników
+ * @param {Object} params.snapshot - wynik snapshotCalculatorState() sprzed zmiany
+ * @param {number} params.seq - numer kroku (rosnący)
+ * @param {boolean} [params.allies=false] - czy krok zmienia sojuszników
+ */
+export function pushHistoryStep({
+  history,
+  alliesHistory,
+  snapshot,
+  seq,
+  allies = false
+}) {
+  pushHistory(history, {
+    seq,
+    enemies: snapshot.enemies,
+    targetDifficultyKey: snapshot.targetDifficultyKey
+  });
+  if (allies) pushHistory(alliesHistory, { seq, allies: snapshot.allies });
+  // Nowa zmiana unieważnia „ponów” także dla sojuszników.
+  else alliesHistory.future.length = 0;
+}
+
+/**
+ * Wybiera stosy, z których pochodzi krok do cofnięcia / ponowienia.
+ * Cofanie bierze krok o najwyższym seq, ponawianie – o najniższym.
+ *
+ * @param {Array} tabStack
+ * @param {Array} alliesStack
+ * @param {Function} isBefore - (a, b) => czy seq a ma pierwszeństwo przed b
+ * @returns {{ tab: boolean, allies: boolean, seq: number }|null}
+ */
+function pickHistoryStep(tabStack, alliesStack, isBefore) {
+  const tab = tabStack.at(-1);
+  const allies = alliesStack.at(-1);
+  if (!tab && !allies) return null;
+  if (!allies) return { tab: true, allies: false, seq: tab.seq };
+  if (!tab) return { tab: false, allies: true, seq: allies.seq };
+  if (tab.seq === allies.seq) return { tab: true, allies: true, seq: tab.seq };
+  return isBefore(tab.seq, allies.seq)
+    ? { tab: true, allies: false, seq: tab.seq }
+    : { tab: false, allies: true, seq: allies.seq };
+}
+
+/**
+ * Przenosi krok między stosami obu historii.
+ *
+ * @param {Object} pick - wynik pickHistoryStep()
+ * @param {Object} history
+ * @param {Object} alliesHistory
+ * @param {Object} current - migawka bieżącego stanu
+ * @param {Function} move - undoHistory albo redoHistory
+ * @returns {Object} - migawka do przywrócenia (tylko pola z wybranych stosów)
+ */
+function moveHistoryStep(pick, history, alliesHistory, current, move) {
+  const restored = {};
+  if (pick.tab) {
+    Object.assign(
+      restored,
+      move(history, {
+        seq: pick.seq,
+        enemies: current.enemies,
+        targetDifficultyKey: current.targetDifficultyKey
+      })
+    );
+  }
+  if (pick.allies) {
+    Object.assign(
+      restored,
+      move(alliesHistory, { seq: pick.seq, allies: current.allies })
+    );
+  }
+  return restored;
+}
+
+/**
+ * Cofa najnowszy krok widoczny z zakładki: jej własny albo zmianę
+ * sojuszników (także zrobioną w innej zakładce), zależnie od tego, co było później.
+ *
+ * @param {Object} history - historia zakładki
+ * @param {Object} alliesHistory - globalna historia sojuszników
+ * @param {Object} current - migawka bieżącego stanu
+ * @returns {Object|null} - { enemies?, targetDifficultyKey?, allies? } albo null
+ */
+export function undoHistoryStep(history, alliesHistory, current) {
+  const pick = pickHistoryStep(
+    history.past,
+    alliesHistory.past,
+    (a, b) => a > b
+  );
+  if (!pick) return null;
+  return moveHistoryStep(pick, history, alliesHistory, current, undoHistory);
+}
+
+/**
+ * Ponawia ostatnio cofnięty krok (odwrotność undoHistoryStep()).
+ *
+ * @param {Object} history
+ * @param {Object} alliesHistory
+ * @param {Object} current
+ * @returns {Object|null}
+ */
+export function redoHistoryStep(history, alliesHistory, current) {
+  const pick = pickHistoryStep(
+    history.future,
+    alliesHistory.future,
+    (a, b) => a < b
+  );
+  if (!pick) return null;
+  return moveHistoryStep(pick, history, alliesHistory, current, redoHistory);
+}
@@ -0,0 +1,99 @@
+/**
+ * DifficultyBands – serwis progów trudności względem budżetu XP.
+ *
+ * Odpowiada za:
+ *  - walidację i porządkowanie progów zdefiniowanych przez MG,
+ *  - wybór progu dla stosunku XP wrogów do budżetu.
+ *
+ * Próg: { name, maxRatio, color }
+ *  - maxRatio – górna granica stosunku (włącznie); null = bez górnej granicy,
+ *  - progi są sortowane rosnąco, ostatni zawsze jest otwarty.
+ */
+
+import { DEFAULT_DIFFICULTY_BANDS } from "../../config/constants.js";
+
+/** Kolor używany, gdy próg ma nieprawidłowy kolor. */
+const FALLBACK_BAND_COLOR = "#cccccc";
+
+/**
+ * Sprowadza kolor do postaci #rrggbb (wymaganej przez input type="color").
+ *
+ * @param {string} value
+ * @returns {string}
+ */
+function normalizeHexColor(value) {
+  const raw = String(value ?? "").trim().toLowerCase();
+  if (/^#[0-9a-f]{6}$/.test(raw)) return raw;
+  if (/^#[0-9a-f]{3}$/.test(raw)) {
+    return `#${[...raw.slice(1)].map((c) => c + c).join("")}`;
+  }
+  return FALLBACK_BAND_COLOR;
+}
+
+/**
+ * Waliduje i porządkuje listę progów.
+ * Zwraca domyślne progi, jeśli lista jest pusta lub nieprawidłowa.
+ *
+ * @param {Array} rawBands
+ * @returns {Array} - [{ name, maxRatio, color }]
+ */
+export function normalizeDifficultyBands(rawBands) {
+  if (!Array.isArray(rawBands)) {
+    return DEFAULT_DIFFICULTY_BANDS.map((b) => ({ ...b }));
+  }
+
+  const bands = rawBands
+    .filter((b) => b && typeof b === "object")
+    .map((b) => {
+      const name = String(b.name ?? "").trim();
+      const ratio =
+        b.maxRatio === null || b.maxRatio === "" || b.maxRatio === undefined
+          ? null
+          : Number(b.maxRatio);
+      const color = normalizeHexColor(b.color);
+
+      return {
+        name,
+        maxRatio: Number.isFinite(ratio) && ratio > 0 ? ratio : null,
+        color
+      };
+    })
+    .filter((b) => b.name);
+
+  if (!bands.length) {
+    return DEFAULT_DIFFICULTY_BANDS.map((b) => ({ ...b }));
+  }
+
+  // Zamknięte progi rosnąco, otwarte (null) na końcu.
+  bands.sort((a, b) => {
+    if (a.maxRatio === null) return b.maxRatio === null ? 0 : 1;
+    if (b.maxRatio === null) return -1;
+    return a.maxRatio - b.maxRatio;
+  });
+
+  // Dokładnie jeden otwarty próg – ostatni.
+  const closed = bands.filter((b) => b.maxRatio !== null);
+  const open = bands.find((b) => b.maxRatio === null);
+  if (open) return [...closed, open];
+
+  const last = closed[closed.length - 1];
+  return [...closed.slice(0, -1), { ...last, maxRatio: null }];
+}
+
+/**
+ * Wybiera próg dla podanego stosunku XP do budżetu.
+ *
+ * @param {Array} bands - wynik normalizeDifficultyBands()
+ * @param {number} ratio
+ * @returns {Object|null} - { name, maxRatio, color }
+ */
+export function getBandForRatio(bands, ratio) {
+  const list = Array.isArray(bands) && bands.length
+    ? bands
+    : DEFAULT_DIFFICULTY_BANDS;
+
+  for (const band of list) {
+    if (band.maxRatio === null || ratio <= band.maxRatio) return band;
+  }
+  return list[list.length - 1] ?? null;
+}
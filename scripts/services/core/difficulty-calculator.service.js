@@ -5,7 +5,8 @@
  *  - normalizację liczby wrogów (quantity),
  *  - obliczanie budżetu XP na podstawie składu drużyny,
  *  - wyliczanie trudności według trybu DMG lub względem budżetu,
- *  - mapowanie poziomów PC i pseudo-poziomów NPC do budżetu XP.
+ *  - mapowanie poziomów PC i pseudo-poziomów NPC do budżetu XP,
+ *  - przełączanie zestawu zasad: budżet XP 2024 lub progi + mnożnik DMG 2014.
  *
  * Serwis jest bezstanowy i nie korzysta z Foundry API – przyjmuje dane wejściowe
  * i zwraca wynik obliczonej trudności.
@@ -15,7 +16,18 @@ import {
   getBudgetRowForLevel,
   getPseudoLevelForNpcXp
 } from "../../data/xp-budget-2024.js";
-import { DEFAULT_ALLY_NPC_WEIGHT } from "../../config/constants.js";
+import { parseChallengeRating } from "../../data/cr-xp.js";
+import {
+  getThresholdRowForLevel2014,
+  getEncounterMultiplier2014
+} from "../../data/xp-thresholds-2014.js";
+import {
+  DEFAULT_ALLY_NPC_WEIGHT,
+  DEFAULT_MAX_ENEMIES_PER_PC,
+  DEFAULT_DIFFICULTY_BANDS
+} from "../../config/constants.js";
+import { getBandForRatio } from "./difficulty-bands.service.js";
+import { getEntryXp } from "./encounter-state.service.js";
 
 /**
  * Normalizuje ilości wrogów (quantity) do zakresu 1–99.
@@ -28,7 +40,7 @@ export function normalizeEnemyQuantities(enemies) {
   if (!Array.isArray(enemies)) return enemies;
 
   for (const enemy of enemies) {
-    const baseXp = Number(enemy.xp) || 0;
+    const baseXp = getEntryXp(enemy);
     let q = Number(enemy.quantity ?? 1) || 1;
 
     if (q < 1) q = 1;
@@ -50,20 +62,42 @@ export function normalizeEnemyQuantities(enemies) {
  * @param {string} params.targetDifficultyKey - próg budżetu: "low", "moderate", "high"
  * @param {string} params.difficultyDisplayMode - tryb wyświetlania: "dmg" lub "budget"
  * @param {number} params.allyNpcWeight - waga sojuszniczych NPC (domyślnie DEFAULT_ALLY_NPC_WEIGHT)
- * @returns {Object} - wynik: { label, targetLabel, budget, totalXP }
+ * @param {string} params.ruleset - zestaw zasad: "2024" (budżet XP) lub "2014" (progi + mnożnik)
+ * @param {number} params.maxEnemiesPerPc - próg ostrzeżenia o liczbie wrogów na jednego PC
+ * @param {Array} params.difficultyBands - progi trybu "budget" (domyślnie DEFAULT_DIFFICULTY_BANDS)
+ * @returns {Object} - wynik: { label, labelColor, displayMode, targetLabel, budget, totalXP,
+ *   adjustedXP, multiplier, ruleset, breakdown, warnings }
+ *
+ * labelColor – kolor progu w trybie "budget" (null w trybie klasycznym).
+ *
+ * breakdown – udział każdego wpisu wrogów w budżecie i sumie XP:
+ *  [{ key, uuid, name, totalXp, shareOfBudget, shareOfTotal }]
+ *  (udziały jako ułamki, np. 0.7 = 70%; w 2014 udział w budżecie liczony po mnożniku).
+ *
+ * warnings – lista ostrzeżeń o niebezpiecznym składzie starcia:
+ *  [{ code, severity, uuid, key, badge, message }]
+ *  (key – klucz wiersza wroga, a gdy go brak – uuid; uuid i key = null
+ *  dla ostrzeżeń dotyczących całego starcia).
  */
 export function calculateDifficulty({
   allies = [],
   enemies = [],
   targetDifficultyKey = "moderate",
   difficultyDisplayMode = "dmg",
-  allyNpcWeight = DEFAULT_ALLY_NPC_WEIGHT
+  allyNpcWeight = DEFAULT_ALLY_NPC_WEIGHT,
+  ruleset = "2024",
+  maxEnemiesPerPc = DEFAULT_MAX_ENEMIES_PER_PC,
+  difficultyBands = DEFAULT_DIFFICULTY_BANDS
 }) {
+  const activeRuleset = ruleset === "2014" ? "2014" : "2024";
+
   const partyMembers = [];
 
   // Składamy „logicznych członków drużyny":
   // - PC o konkretnym poziomie,
-  // - sojuszniczych NPC jako pseudo-poziomy (z wagą allyNpcWeight).
+  // - sojuszniczych NPC liczonych jako PC (pcLevelOverride, np. sidekick),
+  // - pozostałych sojuszniczych NPC jako pseudo-poziomy (z wagą allyNpcWeight
+  //   albo weightOverride wpisu).
   for (const ally of allies) {
     if (ally.type === "character") {
       const level = Number(ally.level) || 1;
@@ -75,13 +109,26 @@ export function calculateDifficulty({
     }
 
     if (ally.type === "npc") {
-      const npcXp = Number(ally.xp) || 0;
+      const pcLevel = Number(ally.pcLevelOverride);
+      if (pcLevel >= 1) {
+        partyMembers.push({
+          level: Math.min(20, Math.floor(pcLevel)),
+          weight: 1.0,
+          source: "ally-sidekick"
+        });
+        continue;
+      }
+
+      const npcXp = getEntryXp(ally);
+      const weight = Number.isFinite(Number(ally.weightOverride ?? NaN))
+        ? Number(ally.weightOverride)
+        : allyNpcWeight;
       if (npcXp <= 0) continue;
-      if (allyNpcWeight <= 0) continue; // Jeśli waga = 0, NPC są ignorowani
+      if (weight <= 0) continue; // Jeśli waga = 0, NPC są ignorowani
       const pseudoLevel = getPseudoLevelForNpcXp(npcXp, "moderate");
       partyMembers.push({
         level: pseudoLevel,
-        weight: allyNpcWeight,
+        weight,
         source: "ally-npc"
       });
     }
@@ -92,7 +139,7 @@ export function calculateDifficulty({
     (sum, e) =>
       sum +
       (Number(
-        e.totalXp ?? (Number(e.xp) || 0) * (Number(e.quantity ?? 1) || 1)
+        e.totalXp ?? getEntryXp(e) * (Number(e.quantity ?? 1) || 1)
       ) || 0),
     0
   );
@@ -100,14 +147,33 @@ export function calculateDifficulty({
   if (!partyMembers.length) {
     return {
       label: "Brak drużyny",
+      labelColor: null,
+      displayMode: difficultyDisplayMode === "budget" ? "budget" : "dmg",
       targetLabel: "-",
       budget: 0,
-      totalXP
+      totalXP,
+      adjustedXP: totalXP,
+      multiplier: 1,
+      ruleset: activeRuleset,
+      breakdown: buildEnemyBreakdown(enemies, totalXP, 0, 1),
+      warnings: []
     };
   }
 
-  // Budżety dla całej drużyny na trzy progi.
-  const budgets = xpBudgetsForParty(partyMembers);
+  // Budżety dla całej drużyny na trzy progi (w 2014 dodatkowo "deadly").
+  const budgets = xpBudgetsForParty(partyMembers, activeRuleset);
+
+  // W 2014 suma XP jest mnożona zależnie od liczby potworów i wielkości drużyny.
+  let multiplier = 1;
+  if (activeRuleset === "2014") {
+    const monsterCount = countEnemies(enemies);
+    const partySize = partyMembers.reduce(
+      (sum, m) => sum + (Number(m.weight) || 0),
+      0
+    );
+    multiplier = getEncounterMultiplier2014(monsterCount, partySize);
+  }
+  const adjustedXP = Math.round(totalXP * multiplier);
 
   // Wybrany próg z UI (Niska / Umiarkowana / Wysoka).
   let targetDifficulty = targetDifficultyKey;
@@ -124,9 +190,17 @@ export function calculateDifficulty({
   }
 
   let label;
+  let labelColor = null;
   if (mode === "budget") {
     // Trudność względem WYBRANEGO budżetu (a nie stałych progów).
-    label = labelRelativeToBudget(totalXP, budget);
+    ({ label, color: labelColor } = labelRelativeToBudget(
+      adjustedXP,
+      budget,
+      difficultyBands
+    ));
+  } else if (activeRuleset === "2014") {
+    // Klasyczna trudność DMG 2014 – progi easy/medium/hard/deadly.
+    label = labelClassicDmg2014(adjustedXP, budgets);
   } else {
     // Klasyczna trudność DMG – wg progów low/moderate/high.
     label = labelClassicDmg(totalXP, budgets);
@@ -134,19 +208,211 @@ export function calculateDifficulty({
 
   return {
     label,
-    targetLabel: difficultyName(targetDifficulty),
+    labelColor,
+    displayMode: mode,
+    targetLabel: difficultyName(targetDifficulty, activeRuleset),
     budget,
-    totalXP
+    totalXP,
+    adjustedXP,
+    multiplier,
+    ruleset: activeRuleset,
+    breakdown: buildEnemyBreakdown(enemies, totalXP, budget, multiplier),
+    warnings: buildWarnings({ allies, enemies, budget, maxEnemiesPerPc })
   };
 }
 
+/**
+ * Oblicza trudność osobno dla każdej fali wrogów oraz narastająco.
+ *
+ * Fala to numer zapisany w polu `wave` wpisu wroga (domyślnie 1).
+ * Trudność narastająca dla fali N uwzględnia wszystkich wrogów z fal 1..N –
+ * to zakłada, że wcześniejsze fale nie zostały jeszcze pokonane.
+ *
+ * @param {Object} params - te same parametry co calculateDifficulty()
+ * @returns {Array} - [{ wave, enemiesCount, result: wynik fali, cumulative: wynik narastająco }]
+ *   posortowane rosnąco po numerze fali; pusta tablica, gdy nie ma wrogów
+ */
+export function calculateWaveDifficulties(params) {
+  const enemies = Array.isArray(params?.enemies) ? params.enemies : [];
+  const waveOf = (e) => Math.max(1, Math.floor(Number(e.wave) || 1));
+  const waves = [...new Set(enemies.map(waveOf))].sort((a, b) => a - b);
+
+  return waves.map((wave) => {
+    const waveEnemies = enemies.filter((e) => waveOf(e) === wave);
+    const cumulativeEnemies = enemies.filter((e) => waveOf(e) <= wave);
+
+    return {
+      wave,
+      enemiesCount: waveEnemies.reduce(
+        (sum, e) => sum + (Number(e.quantity ?? 1) || 1),
+        0
+      ),
+      result: calculateDifficulty({ ...params, enemies: waveEnemies }),
+      cumulative: calculateDifficulty({ ...params, enemies: cumulativeEnemies })
+    };
+  });
+}
+
+/**
+ * Wykrywa „czerwone flagi” składu starcia (DMG 2024):
+ *  - "cr-above-party-level"        – CR stworzenia wyższy niż średni poziom PC,
+ *  - "single-creature-over-budget" – jedno stworzenie zjada cały budżet XP,
+ *  - "too-many-enemies"            – więcej niż maxEnemiesPerPc wrogów na PC.
+ *
+ * @param {Object} params
+ * @param {Array} params.allies
+ * @param {Array} params.enemies
+ * @param {number} params.budget - budżet XP wybranego progu
+ * @param {number} params.maxEnemiesPerPc
+ * @returns {Array} - [{ code, severity, uuid, key, badge, message }]
+ */
+function buildWarnings({ allies, enemies, budget, maxEnemiesPerPc }) {
+  const warnings = [];
+
+  // NPC z pcLevelOverride (sidekick) liczy się jak PC danego poziomu.
+  const pcLevels = allies
+    .filter(
+      (a) =>
+        a.type === "character" ||
+        (a.type === "npc" && Number(a.pcLevelOverride) >= 1)
+    )
+    .map((a) =>
+      a.type === "character"
+        ? Number(a.level) || 1
+        : Math.floor(Number(a.pcLevelOverride))
+    );
+  const pcCount = pcLevels.length;
+  const averageLevel = pcCount
+    ? pcLevels.reduce((sum, lvl) => sum + lvl, 0) / pcCount
+    : null;
+
+  for (const enemy of enemies) {
+    const cr = parseChallengeRating(enemy.cr);
+
+    if (averageLevel !== null && cr !== null && cr > averageLevel) {
+      warnings.push({
+        code: "cr-above-party-level",
+        severity: "danger",
+        uuid: enemy.uuid,
+        key: enemy.key ?? enemy.uuid,
+        badge: "CR > poziom",
+        message:
+          `CR ${enemy.cr} przekracza średni poziom drużyny ` +
+          `(${Math.round(averageLevel * 10) / 10}) – pojedynczy atak może powalić postać.`
+      });
+    }
+
+    const singleXp = getEntryXp(enemy);
+    if (budget > 0 && singleXp > budget) {
+      warnings.push({
+        code: "single-creature-over-budget",
+        severity: "danger",
+        uuid: enemy.uuid,
+        key: enemy.key ?? enemy.uuid,
+        badge: "Ponad budżet",
+        message: `Jedno stworzenie (${singleXp} XP) przekracza cały budżet XP (${budget}).`
+      });
+    }
+  }
+
+  const limit = Number(maxEnemiesPerPc) || 0;
+  if (pcCount > 0 && limit > 0) {
+    const enemiesCount = enemies.reduce(
+      (sum, e) => sum + (Number(e.quantity ?? 1) || 1),
+      0
+    );
+    if (enemiesCount > pcCount * limit) {
+      warnings.push({
+        code: "too-many-enemies",
+        severity: "warning",
+        uuid: null,
+        key: null,
+        badge: "Za dużo wrogów",
+        message:
+          `${enemiesCount} wrogów na ${pcCount} PC – więcej niż ${limit} na postać ` +
+          `utrudnia prowadzenie walki i mocno podnosi realną trudność.`
+      });
+    }
+  }
+
+  return warnings;
+}
+
+/**
+ * Buduje rozbicie XP na poszczególne wpisy wrogów.
+ *
+ * @param {Array} enemies - wpisy wrogów (xp, quantity, totalXp)
+ * @param {number} totalXP - suma XP wszystkich wrogów
+ * @param {number} budget - budżet XP wybranego progu (0 = brak budżetu)
+ * @param {number} multiplier - mnożnik XP (1 dla zasad 2024)
+ * @returns {Array} - [{ uuid, name, totalXp, shareOfBudget, shareOfTotal }]
+ */
+function buildEnemyBreakdown(enemies, totalXP, budget, multiplier) {
+  return enemies.map((e) => {
+    const entryXp =
+      Number(
+        e.totalXp ?? getEntryXp(e) * (Number(e.quantity ?? 1) || 1)
+      ) || 0;
+
+    return {
+      key: e.key ?? null,
+      uuid: e.uuid,
+      name: e.name,
+      totalXp: entryXp,
+      shareOfBudget: budget > 0 ? (entryXp * multiplier) / budget : 0,
+      shareOfTotal: totalXP > 0 ? entryXp / totalXP : 0
+    };
+  });
+}
+
+/**
+ * Zwraca etykiety przycisków progu budżetu dla danego zestawu zasad.
+ *
+ * @param {string} ruleset - "2024" lub "2014"
+ * @returns {{ low: string, moderate: string, high: string }}
+ */
+export function getTargetDifficultyLabels(ruleset = "2024") {
+  if (ruleset === "2014") {
+    return { low: "Łatwa", moderate: "Średnia", high: "Trudna" };
+  }
+  return { low: "Niska", moderate: "Umiarkowana", high: "Wysoka" };
+}
+
+/**
+ * Liczy wrogów z uwzględnieniem quantity (na potrzeby mnożnika 2014).
+ * Wpisy bez XP (np. neutralne stworzenia z CR 0) nie są liczone.
+ *
+ * @param {Array} enemies
+ * @returns {number}
+ */
+function countEnemies(enemies) {
+  return enemies.reduce((sum, e) => {
+    if (!(getEntryXp(e) > 0)) return sum;
+    return sum + (Number(e.quantity ?? 1) || 1);
+  }, 0);
+}
+
 /**
  * Zwraca czytelną nazwę progu trudności (do „Budowane pod trudność").
  *
  * @param {string} diffKey - klucz trudności: "low", "moderate", "high"
+ * @param {string} ruleset - "2024" lub "2014"
  * @returns {string} - nazwa w języku polskim
  */
-function difficultyName(diffKey) {
+function difficultyName(diffKey, ruleset = "2024") {
+  if (ruleset === "2014") {
+    switch (diffKey) {
+      case "low":
+        return "Łatwą";
+      case "moderate":
+        return "Średnią";
+      case "high":
+        return "Trudną";
+      default:
+        return diffKey;
+    }
+  }
+
   switch (diffKey) {
     case "low":
       return "Niską";
@@ -162,10 +428,36 @@ function difficultyName(diffKey) {
 /**
  * Sumuje budżety XP dla całej drużyny (poziomy + wagi).
  *
+ * W zestawie 2014 progi easy/medium/hard trafiają pod klucze
+ * low/moderate/high (żeby przełącznik w UI działał bez zmian),
+ * a próg deadly jest zwracany dodatkowo.
+ *
  * @param {Array} partyMembers - tablica członków drużyny z polami: level, weight
- * @returns {Object} - budżety: { low, moderate, high }
+ * @param {string} ruleset - "2024" lub "2014"
+ * @returns {Object} - budżety: { low, moderate, high } (+ deadly dla 2014)
  */
-function xpBudgetsForParty(partyMembers) {
+function xpBudgetsForParty(partyMembers, ruleset = "2024") {
+  if (ruleset === "2014") {
+    const totals2014 = { easy: 0, medium: 0, hard: 0, deadly: 0 };
+
+    for (const member of partyMembers) {
+      const row = getThresholdRowForLevel2014(member.level);
+      const weight = Number(member.weight) || 1.0;
+
+      totals2014.easy += row.easy * weight;
+      totals2014.medium += row.medium * weight;
+      totals2014.hard += row.hard * weight;
+      totals2014.deadly += row.deadly * weight;
+    }
+
+    return {
+      low: Math.round(totals2014.easy),
+      moderate: Math.round(totals2014.medium),
+      high: Math.round(totals2014.hard),
+      deadly: Math.round(totals2014.deadly)
+    };
+  }
+
   const totals = {
     low: 0,
     moderate: 0,
@@ -217,37 +509,59 @@ function labelClassicDmg(totalXP, budgets) {
   return "Ekstremalne";
 }
 
+/**
+ * Klasyczna trudność wg DMG 2014 (porównanie skorygowanego XP):
+ *  - adjustedXP < easy   → „Trywialne"
+ *  - < medium            → „Łatwe"
+ *  - < hard              → „Średnie"
+ *  - < deadly            → „Trudne"
+ *  - >= deadly           → „Śmiertelne"
+ *
+ * @param {number} adjustedXP - suma XP wrogów po mnożniku
+ * @param {Object} budgets - progi: { low, moderate, high, deadly }
+ * @returns {string} - etykieta trudności
+ */
+function labelClassicDmg2014(adjustedXP, budgets) {
+  if (!adjustedXP) return "Brak wrogów";
+  if (!budgets) return "Brak budżetu";
+
+  const easy = Number(budgets.low ?? 0) || 0;
+  const medium = Number(budgets.moderate ?? 0) || 0;
+  const hard = Number(budgets.high ?? 0) || 0;
+  const deadly = Number(budgets.deadly ?? 0) || 0;
+
+  if (easy <= 0 && medium <= 0 && hard <= 0 && deadly <= 0) {
+    return "Brak budżetu";
+  }
+
+  if (adjustedXP < easy) return "Trywialne";
+  if (adjustedXP < medium) return "Łatwe";
+  if (adjustedXP < hard) return "Średnie";
+  if (adjustedXP < deadly) return "Trudne";
+  return "Śmiertelne";
+}
+
 /**
  * Trudność względem wybranego budżetu docelowego.
  *
- * - totalXP – suma XP wrogów,
- * - budget  – budżet XP dla wybranego progu (Niska / Umiarkowana / Wysoka).
+ * - totalXP – suma XP wrogów (w 2014 po mnożniku),
+ * - budget  – budżet XP dla wybranego progu (Niska / Umiarkowana / Wysoka),
+ * - bands   – progi stosunku XP do budżetu zdefiniowane przez MG
+ *             (patrz difficulty-bands.service.js; domyślnie 0.75 / 1.25 / 1.75).
  *
- * Zwraca etykiety w stylu:
+ * Zwraca etykietę progu i jego kolor albo:
  *  - „Brak wrogów"
  *  - „Brak budżetu"
- *  - „Poniżej budżetu"
- *  - „W zakresie budżetu"
- *  - „Powyżej budżetu"
- *  - „Znacznie powyżej budżetu"
  *
  * @param {number} totalXP - suma XP wrogów
  * @param {number} budget - budżet XP dla wybranego progu
- * @returns {string} - etykieta trudności
+ * @param {Array} bands - progi trudności
+ * @returns {{ label: string, color: string|null }}
  */
-function labelRelativeToBudget(totalXP, budget) {
-  if (!totalXP) return "Brak wrogów";
-  if (!budget) return "Brak budżetu";
-
-  const ratio = totalXP / budget;
-
-  // Progi można później doprecyzować; obecnie:
-  // < 0.75    → poniżej
-  // 0.75–1.25 → w zakresie
-  // 1.25–1.75 → powyżej
-  // > 1.75    → znacznie powyżej
-  if (ratio < 0.75) return "Poniżej budżetu";
-  if (ratio <= 1.25) return "W zakresie budżetu";
-  if (ratio <= 1.75) return "Powyżej budżetu";
-  return "Znacznie powyżej budżetu";
+function labelRelativeToBudget(totalXP, budget, bands) {
+  if (!totalXP) return { label: "Brak wrogów", color: null };
+  if (!budget) return { label: "Brak budżetu", color: null };
+
+  const band = getBandForRatio(bands, totalXP / budget);
+  return { label: band?.name ?? "—", color: band?.color ?? null };
 }
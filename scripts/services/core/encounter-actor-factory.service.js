@@ -10,6 +10,26 @@
 
 import { MODULE_ID } from "../../config/constants.js";
 import { formatPlainTextToHtml } from "../ui/ui-helpers.service.js";
+import {
+  ENTRY_OVERRIDE_FIELDS,
+  getEntryXp
+} from "./encounter-state.service.js";
+
+/**
+ * Wybiera z wpisu ustawione nadpisania (xpOverride itd.) do zapisu we flagach.
+ *
+ * @param {Object} entry
+ * @returns {Object}
+ */
+function pickEntryOverrides(entry) {
+  const out = {};
+  for (const field of ENTRY_OVERRIDE_FIELDS) {
+    if (entry?.[field] !== null && entry?.[field] !== undefined) {
+      out[field] = entry[field];
+    }
+  }
+  return out;
+}
 
 /**
  * Tworzy aktora encounter typu "encounter".
@@ -71,7 +91,7 @@ export async function createEncounterActor({ enemies = [], config = {} }) {
       sum +
       (Number(
         e.totalXp ??
-          (Number(e.xp) || 0) * (Number(e.quantity ?? 1) || 1)
+          getEntryXp(e) * (Number(e.quantity ?? 1) || 1)
       ) || 0),
     0
   );
@@ -83,15 +103,22 @@ export async function createEncounterActor({ enemies = [], config = {} }) {
     xp: Number(e.xp) || 0,
     quantity: Number(e.quantity ?? 1) || 1,
     level: e.level ?? null,
-    cr: e.cr ?? null
+    cr: e.cr ?? null,
+    wave: Math.max(1, Number(e.wave ?? 1) || 1),
+    ...pickEntryOverrides(e)
   }));
 
-  const systemMembers = enemies.map((e) => ({
-    uuid: e.uuid,
-    quantity: {
-      value: Math.max(1, Number(e.quantity ?? 1) || 1)
+  // system.members nie zna fal – ten sam aktor z kilku fal to jeden członek.
+  const systemMembers = [];
+  for (const e of enemies) {
+    const qty = Math.max(1, Number(e.quantity ?? 1) || 1);
+    const member = systemMembers.find((m) => m.uuid === e.uuid);
+    if (member) {
+      member.quantity.value += qty;
+    } else {
+      systemMembers.push({ uuid: e.uuid, quantity: { value: qty } });
     }
-  }));
+  }
 
   // Upewniamy się, że przedmioty są w formacie z quantity (1–99).
   const itemsConfig = (itemsConfigRaw ?? []).map((it) => {
@@ -0,0 +1,93 @@
+/**
+ * EncounterChat – serwis karty czatu z podsumowaniem starcia.
+ *
+ * Odpowiada za:
+ *  - dane karty (wrogowie, suma XP, budżet, trudność, opcjonalnie skarb),
+ *  - utworzenie ChatMessage z widocznością wg trybu rzutu
+ *    (publicznie / tylko MG / prywatnie),
+ *  - zapis starcia we flagach wiadomości (format pliku eksportu),
+ *    żeby przycisk na karcie mógł wczytać je z powrotem do kalkulatora.
+ */
+
+import { MODULE_ID } from "../../config/constants.js";
+import { getEntryXp } from "./encounter-state.service.js";
+import { buildTreasureSummary } from "./encounter-journal.service.js";
+
+const CHAT_CARD_TEMPLATE =
+  "modules/dnd5e-2024-encounter/templates/encounter-chat-card.hbs";
+
+/** Klucz flagi wiadomości ze starciem (wynik buildCalculatorFile()). */
+export const ENCOUNTER_CARD_FLAG = "encounterCard";
+
+/**
+ * Buduje dane karty czatu.
+ *
+ * @param {Object} params
+ * @param {string} params.name - nazwa starcia
+ * @param {Array} params.enemies
+ * @param {Object} params.difficulty - wynik calculateDifficulty()
+ * @param {Object|null} [params.treasure] - config popupu (waluty, items) albo null
+ * @returns {Object}
+ */
+export function buildEncounterChatData({
+  name,
+  enemies = [],
+  difficulty,
+  treasure = null
+}) {
+  const rows = enemies.map((e) => {
+    const quantity = Math.max(1, Number(e.quantity ?? 1) || 1);
+    return {
+      name: e.name,
+      quantity,
+      totalXp: getEntryXp(e) * quantity
+    };
+  });
+
+  const summary = treasure ? buildTreasureSummary(treasure) : null;
+
+  return {
+    name: String(name ?? "").trim() || "Starcie",
+    enemies: rows,
+    totalXp: rows.reduce((sum, r) => sum + r.totalXp, 0),
+    hasParty: Number(difficulty?.budget) > 0,
+    label: difficulty?.label ?? "",
+    labelColor: difficulty?.labelColor ?? "",
+    targetLabel: difficulty?.targetLabel ?? "",
+    budget: difficulty?.budget ?? 0,
+    adjustedXp: difficulty?.adjustedXP ?? 0,
+    hasMultiplier: Number(difficulty?.multiplier ?? 1) !== 1,
+    treasure: summary,
+    hasTreasure: !!summary && (summary.currency.length > 0 || summary.items.length > 0)
+  };
+}
+
+/**
+ * Publikuje kartę starcia na czacie.
+ *
+ * @param {Object} params
+ * @param {Object} params.data - wynik buildEncounterChatData()
+ * @param {Object} params.encounter - wynik buildCalculatorFile() (do ponownego wczytania)
+ * @param {string} [params.rollMode] - tryb rzutu (domyślnie bieżący z ustawień core)
+ * @returns {Promise<ChatMessage>}
+ */
+export async function postEncounterChatCard({ data, encounter, rollMode }) {
+  const content = await foundry.applications.handlebars.renderTemplate(
+    CHAT_CARD_TEMPLATE,
+    data
+  );
+
+  const messageData = {
+    speaker: ChatMessage.getSpeaker(),
+    content,
+    flags: {
+      [MODULE_ID]: { [ENCOUNTER_CARD_FLAG]: encounter }
+    }
+  };
+  ChatMessage.applyRollMode(
+    messageData,
+    rollMode ?? game.settings.get("core", "rollMode")
+  );
+
+  return ChatMessage.create(messageData);
+}
@@ -0,0 +1,221 @@
+/**
+ * EncounterJournal – serwis do zapisu podsumowania encountera
+ * jako strony dziennika (JournalEntryPage).
+ *
+ * Strona zawiera:
+ *  - listę wrogów z odnośnikami @UUID[...], ilościami i XP (z podziałem na fale),
+ *  - trudność względem bieżącej drużyny,
+ *  - walutę i przedmioty z wartościami,
+ *  - podsumowanie i opis z popupu.
+ *
+ * Strony trafiają na koniec wybranego dziennika, więc kolejność stron
+ * odpowiada kolejności tworzenia encounterów.
+ */
+
+import { MODULE_ID } from "../../config/constants.js";
+import { formatChallengeRating } from "../../data/cr-xp.js";
+import { formatPlainTextToHtml } from "../ui/ui-helpers.service.js";
+import {
+  formatCurrencyValue,
+  formatGoldEquivalent
+} from "../ui/form-components.service.js";
+import { getEntryXp } from "./encounter-state.service.js";
+
+const JOURNAL_PAGE_TEMPLATE =
+  "modules/dnd5e-2024-encounter/templates/encounter-journal-page.hbs";
+
+/** Waluty w kolejności od najcenniejszej: [pole configu, skrót]. */
+const CURRENCIES = [
+  ["platinum", "PP"],
+  ["gold", "GP"],
+  ["electrum", "EP"],
+  ["silver", "SP"],
+  ["copper", "CP"]
+];
+
+/**
+ * Buduje odnośnik do dokumentu w treści dziennika.
+ *
+ * @param {string} uuid
+ * @param {string} name
+ * @returns {string}
+ */
+function contentLink(uuid, name) {
+  const label = String(name ?? "").replace(/[{}]/g, "");
+  return uuid ? `@UUID[${uuid}]{${label}}` : label;
+}
+
+/**
+ * Podsumowanie skarbu z configu popupu: niezerowe waluty i przedmioty
+ * z wartościami (w GP). Używane też przez kartę czatu.
+ *
+ * @param {Object} config - { platinum, gold, electrum, silver, copper, items }
+ * @returns {Object} - { currency, currencyGp, items, itemsGp, totalGp }
+ */
+export function buildTreasureSummary(config = {}) {
+  const currency = CURRENCIES.map(([key, label]) => ({
+    label,
+    value: Math.max(0, Number(config[key] ?? 0) || 0)
+  })).filter((c) => c.value > 0);
+
+  const items = (Array.isArray(config.items) ? config.items : []).map((it) => {
+    const quantity = Math.max(1, Number(it.quantity ?? 1) || 1);
+    const price = Number(it.price ?? 0) || 0;
+    return {
+      name: it.name,
+      link: contentLink(it.uuid, it.name),
+      quantity,
+      price: formatCurrencyValue(price),
+      total: formatCurrencyValue(price * quantity),
+      value: price * quantity
+    };
+  });
+
+  const currencyGp = formatGoldEquivalent(
+    config.platinum,
+    config.gold,
+    config.electrum,
+    config.silver,
+    config.copper
+  );
+  const itemsGp = items.reduce((sum, it) => sum + it.value, 0);
+
+  return {
+    currency,
+    currencyGp: formatCurrencyValue(currencyGp),
+    items,
+    itemsGp: formatCurrencyValue(itemsGp),
+    totalGp: formatCurrencyValue(currencyGp + itemsGp)
+  };
+}
+
+/**
+ * Buduje dane strony dziennika (kontekst szablonu).
+ *
+ * @param {Object} params
+ * @param {Array} params.enemies - wpisy wrogów z kalkulatora
+ * @param {Object} params.difficulty - wynik calculateDifficulty() dla tych wrogów
+ * @param {Object} params.config - config z popupu (nazwa, waluta, items, summary, description)
+ * @param {Actor} [params.encounterActor] - utworzony aktor encounter
+ * @returns {Object}
+ */
+export function buildEncounterJournalData({
+  enemies = [],
+  difficulty,
+  config = {},
+  encounterActor = null
+}) {
+  const rows = enemies.map((e) => {
+    const quantity = Math.max(1, Number(e.quantity ?? 1) || 1);
+    const xp = getEntryXp(e);
+    return {
+      link: contentLink(e.uuid, e.name),
+      quantity,
+      crLabel: formatChallengeRating(e.cr),
+      xp,
+      totalXp: xp * quantity,
+      wave: Math.max(1, Number(e.wave ?? 1) || 1)
+    };
+  });
+
+  // Fale w kolejności rosnącej; wrogowie w obrębie fali – jak w kalkulatorze.
+  const waveNumbers = [...new Set(rows.map((r) => r.wave))].sort((a, b) => a - b);
+  const waves = waveNumbers.map((wave) => {
+    const waveRows = rows.filter((r) => r.wave === wave);
+    return {
+      wave,
+      rows: waveRows,
+      totalXp: waveRows.reduce((sum, r) => sum + r.totalXp, 0)
+    };
+  });
+
+  const treasure = buildTreasureSummary(config);
+
+  const hasParty = Number(difficulty?.budget) > 0;
+
+  return {
+    name: String(config.name ?? "").trim() || encounterActor?.name || "Encounter",
+    actorLink: encounterActor
+      ? contentLink(encounterActor.uuid, encounterActor.name)
+      : "",
+    waves,
+    hasWaves: waves.length > 1,
+    totalXp: rows.reduce((sum, r) => sum + r.totalXp, 0),
+    difficulty: {
+      hasParty,
+      label: difficulty?.label ?? "",
+      targetLabel: difficulty?.targetLabel ?? "",
+      budget: difficulty?.budget ?? 0,
+      adjustedXp: difficulty?.adjustedXP ?? 0,
+      hasMultiplier: Number(difficulty?.multiplier ?? 1) !== 1,
+      multiplier: difficulty?.multiplier ?? 1
+    },
+    ...treasure,
+    summaryHtml: formatPlainTextToHtml(config.summary),
+    descriptionHtml: formatPlainTextToHtml(config.description)
+  };
+}
+
+/**
+ * Zwraca wybrany dziennik albo tworzy nowy.
+ *
+ * @param {string} journalId - id istniejącego JournalEntry ("" = nowy)
+ * @param {string} journalName - nazwa nowego dziennika
+ * @returns {Promise<JournalEntry|null>}
+ */
+async function resolveJournal(journalId, journalName) {
+  const existing = journalId ? game.journal.get(journalId) : null;
+  if (existing) return existing;
+
+  const name = String(journalName ?? "").trim() || "Encounters";
+  return (
+    game.journal.find((j) => j.name === name) ??
+    JournalEntry.create({ name })
+  );
+}
+
+/**
+ * Tworzy stronę dziennika z podsumowaniem encountera.
+ * Strona trafia na koniec dziennika (kolejność tworzenia encounterów).
+ *
+ * @param {Object} params
+ * @param {Object} params.data - wynik buildEncounterJournalData()
+ * @param {string} [params.journalId] - docelowy dziennik ("" = nowy)
+ * @param {string} [params.journalName] - nazwa nowego dziennika
+ * @returns {Promise<JournalEntryPage|null>}
+ */
+export async function createEncounterJournalPage({
+  data,
+  journalId = "",
+  journalName = ""
+}) {
+  const journal = await resolveJournal(journalId, journalName);
+  if (!journal) return null;
+
+  const content = await foundry.applications.handlebars.renderTemplate(
+    JOURNAL_PAGE_TEMPLATE,
+    data
+  );
+
+  const lastSort = Math.max(0, ...journal.pages.contents.map((p) => p.sort));
+
+  const [page] = await journal.createEmbeddedDocuments("JournalEntryPage", [
+    {
+      name: data.name,
+      type: "text",
+      sort: lastSort + CONST.SORT_INTEGER_DENSITY,
+      text: {
+        content,
+        format: CONST.JOURNAL_ENTRY_PAGE_FORMATS.HTML
+      },
+      flags: {
+        [MODULE_ID]: {
+          source: "encounter-calculator",
+          totalXP: data.totalXp
+        }
+      }
+    }
+  ]);
+
+  return page ?? null;
+}
@@ -1,6 +1,141 @@
 /**
  * EncounterState – serwis do manipulacji stanem allies/enemies.
+ *
+ * Każdy wpis ma stabilny klucz `key` (unikalny w obrębie kalkulatora),
+ * bo ten sam aktor może wystąpić w kilku wpisach (np. w różnych falach).
+ * Funkcje szukające wpisu przyjmują `key`, a dla zgodności wstecz
+ * również `uuid` (wtedy trafiają w pierwszy wpis tego aktora).
+ *
+ * Wpis może mieć opcjonalne nadpisania (ENTRY_OVERRIDE_FIELDS):
+ *  - xpOverride      – własne XP za sztukę (homebrew),
+ *  - weightOverride  – waga sojuszniczego NPC zamiast globalnej,
+ *  - pcLevelOverride – sojuszniczy NPC liczony jako PC danego poziomu,
+ *  - hpOverride      – maks. PW tego egzemplarza (informacyjnie, np. z tokena).
+ *
+ * Aktorzy syntetyczni (niepowiązane tokeny, uuid „Scene.x.Token.y.Actor.z”)
+ * są zamieniani na aktora bazowego – patrz resolveBaseActor().
+ */
+
+/** Najwyższy numer fali wrogów. */
+export const MAX_WAVE = 9;
+
+/**
+ * Tworzy klucz nowego wpisu.
+ *
+ * @returns {string}
+ */
+export function createEntryKey() {
+  return foundry.utils.randomID();
+}
+
+/**
+ * Sprowadza numer fali do zakresu 1–MAX_WAVE.
+ *
+ * @param {number|string} wave
+ * @returns {number}
+ */
+export function normalizeWave(wave) {
+  const value = Math.floor(Number(wave) || 1);
+  return Math.max(1, Math.min(MAX_WAVE, value));
+}
+
+/**
+ * Szuka indeksu wpisu po kluczu (key), a w drugiej kolejności po uuid.
+ *
+ * @param {Array} list
+ * @param {string} ref - key lub uuid
+ * @returns {number} - indeks albo -1
  */
+export function findEntryIndex(list, ref) {
+  if (!ref) return -1;
+  const byKey = list.findIndex((e) => e.key === ref);
+  if (byKey !== -1) return byKey;
+  return list.findIndex((e) => e.uuid === ref);
+}
+
+/** Pola nadpisań wpisu (brak pola = brak nadpisania). */
+export const ENTRY_OVERRIDE_FIELDS = [
+  "xpOverride",
+  "weightOverride",
+  "pcLevelOverride",
+  "hpOverride"
+];
+
+/**
+ * Zwraca XP za sztukę z uwzględnieniem nadpisania xpOverride.
+ *
+ * @param {Object} entry
+ * @returns {number}
+ */
+export function getEntryXp(entry) {
+  const override = entry?.xpOverride;
+  if (override !== null && override !== undefined && Number.isFinite(Number(override))) {
+    return Math.max(0, Number(override));
+  }
+  return Number(entry?.xp) || 0;
+}
+
+/**
+ * Czy wpis ma jakiekolwiek nadpisanie.
+ *
+ * @param {Object} entry
+ * @returns {boolean}
+ */
+export function hasEntryOverrides(entry) {
+  return ENTRY_OVERRIDE_FIELDS.some(
+    (field) => entry?.[field] !== null && entry?.[field] !== undefined
+  );
+}
+
+/**
+ * Sprowadza wartość nadpisania do dozwolonego zakresu.
+ * Pusta lub nieliczbowa wartość oznacza brak nadpisania (null).
+ *
+ * @param {string} field - jedno z ENTRY_OVERRIDE_FIELDS
+ * @param {*} value
+ * @returns {number|null}
+ */
+export function normalizeEntryOverride(field, value) {
+  if (value === null || value === undefined || String(value).trim() === "") {
+    return null;
+  }
+  const n = Number(value);
+  if (!Number.isFinite(n)) return null;
+
+  switch (field) {
+    case "xpOverride":
+      return Math.max(0, Math.floor(n));
+    case "weightOverride":
+      return Math.max(0, Math.min(2, Math.round(n * 100) / 100));
+    case "pcLevelOverride":
+      return Math.max(1, Math.min(20, Math.floor(n)));
+    case "hpOverride":
+      return Math.max(1, Math.min(99999, Math.floor(n)));
+    default:
+      return null;
+  }
+}
+
+/**
+ * Ustawia (lub usuwa) nadpisanie wpisu i przelicza jego totalXp.
+ *
+ * @param {Array} list
+ * @param {string} ref - key lub uuid
+ * @param {string} field - jedno z ENTRY_OVERRIDE_FIELDS
+ * @param {*} value - pusta wartość usuwa nadpisanie
+ */
+export function setEntryOverride(list, ref, field, value) {
+  if (!ENTRY_OVERRIDE_FIELDS.includes(field)) return;
+  const index = findEntryIndex(list, ref);
+  if (index === -1) return;
+
+  const entry = list[index];
+  const normalized = normalizeEntryOverride(field, value);
+  if (normalized === null) delete entry[field];
+  else entry[field] = normalized;
+
+  entry.totalXp = getEntryXp(entry) * (Number(entry.quantity ?? 1) || 1);
+}
 
 /**
  * Odczytuje XP z aktora (system.details.xp.value, jeśli istnieje).
@@ -15,18 +150,124 @@ export function getActorXp(actor) {
 }
 
 /**
- * Usuwa wpis o wskazanym uuid z listy.
+ * Odświeża dane wpisu (nazwa, poziom, CR, XP) z aktualnego stanu aktora.
+ * Gdy poziom, CR lub XP się zmieniły, wpis dostaje pole `changed`
+ * z opisem zmiany (np. „poziom 3 → 4”) – znacznik dla UI.
+ *
+ * @param {Object} entry
+ * @param {Actor} actor
+ * @param {Function} [getActorXpFn=getActorXp]
+ * @returns {boolean} - czy pojawiła się oznaczona zmiana
+ */
+export function refreshEntryFromActor(entry, actor, getActorXpFn = getActorXp) {
+  const next = {
+    level: actor.system?.details?.level ?? null,
+    cr: actor.system?.details?.cr ?? null,
+    xp: getActorXpFn(actor)
+  };
+  const labels = { level: "poziom", cr: "CR", xp: "XP" };
+
+  // XP postaci gracza to jej doświadczenie, a nie wartość w starciu –
+  // jego zmiana (np. po „Przyznaj XP”) nie jest oznaczana.
+  const silent = actor.type === "character" ? ["xp"] : [];
+
+  const notes = [];
+  for (const [field, value] of Object.entries(next)) {
+    if ((entry[field] ?? null) === value) continue;
+    if (!silent.includes(field)) {
+      notes.push(`${labels[field]} ${entry[field] ?? "–"} → ${value ?? "–"}`);
+    }
+    entry[field] = value;
+  }
+
+  entry.name = actor.name;
+  delete entry.missing;
+  entry.totalXp = getEntryXp(entry) * (Number(entry.quantity) || 1);
+
+  if (notes.length) {
+    entry.changed = entry.changed
+      ? `${entry.changed}; ${notes.join(", ")}`
+      : notes.join(", ");
+  }
+  return notes.length > 0;
+}
+
+/**
+ * Zamienia aktora syntetycznego (niepowiązany token) na jego aktora bazowego,
+ * żeby wpisy grupowały się po bazowym aktorze, a encounter nie odwoływał się
+ * do tokena, który zniknie razem ze sceną.
+ * Różnice tokena względem bazy (XP / CR, maks. PW) są zwracane jako nadpisania.
+ *
+ * @param {Actor} actor
+ * @param {Function} [getActorXpFn=getActorXp]
+ * @returns {Object} - { actor, delta } – delta: { xpOverride?, hpOverride? }
+ */
+export function resolveBaseActor(actor, getActorXpFn = getActorXp) {
+  const base = actor?.isToken ? actor.token?.baseActor : null;
+  if (!base) return { actor, delta: {} };
+
+  const delta = {};
+
+  const xp = getActorXpFn(actor);
+  if (xp !== getActorXpFn(base)) delta.xpOverride = xp;
+
+  const hp = Number(actor.system?.attributes?.hp?.max);
+  const baseHp = Number(base.system?.attributes?.hp?.max);
+  if (Number.isFinite(hp) && hp !== baseHp) {
+    delta.hpOverride = normalizeEntryOverride("hpOverride", hp);
+  }
+
+  return { actor: base, delta };
+}
+
+/**
+ * Usuwa wpis o wskazanym kluczu (lub uuid) z listy.
  *
  * @param {Array} list
- * @param {string} uuid
+ * @param {string} ref - key lub uuid
  */
-export function removeEntryFromList(list, uuid) {
-  const index = list.findIndex((e) => e.uuid === uuid);
+export function removeEntryFromList(list, ref) {
+  const index = findEntryIndex(list, ref);
   if (index !== -1) list.splice(index, 1);
 }
 
+/**
+ * Usuwa z listy wszystkie wpisy danego aktora.
+ *
+ * @param {Array} list
+ * @param {string} uuid
+ */
+function removeAllEntriesOfActor(list, uuid) {
+  for (let i = list.length - 1; i >= 0; i--) {
+    if (list[i].uuid === uuid) list.splice(i, 1);
+  }
+}
+
+/**
+ * Czy dwa wpisy wrogów opisują te same sztuki: ten sam aktor, fala
+ * i te same nadpisania. Tylko takie wpisy są scalane w jeden z ilością –
+ * inaczej np. goblin z tokena o zmienionym CR liczyłby się jak zwykłe gobliny
+ * (albo zwykłe gobliny dostałyby jego XP).
+ *
+ * @param {Object} a
+ * @param {Object} b
+ * @returns {boolean}
+ */
+export function canMergeEnemyEntries(a, b) {
+  return (
+    a.uuid === b.uuid &&
+    normalizeWave(a.wave) === normalizeWave(b.wave) &&
+    ENTRY_OVERRIDE_FIELDS.every(
+      (field) => (a[field] ?? null) === (b[field] ?? null)
+    )
+  );
+}
+
 /**
  * Dodaje pojedynczego aktora po wskazanej stronie.
+ * Aktor syntetyczny jest zamieniany na bazowego (resolveBaseActor());
+ * różnice tokena trafiają do nadpisań wpisu. Wróg jest dopisywany
+ * do istniejącego wpisu tylko przy zgodnych nadpisaniach (canMergeEnemyEntries()).
  *
  * @param {Object} params
  * @param {Array} params.allies
@@ -34,18 +275,27 @@ export function removeEntryFromList(list, uuid) {
  * @param {Actor} params.actor
  * @param {string} params.side
  * @param {Function} params.getActorXpFn
+ * @param {number} [params.wave=1] - fala wrogów (tylko po stronie enemies)
+ * @param {Object} [params.overrides={}] - nadpisania wpisu (ważniejsze niż różnice tokena)
+ * @returns {Object} - wpis, w którym znalazł się aktor (nowy albo scalony)
  */
 export function addSingleActorToSide({
   allies,
   enemies,
   actor,
   side,
-  getActorXpFn = getActorXp
+  getActorXpFn = getActorXp,
+  wave = 1,
+  overrides = {}
 }) {
+  const resolved = resolveBaseActor(actor, getActorXpFn);
+  actor = resolved.actor;
+
   const isPC = actor.type === "character";
   const xpValue = getActorXpFn(actor);
 
   const entry = {
+    key: createEntryKey(),
     id: actor.id,
     uuid: actor.uuid,
     name: actor.name,
@@ -54,42 +304,187 @@ export function addSingleActorToSide({
     cr: actor.system?.details?.cr ?? null,
     xp: xpValue,
     quantity: 1,
-    totalXp: xpValue
+    totalXp: xpValue,
+    ...resolved.delta
   };
+  for (const field of ENTRY_OVERRIDE_FIELDS) {
+    if (overrides?.[field] === undefined) continue;
+    const value = normalizeEntryOverride(field, overrides[field]);
+    if (value === null) delete entry[field];
+    else entry[field] = value;
+  }
+  entry.totalXp = getEntryXp(entry);
 
   if (isPC) {
     // PC – zawsze unikalni, usuwamy z obu stron przed dodaniem.
-    removeEntryFromList(allies, entry.uuid);
-    removeEntryFromList(enemies, entry.uuid);
+    removeAllEntriesOfActor(allies, entry.uuid);
+    removeAllEntriesOfActor(enemies, entry.uuid);
 
     if (side === "enemies") {
       entry.quantity = 1;
-      entry.totalXp = Number(entry.xp) || 0;
+      entry.totalXp = getEntryXp(entry);
+      entry.wave = normalizeWave(wave);
       enemies.push(entry);
     } else {
       allies.push(entry);
     }
-    return;
+    return entry;
   }
 
   // NPC / potwory / inne – logika różna dla sojuszników i wrogów.
   if (side === "enemies") {
-    const existing = enemies.find((e) => e.uuid === entry.uuid);
+    // Wrogowie są grupowani po aktorze w obrębie tej samej fali
+    // (przy zgodnych nadpisaniach).
+    entry.wave = normalizeWave(wave);
+    const existing = enemies.find((e) => canMergeEnemyEntries(e, entry));
 
     if (existing) {
       let currentQ = Number(existing.quantity ?? 1) || 1;
       currentQ = Math.min(currentQ + 1, 99);
       existing.quantity = currentQ;
-      existing.totalXp = (Number(existing.xp) || 0) * currentQ;
-    } else {
-      entry.quantity = 1;
-      entry.totalXp = Number(entry.xp) || 0;
-      enemies.push(entry);
+      existing.totalXp = getEntryXp(existing) * currentQ;
+      return existing;
     }
-  } else {
-    // Sojusznicy – nie grupujemy ilości, każdy wpis osobno.
-    allies.push(entry);
+
+    entry.quantity = 1;
+    entry.totalXp = getEntryXp(entry);
+    enemies.push(entry);
+    return entry;
   }
+
+  // Sojusznicy – nie grupujemy ilości, każdy wpis osobno.
+  allies.push(entry);
+  return entry;
+}
+
+/**
+ * Dodaje aktora do wrogów z podaną ilością sztuk.
+ * Sztuki trafiają do wpisu wskazanego przez addSingleActorToSide()
+ * (nowego albo scalonego), którego ilość rośnie o quantity (max 99).
+ * PC zawsze zostaje jedną sztuką.
+ *
+ * @param {Object} params
+ * @param {Array} params.allies
+ * @param {Array} params.enemies
+ * @param {Actor} params.actor
+ * @param {number} [params.quantity=1]
+ * @param {Function} [params.getActorXpFn=getActorXp]
+ * @param {number} [params.wave=1]
+ * @param {Object} [params.overrides={}]
+ * @returns {Object} - wpis wroga
+ */
+export function addActorWithQuantity({
+  allies,
+  enemies,
+  actor,
+  quantity = 1,
+  getActorXpFn = getActorXp,
+  wave = 1,
+  overrides = {}
+}) {
+  const entry = addSingleActorToSide({
+    allies,
+    enemies,
+    actor,
+    side: "enemies",
+    getActorXpFn,
+    wave,
+    overrides
+  });
+  if (entry.type === "character") return entry;
+
+  // addSingleActorToSide() dodało już jedną sztukę.
+  const added = Math.max(1, Math.floor(Number(quantity)) || 1);
+  const current = Number(entry.quantity ?? 1) || 1;
+  updateEnemyQuantity(enemies, entry.key, "set", current - 1 + added);
+  return entry;
+}
+
+/**
+ * Przenosi wpis w obrębie strony (zmiana kolejności / fali) albo między
+ * stronami, zachowując zasady addSingleActorToSide():
+ *  - wrogowie są grupowani po aktorze w obrębie fali przy zgodnych
+ *    nadpisaniach (ilości się sumują, max 99),
+ *  - sojusznicy nie mają ilości – wróg z quantity N staje się N wpisami,
+ *  - PC jest unikalny, więc zawsze przenoszony jako jeden wpis.
+ * Nadpisania wpisu (xpOverride itd.) przechodzą razem z nim.
+ *
+ * @param {Object} params
+ * @param {Array} params.allies
+ * @param {Array} params.enemies
+ * @param {string} params.fromSide - "allies" | "enemies"
+ * @param {string} params.ref - key (lub uuid) przenoszonego wpisu
+ * @param {string} params.toSide - "allies" | "enemies"
+ * @param {string} [params.beforeRef] - key wpisu, przed którym wstawić (brak = na koniec)
+ * @param {number} [params.wave] - docelowa fala (tylko po stronie enemies)
+ * @returns {boolean} - czy cokolwiek się zmieniło
+ */
+export function moveEntry({
+  allies,
+  enemies,
+  fromSide,
+  ref,
+  toSide,
+  beforeRef = null,
+  wave
+}) {
+  const source = fromSide === "enemies" ? enemies : allies;
+  const target = toSide === "enemies" ? enemies : allies;
+
+  const index = findEntryIndex(source, ref);
+  if (index === -1) return false;
+  const entry = source[index];
+  if (beforeRef && beforeRef === entry.key) return false;
+
+  source.splice(index, 1);
+
+  const insert = (item) => {
+    const at = beforeRef ? target.findIndex((e) => e.key === beforeRef) : -1;
+    if (at === -1) target.push(item);
+    else target.splice(at, 0, item);
+  };
+
+  if (toSide === "enemies") {
+    const quantity =
+      fromSide === "enemies" ? Number(entry.quantity ?? 1) || 1 : 1;
+    const targetWave = normalizeWave(wave ?? entry.wave ?? 1);
+
+    const existing =
+      entry.type === "character"
+        ? null
+        : enemies.find((e) =>
+            canMergeEnemyEntries(e, { ...entry, wave: targetWave })
+          );
+
+    if (existing) {
+      const q = Math.min(99, (Number(existing.quantity ?? 1) || 1) + quantity);
+      existing.quantity = q;
+      existing.totalXp = getEntryXp(existing) * q;
+      return true;
+    }
+
+    entry.wave = targetWave;
+    entry.quantity = quantity;
+    entry.totalXp = getEntryXp(entry) * quantity;
+    insert(entry);
+    return true;
+  }
+
+  // Strona sojuszników – bez fal i ilości.
+  const copies =
+    fromSide === "enemies" && entry.type !== "character"
+      ? Math.max(1, Number(entry.quantity ?? 1) || 1)
+      : 1;
+
+  delete entry.wave;
+  entry.quantity = 1;
+  entry.totalXp = getEntryXp(entry);
+  insert(entry);
+
+  for (let i = 1; i < copies; i++) {
+    insert({ ...entry, key: createEntryKey() });
+  }
+  return true;
 }
 
 /**
@@ -107,18 +502,19 @@ export function addSingleActorToSide({
  */
 
 /**
- * Aktualizuje ilość (quantity) wroga o danym uuid.
+ * Aktualizuje ilość (quantity) wroga o danym kluczu (lub uuid).
  *
  * @param {Array} enemies
- * @param {string} uuid
+ * @param {string} ref - key lub uuid
  * @param {string} mode - "delta" | "set"
  * @param {number} value
  */
-export function updateEnemyQuantity(enemies, uuid, mode, value) {
-  const enemy = enemies.find((e) => e.uuid === uuid);
-  if (!enemy) return;
+export function updateEnemyQuantity(enemies, ref, mode, value) {
+  const index = findEntryIndex(enemies, ref);
+  if (index === -1) return;
+  const enemy = enemies[index];
 
-  const baseXp = Number(enemy.xp) || 0;
+  const baseXp = getEntryXp(enemy);
   let q = Number(enemy.quantity ?? 1) || 1;
 
   if (mode === "delta") {
@@ -128,8 +524,7 @@ export function updateEnemyQuantity(enemies, uuid, mode, value) {
   }
 
   if (q <= 0) {
-    const idx = enemies.findIndex((e) => e.uuid === uuid);
-    if (idx !== -1) enemies.splice(idx, 1);
+    enemies.splice(index, 1);
     return;
   }
 
@@ -139,3 +534,49 @@ export function updateEnemyQuantity(enemies, uuid, mode, value) {
   enemy.quantity = q;
   enemy.totalXp = baseXp * q;
 }
+
+/**
+ * Przenosi wpis wroga do innej fali.
+ * Jeśli w docelowej fali jest już ten sam aktor z tymi samymi nadpisaniami –
+ * ilości są scalane.
+ *
+ * @param {Array} enemies
+ * @param {string} ref - key lub uuid
+ * @param {number} wave
+ */
+export function setEnemyWave(enemies, ref, wave) {
+  const index = findEntryIndex(enemies, ref);
+  if (index === -1) return;
+
+  const entry = enemies[index];
+  const target = normalizeWave(wave);
+  if (normalizeWave(entry.wave) === target) return;
+
+  const existing = enemies.find(
+    (e) => e !== entry && canMergeEnemyEntries(e, { ...entry, wave: target })
+  );
+
+  if (existing) {
+    const q = Math.min(
+      99,
+      (Number(existing.quantity ?? 1) || 1) + (Number(entry.quantity ?? 1) || 1)
+    );
+    existing.quantity = q;
+    existing.totalXp = getEntryXp(existing) * q;
+    enemies.splice(index, 1);
+    return;
+  }
+
+  entry.wave = target;
+}
+
+/**
+ * Zwraca numery fal obecnych wśród wrogów (rosnąco).
+ *
+ * @param {Array} enemies
+ * @returns {number[]}
+ */
+export function getEnemyWaves(enemies) {
+  const waves = new Set((enemies ?? []).map((e) => normalizeWave(e.wave)));
+  return [...waves].sort((a, b) => a - b);
+}
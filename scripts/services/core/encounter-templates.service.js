@@ -0,0 +1,234 @@
+/**
+ * EncounterTemplates – serwis biblioteki szablonów składu wrogów.
+ *
+ * Szablon to nazwany zapis listy wrogów (bez drużyny) z opisem:
+ *  - environment – środowisko (np. „las”, „miasto”),
+ *  - theme       – motyw (np. „bandyci”, „kult”),
+ *  - levelMin / levelMax – zalecany zakres poziomu drużyny,
+ *  - tags        – dowolne dodatkowe tagi.
+ *
+ * Dane ustawienia `encounterTemplates`: { templates: [...] }.
+ * Funkcje zmieniające dane działają na obiekcie z normalizeEncounterTemplates(),
+ * a zapis do ustawień robi wywołujący (setEncounterTemplates()).
+ */
+
+import {
+  ENTRY_OVERRIDE_FIELDS,
+  createEntryKey,
+  getEntryXp,
+  normalizeWave
+} from "./encounter-state.service.js";
+
+/** Pola wpisu wroga zapisywane w szablonie. */
+const TEMPLATE_ENTRY_FIELDS = [
+  "uuid",
+  "name",
+  "type",
+  "cr",
+  "xp",
+  "quantity",
+  "wave",
+  ...ENTRY_OVERRIDE_FIELDS
+];
+
+/**
+ * Sprowadza poziom do zakresu 1–20 (puste = brak ograniczenia).
+ *
+ * @param {*} value
+ * @returns {number|null}
+ */
+function normalizeLevel(value) {
+  if (value === null || value === undefined || String(value).trim() === "") {
+    return null;
+  }
+  const n = Math.floor(Number(value));
+  return Number.isFinite(n) ? Math.max(1, Math.min(20, n)) : null;
+}
+
+/**
+ * Dzieli tekst tagów („a, b; c”) na listę unikalnych tagów.
+ *
+ * @param {string|string[]} raw
+ * @returns {string[]}
+ */
+export function parseTemplateTags(raw) {
+  const list = Array.isArray(raw) ? raw : String(raw ?? "").split(/[,;]/);
+  return [...new Set(list.map((t) => String(t ?? "").trim()).filter(Boolean))];
+}
+
+/**
+ * Kopiuje do szablonu tylko znane pola wpisu wroga.
+ *
+ * @param {Object} entry
+ * @returns {Object}
+ */
+function pickTemplateEntry(entry) {
+  const out = {};
+  for (const field of TEMPLATE_ENTRY_FIELDS) {
+    if (entry?.[field] !== undefined && entry?.[field] !== null) {
+      out[field] = entry[field];
+    }
+  }
+  out.xp = Number(out.xp) || 0;
+  out.quantity = Math.max(1, Math.min(99, Number(out.quantity) || 1));
+  out.wave = normalizeWave(out.wave ?? 1);
+  return out;
+}
+
+/**
+ * Waliduje pojedynczy szablon. Zwraca null dla szablonu bez nazwy lub wrogów.
+ *
+ * @param {Object} raw
+ * @returns {Object|null}
+ */
+function normalizeTemplate(raw) {
+  const name = String(raw?.name ?? "").trim();
+  const enemies = (Array.isArray(raw?.enemies) ? raw.enemies : [])
+    .filter((e) => typeof e?.uuid === "string" && e.uuid)
+    .map(pickTemplateEntry);
+  if (!name || !enemies.length) return null;
+
+  let levelMin = normalizeLevel(raw.levelMin);
+  let levelMax = normalizeLevel(raw.levelMax);
+  if (levelMin !== null && levelMax !== null && levelMin > levelMax) {
+    [levelMin, levelMax] = [levelMax, levelMin];
+  }
+
+  return {
+    id: String(raw.id ?? "") || foundry.utils.randomID(),
+    name,
+    environment: String(raw.environment ?? "").trim(),
+    theme: String(raw.theme ?? "").trim(),
+    levelMin,
+    levelMax,
+    tags: parseTemplateTags(raw.tags),
+    enemies
+  };
+}
+
+/**
+ * Waliduje dane biblioteki szablonów.
+ *
+ * @param {Object} raw
+ * @returns {Object} - { templates }
+ */
+export function normalizeEncounterTemplates(raw) {
+  const templates = (Array.isArray(raw?.templates) ? raw.templates : [])
+    .map(normalizeTemplate)
+    .filter(Boolean);
+  return { templates };
+}
+
+/**
+ * Zapisuje listę wrogów jako szablon. Szablon o tej samej nazwie
+ * (bez względu na wielkość liter) jest nadpisywany.
+ *
+ * @param {Object} data - wynik normalizeEncounterTemplates()
+ * @param {Object} params
+ * @param {string} params.name
+ * @param {Array} params.enemies - wpisy wrogów z kalkulatora
+ * @param {string} [params.environment]
+ * @param {string} [params.theme]
+ * @param {number|string} [params.levelMin]
+ * @param {number|string} [params.levelMax]
+ * @param {string|string[]} [params.tags]
+ * @returns {Object|null} - zapisany szablon albo null (brak nazwy / wrogów)
+ */
+export function upsertEncounterTemplate(data, params) {
+  const template = normalizeTemplate(params);
+  if (!template) return null;
+
+  const index = data.templates.findIndex(
+    (t) => t.name.toLowerCase() === template.name.toLowerCase()
+  );
+  if (index === -1) {
+    data.templates.push(template);
+  } else {
+    template.id = data.templates[index].id;
+    data.templates[index] = template;
+  }
+  return template;
+}
+
+/**
+ * Usuwa szablon.
+ *
+ * @param {Object} data
+ * @param {string} id
+ * @returns {boolean}
+ */
+export function deleteEncounterTemplate(data, id) {
+  const index = data.templates.findIndex((t) => t.id === id);
+  if (index === -1) return false;
+  data.templates.splice(index, 1);
+  return true;
+}
+
+/**
+ * Filtruje szablony.
+ *
+ * @param {Array} templates
+ * @param {Object} [filters]
+ * @param {string} [filters.query] - szuka w nazwie, tagach, środowisku, motywie i nazwach wrogów
+ * @param {string} [filters.environment] - dokładne środowisko (puste = dowolne)
+ * @param {string} [filters.theme] - dokładny motyw (puste = dowolny)
+ * @param {number} [filters.partyLevel] - tylko szablony, których zakres obejmuje ten poziom
+ * @returns {Array}
+ */
+export function filterEncounterTemplates(
+  templates,
+  { query = "", environment = "", theme = "", partyLevel = null } = {}
+) {
+  const q = String(query ?? "").trim().toLowerCase();
+  const level = Number(partyLevel);
+
+  return (templates ?? []).filter((t) => {
+    if (environment && t.environment !== environment) return false;
+    if (theme && t.theme !== theme) return false;
+
+    if (Number.isFinite(level) && level > 0) {
+      if (t.levelMin !== null && level < t.levelMin) return false;
+      if (t.levelMax !== null && level > t.levelMax) return false;
+    }
+
+    if (!q) return true;
+    const haystack = [
+      t.name,
+      t.environment,
+      t.theme,
+      ...t.tags,
+      ...t.enemies.map((e) => e.name)
+    ]
+      .join(" ")
+      .toLowerCase();
+    return haystack.includes(q);
+  });
+}
+
+/**
+ * Zwraca listę unikalnych wartości pola (np. environment) do filtrów.
+ *
+ * @param {Array} templates
+ * @param {string} field - "environment" | "theme"
+ * @returns {string[]}
+ */
+export function getTemplateFieldValues(templates, field) {
+  return [
+    ...new Set((templates ?? []).map((t) => t[field]).filter(Boolean))
+  ].sort((a, b) => a.localeCompare(b));
+}
+
+/**
+ * Buduje wpisy wrogów szablonu w formacie kalkulatora (np. do podglądu
+ * trudności przez calculator.getDifficulty({ enemies })).
+ *
+ * @param {Object} template
+ * @returns {Array}
+ */
+export function buildTemplateEnemies(template) {
+  return (template?.enemies ?? []).map((e) => {
+    const entry = { ...e, key: createEntryKey() };
+    entry.totalXp = getEntryXp(entry) * entry.quantity;
+    return entry;
+  });
+}
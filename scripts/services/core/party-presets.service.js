@@ -0,0 +1,181 @@
+/**
+ * PartyPresets – serwis nazwanych zestawów drużyny (sojuszników).
+ *
+ * Odpowiada za:
+ *  - walidację danych ustawienia `partyPresets`,
+ *  - dodawanie / nadpisywanie, zmianę nazwy i usuwanie zestawów,
+ *  - wybór zestawu domyślnego (autowczytywanie),
+ *  - migrację starych ustawień `savedTeam` / `savedAllies`.
+ *
+ * Dane: { presets: [{ id, name, uuids }], defaultId, migrated }
+ * Funkcje zmieniające dane działają na obiekcie z normalizePartyPresets(),
+ * a zapis do ustawień robi wywołujący (setPartyPresets()).
+ */
+
+/**
+ * Waliduje dane zestawów. Zestawy bez nazwy są odrzucane,
+ * a defaultId wskazujący nieistniejący zestaw jest czyszczony.
+ *
+ * @param {Object} raw
+ * @returns {Object} - { presets, defaultId, migrated }
+ */
+export function normalizePartyPresets(raw) {
+  const presets = (Array.isArray(raw?.presets) ? raw.presets : [])
+    .filter((p) => p && typeof p === "object")
+    .map((p) => ({
+      id: String(p.id ?? "") || foundry.utils.randomID(),
+      name: String(p.name ?? "").trim(),
+      uuids: (Array.isArray(p.uuids) ? p.uuids : []).filter(
+        (uuid) => typeof uuid === "string" && uuid
+      )
+    }))
+    .filter((p) => p.name);
+
+  const defaultId = presets.some((p) => p.id === raw?.defaultId)
+    ? raw.defaultId
+    : null;
+
+  return { presets, defaultId, migrated: !!raw?.migrated };
+}
+
+/**
+ * Szuka zestawu po id.
+ *
+ * @param {Object} data
+ * @param {string} id
+ * @returns {Object|null}
+ */
+export function findPartyPreset(data, id) {
+  return data.presets.find((p) => p.id === id) ?? null;
+}
+
+/**
+ * Zwraca zestaw domyślny albo null.
+ *
+ * @param {Object} data
+ * @returns {Object|null}
+ */
+export function getDefaultPartyPreset(data) {
+  return data.defaultId ? findPartyPreset(data, data.defaultId) : null;
+}
+
+/**
+ * Zapisuje zestaw pod nazwą. Istniejący zestaw o tej samej nazwie
+ * (bez względu na wielkość liter) jest nadpisywany.
+ *
+ * @param {Object} data
+ * @param {Object} params
+ * @param {string} [params.id] - id nowego zestawu (domyślnie losowe)
+ * @param {string} params.name
+ * @param {string[]} params.uuids
+ * @returns {Object|null} - zapisany zestaw albo null przy pustej nazwie
+ */
+export function upsertPartyPreset(data, { id, name, uuids }) {
+  const cleanName = String(name ?? "").trim();
+  if (!cleanName) return null;
+
+  const existing = data.presets.find(
+    (p) => p.name.toLowerCase() === cleanName.toLowerCase()
+  );
+  if (existing) {
+    existing.uuids = [...uuids];
+    return existing;
+  }
+
+  const preset = {
+    id: id && !findPartyPreset(data, id) ? id : foundry.utils.randomID(),
+    name: cleanName,
+    uuids: [...uuids]
+  };
+  data.presets.push(preset);
+  return preset;
+}
+
+/**
+ * Zmienia nazwę zestawu.
+ *
+ * @param {Object} data
+ * @param {string} id
+ * @param {string} name
+ * @returns {boolean} - false, gdy brak zestawu, pusta nazwa albo nazwa zajęta
+ */
+export function renamePartyPreset(data, id, name) {
+  const preset = findPartyPreset(data, id);
+  const cleanName = String(name ?? "").trim();
+  if (!preset || !cleanName) return false;
+
+  const taken = data.presets.some(
+    (p) => p.id !== id && p.name.toLowerCase() === cleanName.toLowerCase()
+  );
+  if (taken) return false;
+
+  preset.name = cleanName;
+  return true;
+}
+
+/**
+ * Usuwa zestaw (i czyści domyślny, jeśli to był on).
+ *
+ * @param {Object} data
+ * @param {string} id
+ * @returns {boolean}
+ */
+export function deletePartyPreset(data, id) {
+  const index = data.presets.findIndex((p) => p.id === id);
+  if (index === -1) return false;
+
+  data.presets.splice(index, 1);
+  if (data.defaultId === id) data.defaultId = null;
+  return true;
+}
+
+/**
+ * Ustawia zestaw domyślny (null = brak domyślnego).
+ *
+ * @param {Object} data
+ * @param {string|null} id
+ */
+export function setDefaultPartyPreset(data, id) {
+  data.defaultId = id && findPartyPreset(data, id) ? id : null;
+}
+
+/**
+ * Przenosi stare ustawienia `savedTeam` i `savedAllies` do zestawów.
+ * Domyślnym zostaje zestaw sojuszników (wcześniej miał pierwszeństwo
+ * przy wczytywaniu), a gdy go nie ma – drużyna.
+ *
+ * Przeniesione zestawy mają stałe id: dopóki migracja nie jest zapisana,
+ * jest powtarzana przy każdym odczycie i id nie mogą się zmieniać
+ * (wybór w nagłówku, domyślny zestaw).
+ *
+ * @param {Object} data - wynik normalizePartyPresets()
+ * @param {Object} legacy
+ * @param {Object} legacy.savedTeam - { uuids }
+ * @param {Object} legacy.savedAllies - { uuids }
+ * @returns {number} - liczba dodanych zestawów
+ */
+export function migrateLegacyPartyPresets(data, { savedTeam, savedAllies }) {
+  const team = Array.isArray(savedTeam?.uuids) ? savedTeam.uuids : [];
+  const allies = Array.isArray(savedAllies?.uuids) ? savedAllies.uuids : [];
+
+  const teamPreset = team.length
+    ? upsertPartyPreset(data, {
+        id: "legacy-team",
+        name: "Drużyna",
+        uuids: team
+      })
+    : null;
+  const alliesPreset = allies.length
+    ? upsertPartyPreset(data, {
+        id: "legacy-allies",
+        name: "Sojusznicy",
+        uuids: allies
+      })
+    : null;
+
+  if (!data.defaultId) {
+    data.defaultId = (alliesPreset ?? teamPreset)?.id ?? null;
+  }
+  data.migrated = true;
+  return [teamPreset, alliesPreset].filter(Boolean).length;
+}
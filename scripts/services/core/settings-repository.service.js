@@ -12,6 +12,12 @@
  */
 
 import { MODULE_ID } from "../../config/constants.js";
+import { normalizeDifficultyBands } from "./difficulty-bands.service.js";
+import { normalizeEncounterTemplates } from "./encounter-templates.service.js";
+import {
+  normalizePartyPresets,
+  migrateLegacyPartyPresets
+} from "./party-presets.service.js";
 
 /**
  * Tworzy getter dla ustawienia.
@@ -37,14 +43,16 @@ function createSettingGetter(settingKey, defaultValue) {
  * Automatycznie obsługuje błędy.
  *
  * @param {string} settingKey - Klucz ustawienia
- * @returns {Function} Funkcja setter
+ * @returns {Function} Funkcja setter – Promise<boolean> (czy zapis się udał)
  */
 function createSettingSetter(settingKey) {
   return async function setter(value) {
     try {
       await game.settings.set(MODULE_ID, settingKey, value);
+      return true;
     } catch (e) {
       console.error(`${MODULE_ID} | Błąd zapisywania ${settingKey}:`, e);
+      return false;
     }
   };
 }
@@ -76,7 +84,6 @@ export function getTargetDifficulty() {
 /**
  * Pobiera tryb wyświetlania trudności.
  * Domyślnie: "dmg"
- * UWAGA: To ustawienie nie jest w SETTINGS_CONFIG!
  *
  * @returns {string} - "dmg" lub "budget"
  */
@@ -92,6 +99,74 @@ export function getDifficultyDisplayMode() {
   return "dmg";
 }
 
+/**
+ * Zapisuje tryb wyświetlania trudności (ustawienie klienta).
+ *
+ * @param {string} mode - "dmg" lub "budget"
+ * @returns {Promise<boolean>}
+ */
+export const setDifficultyDisplayMode = createSettingSetter(
+  "difficultyDisplayMode"
+);
+
+/**
+ * Pobiera progi trudności trybu "budget" (zwalidowane i posortowane).
+ *
+ * @returns {Array} - [{ name, maxRatio, color }]
+ */
+export function getDifficultyBands() {
+  try {
+    return normalizeDifficultyBands(
+      game.settings.get(MODULE_ID, "difficultyBands")
+    );
+  } catch (_e) {
+    return normalizeDifficultyBands(null);
+  }
+}
+
+/**
+ * Zapisuje progi trudności trybu "budget".
+ *
+ * @param {Array} bands
+ * @returns {Promise<void>}
+ */
+export const setDifficultyBands = createSettingSetter("difficultyBands");
+
+/**
+ * Pobiera tabelę budżetów XP zapisaną przez MG.
+ * Pusty obiekt oznacza tabelę wbudowaną (XP_BUDGET_2024).
+ *
+ * @returns {Object}
+ */
+export const getXpBudgetTable = createSettingGetter("xpBudgetTable", {});
+
+/**
+ * Zapisuje tabelę budżetów XP (pusty obiekt = powrót do tabeli wbudowanej).
+ *
+ * @param {Object} table
+ * @returns {Promise<void>}
+ */
+export const setXpBudgetTable = createSettingSetter("xpBudgetTable");
+
+/**
+ * Pobiera zestaw zasad liczenia trudności.
+ * Domyślnie: "2024"
+ * Validacja: Sprawdza czy wartość należy do ["2024", "2014"]
+ *
+ * @returns {string} - "2024" (budżet XP) lub "2014" (progi + mnożnik)
+ */
+export function getDifficultyRuleset() {
+  try {
+    const stored = game.settings.get(MODULE_ID, "difficultyRuleset");
+    if (stored === "2024" || stored === "2014") {
+      return stored;
+    }
+  } catch (_e) {
+    // ignore
+  }
+  return "2024";
+}
+
 /**
  * Pobiera flagę auto-load saved allies.
  * Auto-generated getter.
@@ -139,7 +214,44 @@ export function getAllyNpcWeight(defaultValue = 0.5) {
 }
 
 /**
- * Pobiera zapisanych sojuszników.
+ * Pobiera próg ostrzeżenia o liczbie wrogów na jednego PC.
+ * Domyślnie: 2
+ * Validacja: Liczba całkowita w zakresie 0-6 (0 = ostrzeżenie wyłączone)
+ *
+ * @param {number} defaultValue - wartość domyślna (fallback)
+ * @returns {number}
+ */
+export function getMaxEnemiesPerPc(defaultValue = 2) {
+  try {
+    const value = game.settings.get(MODULE_ID, "maxEnemiesPerPc");
+    const num = Number(value);
+    if (!Number.isFinite(num)) return defaultValue;
+    return Math.max(0, Math.min(6, Math.round(num)));
+  } catch (_e) {
+    return defaultValue;
+  }
+}
+
+/**
+ * Pobiera listę kompendiów przeszukiwanych przy uzupełnianiu budżetu.
+ * Ustawienie przechowuje identyfikatory oddzielone przecinkami.
+ *
+ * @returns {string[]} - identyfikatory kompendiów (pusta tablica = wszystkie)
+ */
+export function getMonsterCompendia() {
+  try {
+    const raw = String(game.settings.get(MODULE_ID, "monsterCompendia") ?? "");
+    return raw
+      .split(",")
+      .map((id) => id.trim())
+      .filter(Boolean);
+  } catch (_e) {
+    return [];
+  }
+}
+
+/**
+ * Pobiera stary zapis sojuszników (sprzed zestawów drużyny).
  * Auto-generated getter.
  *
  * @returns {Object} - { uuids: Array }
@@ -147,7 +259,7 @@ export function getAllyNpcWeight(defaultValue = 0.5) {
 export const getSavedAllies = createSettingGetter("savedAllies", { uuids: [] });
 
 /**
- * Pobiera zapisaną drużynę.
+ * Pobiera stary zapis drużyny (sprzed zestawów drużyny).
  * Auto-generated getter.
  *
  * @returns {Object} - { uuids: Array }
@@ -155,33 +267,60 @@ export const getSavedAllies = createSettingGetter("savedAllies", { uuids: [] });
 export const getSavedTeam = createSettingGetter("savedTeam", { uuids: [] });
 
 /**
- * Zapisuje sojuszników.
+ * Pobiera zestawy drużyny.
+ * Dopóki migracja nie zapisała danych (np. gracz przed pierwszym
+ * wejściem MG), stare zapisy savedTeam / savedAllies są dołączane w pamięci.
  *
- * @param {Object} data - { uuids: Array }
- * @returns {Promise<void>}
+ * @returns {Object} - { presets, defaultId, migrated }
  */
-export async function setSavedAllies(data) {
+export function getPartyPresets() {
+  let data;
   try {
-    await game.settings.set(MODULE_ID, "savedAllies", data);
-  } catch (e) {
-    console.error(`${MODULE_ID} | Błąd zapisywania savedAllies:`, e);
+    data = normalizePartyPresets(game.settings.get(MODULE_ID, "partyPresets"));
+  } catch (_e) {
+    data = normalizePartyPresets(null);
   }
+
+  if (!data.migrated) {
+    migrateLegacyPartyPresets(data, {
+      savedTeam: getSavedTeam(),
+      savedAllies: getSavedAllies()
+    });
+  }
+  return data;
 }
 
 /**
- * Zapisuje drużynę.
+ * Zapisuje zestawy drużyny.
  *
- * @param {Object} data - { uuids: Array }
- * @returns {Promise<void>}
+ * @param {Object} data - { presets, defaultId, migrated }
+ * @returns {Promise<boolean>} - czy zapis się udał
  */
-export async function setSavedTeam(data) {
+export const setPartyPresets = createSettingSetter("partyPresets");
+
+/**
+ * Pobiera bibliotekę szablonów starć.
+ *
+ * @returns {Object} - { templates }
+ */
+export function getEncounterTemplates() {
   try {
-    await game.settings.set(MODULE_ID, "savedTeam", data);
-  } catch (e) {
-    console.error(`${MODULE_ID} | Błąd zapisywania savedTeam:`, e);
+    return normalizeEncounterTemplates(
+      game.settings.get(MODULE_ID, "encounterTemplates")
+    );
+  } catch (_e) {
+    return normalizeEncounterTemplates(null);
   }
 }
 
+/**
+ * Zapisuje bibliotekę szablonów starć.
+ *
+ * @param {Object} data - { templates }
+ * @returns {Promise<void>}
+ */
+export const setEncounterTemplates = createSettingSetter("encounterTemplates");
+
 /**
  * Pobiera domyślną nazwę encountera.
  * Auto-generated getter.
@@ -253,3 +392,19 @@ export function getEncounterDefaultCopper() {
     return 0;
   }
 }
+
+/**
+ * Pobiera flagę tworzenia strony dziennika domyślnie.
+ * Auto-generated getter.
+ *
+ * @returns {boolean}
+ */
+export const getEncounterExportJournalByDefault = createSettingGetter("encounterExportJournalByDefault", false);
+
+/**
+ * Pobiera id dziennika, do którego trafiają strony encounterów.
+ * Auto-generated getter.
+ *
+ * @returns {string} - id JournalEntry ("" = nowy dziennik)
+ */
+export const getEncounterJournalId = createSettingGetter("encounterJournalId", "");
@@ -0,0 +1,68 @@
+/**
+ * Workspace – serwis zakładek (przestrzeni roboczych) kalkulatora.
+ *
+ * Każda zakładka to osobny szkic starcia: własna lista wrogów,
+ * próg trudności, nazwa i historia cofnij / ponów.
+ * Kolumna sojuszników jest wspólna dla wszystkich zakładek.
+ */
+
+import { createEntryKey } from "./encounter-state.service.js";
+import { createCalculatorHistory } from "./calculator-history.service.js";
+
+/**
+ * Tworzy nową zakładkę.
+ *
+ * @param {Object} [params]
+ * @param {string} [params.name]
+ * @param {Array} [params.enemies=[]]
+ * @param {string} [params.targetDifficultyKey="moderate"]
+ * @param {boolean} [params.customName=false] - czy nazwę nadał użytkownik
+ * @returns {Object} - { id, name, customName, enemies, targetDifficultyKey, history }
+ */
+export function createWorkspace({
+  name = "Starcie",
+  enemies = [],
+  targetDifficultyKey = "moderate",
+  customName = false
+} = {}) {
+  return {
+    id: foundry.utils.randomID(),
+    name,
+    customName,
+    enemies,
+    targetDifficultyKey,
+    history: createCalculatorHistory()
+  };
+}
+
+/**
+ * Kopiuje zakładkę (wrogowie dostają nowe klucze wpisów, historia jest pusta).
+ *
+ * @param {Object} workspace
+ * @returns {Object}
+ */
+export function duplicateWorkspace(workspace) {
+  const enemies = foundry.utils
+    .deepClone(workspace?.enemies ?? [])
+    .map((e) => ({ ...e, key: createEntryKey() }));
+
+  return createWorkspace({
+    name: `${workspace?.name ?? "Starcie"} (kopia)`,
+    enemies,
+    targetDifficultyKey: workspace?.targetDifficultyKey ?? "moderate",
+    customName: true
+  });
+}
+
+/**
+ * Proponuje nazwę nowej zakładki: „Starcie N” z pierwszym wolnym numerem.
+ *
+ * @param {Array} workspaces
+ * @returns {string}
+ */
+export function getNextWorkspaceName(workspaces) {
+  const names = new Set((workspaces ?? []).map((w) => w.name));
+  let n = (workspaces?.length ?? 0) + 1;
+  while (names.has(`Starcie ${n}`)) n++;
+  return `Starcie ${n}`;
+}
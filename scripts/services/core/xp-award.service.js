@@ -0,0 +1,174 @@
+/**
+ * XpAward – serwis do przyznawania XP drużynie po starciu.
+ *
+ * Odpowiada za:
+ *  - wyliczenie puli XP (wrogowie, opcjonalnie tylko pokonani, + bonus),
+ *  - podział puli między PC (i opcjonalnie sojuszniczych NPC),
+ *  - zapis XP do system.details.xp.value postaci,
+ *  - kartę czatu z rozbiciem nagrody.
+ */
+
+import { MODULE_ID } from "../../config/constants.js";
+import { getEntryXp } from "./encounter-state.service.js";
+
+const CHAT_CARD_TEMPLATE =
+  "modules/dnd5e-2024-encounter/templates/xp-award-chat-card.hbs";
+
+/**
+ * Wylicza nagrodę XP za starcie.
+ *
+ * NPC po stronie sojuszników (jeśli uwzględnieni) zabierają swoją część
+ * puli, ale XP zapisywane jest tylko postaciom graczy (type "character").
+ *
+ * @param {Object} params
+ * @param {Array} params.allies
+ * @param {Array} params.enemies
+ * @param {boolean} [params.includeAllyNpcs=false] - czy NPC dostają udział
+ * @param {boolean} [params.onlyDefeated=false] - XP tylko za pokonanych wrogów
+ * @param {Object} [params.defeatedByKey={}] - { key wpisu: liczba pokonanych }
+ * @param {number} [params.bonusXp=0] - ręczny bonus dodawany do puli
+ * @returns {Object} - { enemies, enemyXp, bonusXp, totalXp, share, remainder, recipients }
+ */
+export function calculateXpAward({
+  allies = [],
+  enemies = [],
+  includeAllyNpcs = false,
+  onlyDefeated = false,
+  defeatedByKey = {},
+  bonusXp = 0
+}) {
+  const enemyRows = enemies.map((e) => {
+    const quantity = Math.max(1, Number(e.quantity ?? 1) || 1);
+    const ref = e.key ?? e.uuid;
+    const rawDefeated = Number(defeatedByKey?.[ref] ?? quantity);
+    const defeated = onlyDefeated
+      ? Math.max(0, Math.min(quantity, Math.floor(rawDefeated) || 0))
+      : quantity;
+    const xp = getEntryXp(e);
+
+    return {
+      key: ref,
+      name: e.name,
+      quantity,
+      defeated,
+      xp,
+      awardedXp: xp * defeated
+    };
+  });
+
+  const enemyXp = enemyRows.reduce((sum, e) => sum + e.awardedXp, 0);
+  const bonus = Math.max(0, Math.floor(Number(bonusXp) || 0));
+  const totalXp = enemyXp + bonus;
+
+  // Ten sam aktor liczy się raz, nawet jeśli jest kilka wpisów.
+  const seen = new Set();
+  const eligible = allies.filter((a) => {
+    if (seen.has(a.uuid)) return false;
+    const ok = a.type === "character" || (includeAllyNpcs && a.type === "npc");
+    if (ok) seen.add(a.uuid);
+    return ok;
+  });
+
+  const share = eligible.length ? Math.floor(totalXp / eligible.length) : 0;
+  const remainder = eligible.length ? totalXp - share * eligible.length : 0;
+
+  const recipients = eligible.map((a) => ({
+    uuid: a.uuid,
+    name: a.name,
+    type: a.type,
+    share,
+    writesXp: a.type === "character"
+  }));
+
+  return {
+    enemies: enemyRows,
+    enemyXp,
+    bonusXp: bonus,
+    totalXp,
+    share,
+    remainder,
+    recipients
+  };
+}
+
+/**
+ * Zapisuje udziały XP na kartach postaci graczy.
+ *
+ * @param {Object} params
+ * @param {Object} params.award - wynik calculateXpAward()
+ * @param {Function} params.actorResolverByUuid - async (uuid) => Actor|null
+ * @param {Function} [params.logWarn]
+ * @returns {Promise<Array>} - [{ uuid, name, share, before, after, applied }]
+ */
+export async function applyXpAward({ award, actorResolverByUuid, logWarn }) {
+  const results = [];
+
+  for (const recipient of award?.recipients ?? []) {
+    const row = {
+      uuid: recipient.uuid,
+      name: recipient.name,
+      share: recipient.share,
+      before: null,
+      after: null,
+      applied: false
+    };
+    results.push(row);
+
+    if (!recipient.writesXp || !recipient.share) continue;
+
+    const actor = await actorResolverByUuid?.(recipient.uuid);
+    if (!actor) {
+      logWarn?.(
+        `Nie udało się odnaleźć aktora o uuid ${recipient.uuid} podczas przyznawania XP.`
+      );
+      continue;
+    }
+
+    const before = Number(actor.system?.details?.xp?.value) || 0;
+    const after = before + recipient.share;
+
+    try {
+      await actor.update({ "system.details.xp.value": after });
+      row.name = actor.name;
+      row.before = before;
+      row.after = after;
+      row.applied = true;
+    } catch (e) {
+      logWarn?.(`Nie udało się zapisać XP aktora ${actor.name}: ${e.message}`);
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Publikuje na czacie kartę z rozbiciem przyznanego XP.
+ *
+ * @param {Object} params
+ * @param {Object} params.award - wynik calculateXpAward()
+ * @param {Array} params.results - wynik applyXpAward()
+ * @returns {Promise<ChatMessage>}
+ */
+export async function postXpAwardChatCard({ award, results }) {
+  const content = await foundry.applications.handlebars.renderTemplate(
+    CHAT_CARD_TEMPLATE,
+    {
+      ...award,
+      enemies: award.enemies.filter((e) => e.defeated > 0),
+      recipients: results.map((r) => ({
+        ...r,
+        isNpc: !award.recipients.find((a) => a.uuid === r.uuid)?.writesXp
+      })),
+      hasBonus: award.bonusXp > 0,
+      hasRemainder: award.remainder > 0
+    }
+  );
+
+  return ChatMessage.create({
+    speaker: ChatMessage.getSpeaker(),
+    content,
+    flags: {
+      [MODULE_ID]: { xpAward: { totalXp: award.totalXp, share: award.share } }
+    }
+  });
+}
@@ -0,0 +1,187 @@
+/**
+ * CompendiumSearch – serwis do przeszukiwania indeksów kompendiów aktorów.
+ *
+ * Odpowiada za:
+ *  - wczytanie indeksów kompendiów Actor z potrzebnymi polami,
+ *  - zamianę wpisów indeksu na „kandydatów” (uuid, nazwa, typ, CR, XP),
+ *  - dobór stworzeń mieszczących się w pozostałym budżecie XP.
+ *
+ * Dostęp do kompendiów jest wstrzykiwany (packs), dzięki czemu logika
+ * filtrowania nie zależy bezpośrednio od game.packs.
+ */
+
+import {
+  parseChallengeRating,
+  formatChallengeRating,
+  getXpForChallengeRating
+} from "../../data/cr-xp.js";
+
+/**
+ * Pola indeksu potrzebne do oceny stworzenia.
+ * system.details.xp.value jest w dnd5e wartością pochodną – zwykle nie ma go
+ * w indeksie, więc XP wyliczamy wtedy z CR.
+ */
+export const MONSTER_INDEX_FIELDS = [
+  "system.details.cr",
+  "system.details.xp.value",
+  "system.details.type.value",
+  "system.details.environment",
+  "system.details.habitat"
+];
+
+/**
+ * Zamienia wpis indeksu kompendium na kandydata do kalkulatora.
+ *
+ * @param {Object} entry - wpis z pack.index
+ * @param {Object} packMeta - { collection, label }
+ * @returns {Object|null} - { uuid, name, img, creatureType, cr, crLabel, xp, pack, packLabel, environment }
+ */
+export function buildMonsterCandidate(entry, packMeta = {}) {
+  if (!entry || entry.type !== "npc") return null;
+
+  const details = entry.system?.details ?? {};
+  const cr = parseChallengeRating(details.cr);
+  const storedXp = Number(details.xp?.value);
+  const xp = Number.isFinite(storedXp) && storedXp > 0
+    ? storedXp
+    : getXpForChallengeRating(cr);
+
+  const habitat = Array.isArray(details.habitat?.value)
+    ? details.habitat.value.map((h) => h?.type ?? h).join(" ")
+    : "";
+
+  return {
+    uuid: entry.uuid ?? `Compendium.${packMeta.collection}.Actor.${entry._id}`,
+    name: entry.name,
+    img: entry.img ?? null,
+    creatureType: String(details.type?.value ?? "").toLowerCase(),
+    cr,
+    crLabel: formatChallengeRating(cr),
+    xp,
+    pack: packMeta.collection ?? "",
+    packLabel: packMeta.label ?? packMeta.collection ?? "",
+    environment: `${details.environment ?? ""} ${habitat}`.trim().toLowerCase()
+  };
+}
+
+/**
+ * Wczytuje indeksy kompendiów aktorów i buduje listę kandydatów.
+ *
+ * @param {Object} params
+ * @param {Iterable} params.packs - kompendia (np. game.packs)
+ * @param {string[]} [params.packIds=[]] - dozwolone kompendia (puste = wszystkie Actor)
+ * @param {Function} [params.logWarn]
+ * @returns {Promise<Array>} - kandydaci posortowani po nazwie
+ */
+export async function loadMonsterCandidates({
+  packs,
+  packIds = [],
+  logWarn = () => {}
+}) {
+  const allowed = new Set(packIds);
+  const candidates = [];
+
+  for (const pack of packs ?? []) {
+    if (pack.documentName !== "Actor") continue;
+    if (allowed.size && !allowed.has(pack.collection)) continue;
+
+    try {
+      const index = await pack.getIndex({ fields: MONSTER_INDEX_FIELDS });
+      const meta = { collection: pack.collection, label: pack.metadata?.label };
+
+      for (const entry of index) {
+        const candidate = buildMonsterCandidate(entry, meta);
+        if (candidate) candidates.push(candidate);
+      }
+    } catch (e) {
+      logWarn(`Nie udało się wczytać indeksu kompendium ${pack.collection}: ${e}`);
+    }
+  }
+
+  candidates.sort((a, b) => a.name.localeCompare(b.name));
+  return candidates;
+}
+
+/**
+ * Zwraca listę typów stworzeń występujących wśród kandydatów.
+ *
+ * @param {Array} candidates
+ * @returns {string[]}
+ */
+export function getCreatureTypes(candidates) {
+  const types = new Set();
+  for (const c of candidates ?? []) {
+    if (c.creatureType) types.add(c.creatureType);
+  }
+  return [...types].sort();
+}
+
+/**
+ * Filtruje kandydatów po typie, środowisku, kompendium i zakresie CR.
+ *
+ * @param {Array} candidates
+ * @param {Object} filters
+ * @param {string} [filters.creatureType=""] - "" = dowolny
+ * @param {string} [filters.environment=""] - słowo kluczowe środowiska / biomu
+ * @param {string[]} [filters.packs=[]] - dozwolone kompendia (puste = wszystkie)
+ * @param {number|string|null} [filters.crMin=null]
+ * @param {number|string|null} [filters.crMax=null]
+ * @returns {Array}
+ */
+export function filterMonsterCandidates(
+  candidates,
+  {
+    creatureType = "",
+    environment = "",
+    packs = [],
+    crMin = null,
+    crMax = null
+  } = {}
+) {
+  const min = parseChallengeRating(crMin);
+  const max = parseChallengeRating(crMax);
+  const keyword = String(environment ?? "").trim().toLowerCase();
+  const allowedPacks = new Set(packs ?? []);
+
+  return (candidates ?? []).filter((c) => {
+    if (creatureType && c.creatureType !== creatureType) return false;
+    if (keyword && !c.environment.includes(keyword)) return false;
+    if (allowedPacks.size && !allowedPacks.has(c.pack)) return false;
+    if (min !== null && (c.cr === null || c.cr < min)) return false;
+    if (max !== null && (c.cr === null || c.cr > max)) return false;
+    return true;
+  });
+}
+
+/**
+ * Dobiera stworzenia mieszczące się w pozostałym budżecie XP.
+ *
+ * Najpierw pokazywane są stworzenia najlepiej wypełniające lukę
+ * (najwyższe XP nieprzekraczające budżetu).
+ *
+ * @param {Object} params
+ * @param {Array} params.candidates
+ * @param {number} params.remainingXp - luka między budżetem a XP wrogów
+ * @param {Object} [params.filters] - patrz filterMonsterCandidates()
+ * @param {number} [params.limit=50]
+ * @returns {Array} - kandydaci + { fillPercent, maxCount }
+ */
+export function findBudgetFillers({
+  candidates,
+  remainingXp,
+  filters = {},
+  limit = 50
+}) {
+  const remaining = Number(remainingXp) || 0;
+  if (remaining <= 0) return [];
+
+  return filterMonsterCandidates(candidates, filters)
+    .filter((c) => c.xp > 0 && c.xp <= remaining)
+    .sort((a, b) => b.xp - a.xp || a.name.localeCompare(b.name))
+    .slice(0, limit)
+    .map((c) => ({
+      ...c,
+      fillPercent: Math.round((c.xp / remaining) * 100),
+      maxCount: Math.min(99, Math.floor(remaining / c.xp))
+    }));
+}
@@ -0,0 +1,265 @@
+/**
+ * EncounterGenerator – serwis do losowania składu wrogów pod budżet XP.
+ *
+ * Odpowiada za:
+ *  - dobór stworzeń z listy kandydatów (patrz compendium-search.service.js),
+ *  - układanie składu według archetypu (solo, boss + sługi, horda, mieszany),
+ *  - sprawdzenie wyniku funkcją oceny (calculateDifficulty z kalkulatora),
+ *  - wybór najlepszej próby, gdy żadna nie trafia dokładnie w budżet.
+ *
+ * Serwis jest bezstanowy – losowość i ocena trudności są wstrzykiwane.
+ */
+
+import { filterMonsterCandidates } from "./compendium-search.service.js";
+
+/**
+ * Dostępne archetypy składu starcia.
+ */
+export const ENCOUNTER_ARCHETYPES = {
+  solo: "Solo boss",
+  bossMinions: "Boss + sługi",
+  horde: "Horda",
+  mixed: "Mieszany"
+};
+
+/**
+ * Minimalne wypełnienie budżetu (ułamek), przy którym skład uznajemy
+ * za trafiony w docelową trudność.
+ */
+export const MIN_BUDGET_FILL_RATIO = 0.75;
+
+/**
+ * Zamienia wylosowany skład na wpisy wrogów w formacie kalkulatora.
+ *
+ * @param {Array} picks - [{ candidate, quantity }]
+ * @returns {Array}
+ */
+export function picksToEnemyEntries(picks) {
+  return picks.map(({ candidate, quantity }) => ({
+    id: candidate.uuid.split(".").pop(),
+    uuid: candidate.uuid,
+    name: candidate.name,
+    type: "npc",
+    level: null,
+    cr: candidate.cr,
+    xp: candidate.xp,
+    quantity,
+    totalXp: candidate.xp * quantity
+  }));
+}
+
+/**
+ * Losuje element tablicy.
+ *
+ * @param {Array} list
+ * @param {Function} random
+ * @returns {*}
+ */
+function pickRandom(list, random) {
+  if (!list.length) return null;
+  return list[Math.floor(random() * list.length)];
+}
+
+/**
+ * Tworzy funkcję zwracającą XP porównywane z budżetem
+ * (po mnożniku w DMG 2014) dla danego składu.
+ *
+ * @param {Function} evaluateFn - (enemies) => wynik calculateDifficulty
+ * @returns {Function} - (picks) => number
+ */
+function createComparedXpFn(evaluateFn) {
+  return (picks) => {
+    const result = evaluateFn(picksToEnemyEntries(picks));
+    return Number(result?.adjustedXP ?? result?.totalXP) || 0;
+  };
+}
+
+/**
+ * Liczy łączną liczbę stworzeń w składzie.
+ *
+ * @param {Array} picks
+ * @returns {number}
+ */
+function countPicks(picks) {
+  return picks.reduce((sum, p) => sum + p.quantity, 0);
+}
+
+/**
+ * Dokłada kolejne sztuki podanego stworzenia, dopóki skład mieści się
+ * w budżecie i limicie liczby stworzeń.
+ *
+ * @param {Array} picks
+ * @param {Object} candidate
+ * @param {Object} ctx - { budget, maxCount, comparedXp }
+ * @param {number} [limit=99] - maksymalna liczba sztuk tego stworzenia
+ */
+function fillWith(picks, candidate, ctx, limit = 99) {
+  let pick = picks.find((p) => p.candidate.uuid === candidate.uuid);
+
+  while (countPicks(picks) < ctx.maxCount) {
+    if (pick && pick.quantity >= Math.min(99, limit)) break;
+
+    const next = pick
+      ? picks.map((p) => (p === pick ? { ...p, quantity: p.quantity + 1 } : p))
+      : [...picks, { candidate, quantity: 1 }];
+
+    if (ctx.comparedXp(next) > ctx.budget) break;
+
+    picks.splice(0, picks.length, ...next);
+    pick = picks.find((p) => p.candidate.uuid === candidate.uuid);
+  }
+}
+
+/**
+ * Buduje jedną próbę składu dla wybranego archetypu.
+ *
+ * @param {string} archetype
+ * @param {Array} pool - przefiltrowani kandydaci z XP > 0
+ * @param {Object} ctx - { budget, minCount, maxCount, comparedXp, random }
+ * @returns {Array} - [{ candidate, quantity }]
+ */
+function buildAttempt(archetype, pool, ctx) {
+  const { budget, random } = ctx;
+  const picks = [];
+
+  if (archetype === "solo") {
+    const fits = pool.filter((c) => {
+      const xp = ctx.comparedXp([{ candidate: c, quantity: 1 }]);
+      return xp <= budget && xp >= budget * MIN_BUDGET_FILL_RATIO;
+    });
+    const boss = pickRandom(fits, random);
+    if (boss) picks.push({ candidate: boss, quantity: 1 });
+    return picks;
+  }
+
+  if (archetype === "bossMinions") {
+    // Boss zajmuje mniej więcej połowę budżetu, resztę wypełniają sługi.
+    const bosses = pool.filter((c) => {
+      const xp = ctx.comparedXp([{ candidate: c, quantity: 1 }]);
+      return xp >= budget * 0.35 && xp <= budget * 0.7;
+    });
+    const boss = pickRandom(bosses, random);
+    if (!boss) return picks;
+    picks.push({ candidate: boss, quantity: 1 });
+
+    const minions = pool.filter(
+      (c) => c.uuid !== boss.uuid && c.xp <= boss.xp / 4
+    );
+    const minion = pickRandom(minions, random);
+    if (minion) fillWith(picks, minion, ctx);
+    return picks;
+  }
+
+  if (archetype === "horde") {
+    // Jeden typ stworzenia w dużej liczbie.
+    const minHorde = Math.max(ctx.minCount, 4);
+    const grunts = pool.filter((c) => c.xp * minHorde <= budget);
+    const grunt = pickRandom(grunts, random);
+    if (grunt) fillWith(picks, grunt, ctx);
+    return picks;
+  }
+
+  // mixed – 2–3 różne stworzenia dokładane na zmianę.
+  const kinds = 2 + Math.floor(random() * 2);
+  const options = pool.filter((c) => c.xp <= budget / 2);
+  const chosen = [];
+  for (let i = 0; i < kinds && options.length; i++) {
+    const pick = pickRandom(options, random);
+    options.splice(options.indexOf(pick), 1);
+    chosen.push(pick);
+  }
+
+  let added = true;
+  while (added && countPicks(picks) < ctx.maxCount) {
+    added = false;
+    for (const candidate of chosen) {
+      const before = countPicks(picks);
+      const current =
+        picks.find((p) => p.candidate.uuid === candidate.uuid)?.quantity ?? 0;
+      fillWith(picks, candidate, ctx, current + 1);
+      if (countPicks(picks) > before) added = true;
+    }
+  }
+  return picks;
+}
+
+/**
+ * Losuje skład wrogów pod docelowy budżet XP.
+ *
+ * Każda próba jest oceniana funkcją evaluateFn (zwykle calculateDifficulty
+ * z aktualną drużyną kalkulatora). Skład jest „trafiony”, gdy:
+ *  - XP porównywane z budżetem mieści się w [MIN_BUDGET_FILL_RATIO × budżet, budżet],
+ *  - liczba stworzeń mieści się w [minCount, maxCount].
+ * Zwracana jest pierwsza trafiona próba; jeśli żadnej nie ma – najbliższa budżetowi.
+ *
+ * @param {Object} params
+ * @param {Array} params.candidates - kandydaci z loadMonsterCandidates()
+ * @param {Function} params.evaluateFn - (enemies) => wynik calculateDifficulty
+ * @param {string} [params.archetype="mixed"] - klucz z ENCOUNTER_ARCHETYPES
+ * @param {Object} [params.filters={}] - patrz filterMonsterCandidates()
+ * @param {number} [params.minCount=1]
+ * @param {number} [params.maxCount=12]
+ * @param {number} [params.attempts=40]
+ * @param {Function} [params.random=Math.random]
+ * @returns {Object|null} - { picks, enemies, difficulty, passed } albo null,
+ *   gdy nie ma budżetu lub żaden kandydat nie pasuje do filtrów
+ */
+export function generateEncounter({
+  candidates,
+  evaluateFn,
+  archetype = "mixed",
+  filters = {},
+  minCount = 1,
+  maxCount = 12,
+  attempts = 40,
+  random = Math.random
+}) {
+  const budget = Number(evaluateFn([])?.budget) || 0;
+  if (budget <= 0) return null;
+
+  const pool = filterMonsterCandidates(candidates, filters).filter(
+    (c) => c.xp > 0
+  );
+  if (!pool.length) return null;
+
+  const min = Math.max(1, Math.min(99, Math.floor(Number(minCount) || 1)));
+  const max = Math.max(min, Math.min(99, Math.floor(Number(maxCount) || min)));
+
+  const ctx = {
+    budget,
+    minCount: archetype === "solo" ? 1 : min,
+    maxCount: archetype === "solo" ? 1 : max,
+    comparedXp: createComparedXpFn(evaluateFn),
+    random
+  };
+
+  let best = null;
+  for (let i = 0; i < attempts; i++) {
+    const picks = buildAttempt(archetype, pool, ctx);
+    if (!picks.length) continue;
+
+    const count = countPicks(picks);
+    const xp = ctx.comparedXp(picks);
+    const passed =
+      xp <= budget &&
+      xp >= budget * MIN_BUDGET_FILL_RATIO &&
+      count >= ctx.minCount &&
+      count <= ctx.maxCount;
+
+    const distance = Math.abs(budget - xp) + (passed ? 0 : budget);
+    if (!best || distance < best.distance) {
+      best = { picks, passed, distance };
+    }
+    if (passed) break;
+  }
+
+  if (!best) return null;
+
+  const enemies = picksToEnemyEntries(best.picks);
+  return {
+    picks: best.picks,
+    enemies,
+    difficulty: evaluateFn(enemies),
+    passed: best.passed
+  };
+}
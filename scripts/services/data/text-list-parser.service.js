@@ -0,0 +1,219 @@
+/**
+ * TextListParser – serwis do rozpoznawania listy wrogów wklejonej jako tekst
+ * (np. „3x Goblin, Hobgoblin Captain, 2 Wolves” z PDF przygody).
+ *
+ * Odpowiada za:
+ *  - podział tekstu na pozycje i odczyt ilości (3x, x3, 3×, (3), „2 Wolves”, „Goblin 3”),
+ *  - przybliżone dopasowanie nazw do kandydatów (kompendia, aktorzy świata),
+ *  - oznaczenie niejednoznacznych dopasowań do potwierdzenia przez MG.
+ *
+ * Kandydaci mają format z compendium-search.service.js (buildMonsterCandidate).
+ */
+
+/** Minimalny wynik, od którego kandydat jest pokazywany jako dopasowanie. */
+export const MIN_MATCH_SCORE = 0.5;
+
+/**
+ * Wynik, od którego najlepsze dopasowanie jest przyjmowane bez pytania
+ * (o ile drugi kandydat nie jest równie dobry).
+ */
+const CONFIDENT_MATCH_SCORE = 0.9;
+
+/**
+ * Wzorce ilości: „3x Goblin”, „3 × Goblin”, „Goblin x3”, „Goblin (3)”,
+ * „2 Wolves”, „Goblin 3”.
+ * Litera „x” musi przylegać do liczby albo być osobnym słowem,
+ * żeby nie obcinać nazw typu „3 Xorn” czy „Sphinx 2”.
+ */
+const QUANTITY_PATTERNS = [
+  /^(\d+)\s*[×*]\s*(.+)$/,
+  /^(\d+)(?:x|\s+x\s)\s*(.+)$/i,
+  /^(.+?)\s*[×*]\s*(\d+)$/,
+  /^(.+?)\s+x\s*(\d+)$/i,
+  /^(.+?)\s*\((\d+)\)$/,
+  /^(\d+)\s+(.+)$/,
+  /^(.+?)\s+(\d+)$/
+];
+
+/**
+ * Sprowadza nazwę do postaci porównywalnej: małe litery, bez znaków
+ * diakrytycznych i interpunkcji, pojedyncze spacje.
+ *
+ * @param {string} name
+ * @returns {string}
+ */
+export function normalizeMonsterName(name) {
+  return String(name ?? "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N} ]+/gu, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+/**
+ * Warianty nazwy w liczbie pojedynczej (angielskie końcówki liczby mnogiej):
+ * wolves → wolf, harpies → harpy, goblins → goblin.
+ * Każdy wariant zmienia jedno słowo („Goblin Bosses” → „goblin boss”).
+ *
+ * @param {string} normalized - wynik normalizeMonsterName()
+ * @returns {string[]}
+ */
+function singularVariants(normalized) {
+  const variants = new Set([normalized]);
+  const rules = [
+    [/ves$/, "f"],
+    [/ves$/, "fe"],
+    [/ies$/, "y"],
+    [/(ch|sh|x|ss)es$/, "$1"],
+    [/s$/, ""]
+  ];
+
+  const words = normalized.split(" ");
+  for (let i = words.length - 1; i >= 0; i--) {
+    for (const [pattern, replacement] of rules) {
+      if (!pattern.test(words[i]) || words[i].endsWith("ss")) continue;
+      const copy = [...words];
+      copy[i] = words[i].replace(pattern, replacement);
+      variants.add(copy.join(" "));
+    }
+  }
+  return [...variants];
+}
+
+/**
+ * Dzieli tekst na pozycje z ilościami.
+ * Separatory: przecinek, średnik, nowa linia, „ and ” / „ i ” / „ oraz ”.
+ * Ilość 0 („0 Kobold”) jest pomijana – zostaje sama nazwa z ilością 1.
+ *
+ * @param {string} text
+ * @returns {Array} - [{ raw, name, quantity }]
+ */
+export function parseEnemyList(text) {
+  const parts = String(text ?? "")
+    .split(/[,;\n\r]+|\s+(?:and|i|oraz|&)\s+/i)
+    .map((p) => p.replace(/^[\s•\-–*]+|[\s.]+$/g, "").trim())
+    .filter(Boolean);
+
+  return parts.map((raw) => {
+    for (const pattern of QUANTITY_PATTERNS) {
+      const match = raw.match(pattern);
+      if (!match) continue;
+
+      const [a, b] = [match[1], match[2]];
+      const numberFirst = /^\d+$/.test(a);
+      const quantity = Number(numberFirst ? a : b);
+      const name = (numberFirst ? b : a).trim();
+      if (name) {
+        return { raw, name, quantity: Math.min(99, quantity) || 1 };
+      }
+    }
+    return { raw, name: raw, quantity: 1 };
+  });
+}
+
+/**
+ * Odległość edycyjna Levenshteina.
+ *
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+function levenshtein(a, b) {
+  if (a === b) return 0;
+  if (!a.length) return b.length;
+  if (!b.length) return a.length;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + cost
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Ocenia podobieństwo wpisanej nazwy do nazwy kandydata (0–1).
+ *  - 1      – identyczne (po normalizacji),
+ *  - 0.95   – identyczne po zamianie liczby mnogiej na pojedynczą,
+ *  - 0.7–0.85 – jedna nazwa zawiera drugą jako całe słowa,
+ *  - poniżej – podobieństwo z odległości edycyjnej (literówki).
+ *
+ * @param {string} query - nazwa z tekstu
+ * @param {string} candidateName
+ * @returns {number}
+ */
+export function scoreNameMatch(query, candidateName) {
+  const q = normalizeMonsterName(query);
+  const c = normalizeMonsterName(candidateName);
+  if (!q || !c) return 0;
+  if (q === c) return 1;
+
+  const variants = singularVariants(q);
+  if (variants.includes(c)) return 0.95;
+
+  let best = 0;
+  for (const v of variants) {
+    const [shorter, longer] = v.length <= c.length ? [v, c] : [c, v];
+    if (` ${longer} `.includes(` ${shorter} `)) {
+      // Im większą część dłuższej nazwy pokrywa krótsza, tym lepiej.
+      best = Math.max(best, 0.7 + 0.15 * (shorter.length / longer.length));
+    }
+    const distance = levenshtein(v, c);
+    best = Math.max(best, 1 - distance / Math.max(v.length, c.length));
+  }
+  return Math.min(best, 0.94);
+}
+
+/**
+ * Dopasowuje pozycje listy do kandydatów.
+ *
+ * Pozycja jest niejednoznaczna, gdy najlepszy wynik jest poniżej progu
+ * pewności albo kilku kandydatów o różnych nazwach ma ten sam najlepszy wynik.
+ * Kandydaci o tej samej nazwie (np. ten sam potwór w kilku kompendiach)
+ * nie są uznawani za konflikt – wygrywa pierwszy z listy.
+ *
+ * @param {Array} lines - wynik parseEnemyList()
+ * @param {Array} candidates - [{ uuid, name, ... }]
+ * @param {Object} [options]
+ * @param {number} [options.limit=5] - maks. liczba dopasowań na pozycję
+ * @returns {Array} - [{ raw, name, quantity, matches, selectedUuid, ambiguous }]
+ */
+export function matchEnemyList(lines, candidates, { limit = 5 } = {}) {
+  return (lines ?? []).map((line) => {
+    const scored = [];
+    for (const candidate of candidates ?? []) {
+      const score = scoreNameMatch(line.name, candidate.name);
+      if (score >= MIN_MATCH_SCORE) scored.push({ ...candidate, score });
+    }
+    // Stabilne sortowanie – przy remisie zostaje kolejność kandydatów.
+    scored.sort((a, b) => b.score - a.score);
+    const matches = scored.slice(0, limit);
+
+    const best = matches[0] ?? null;
+    const tied = matches.filter(
+      (m) =>
+        m.score === best?.score &&
+        normalizeMonsterName(m.name) !== normalizeMonsterName(best.name)
+    );
+    const ambiguous =
+      !best || best.score < CONFIDENT_MATCH_SCORE || tied.length > 0;
+
+    return {
+      ...line,
+      matches,
+      // Niejednoznaczne pozycje czekają na wybór MG.
+      selectedUuid: ambiguous ? "" : best.uuid,
+      ambiguous
+    };
+  });
+}
@@ -11,6 +11,32 @@
  * i zwraca wygenerowane skarby bez bezpośredniego dostępu do Foundry API.
  */
 
+/**
+ * Przygotowuje listę wrogów do generatorów skarbów:
+ *  - CR jest rzutowane na liczbę (wpisy bez poprawnego CR są pomijane),
+ *  - quantity jest przycinane do zakresu 1–99.
+ *
+ * @param {Array} enemies - wpisy wrogów z kalkulatora (name, cr, quantity)
+ * @returns {Array} - tablica { name, cr, quantity }
+ */
+export function normalizeEnemiesForTreasure(enemies = []) {
+  if (!Array.isArray(enemies)) return [];
+
+  return enemies
+    .map((e) => {
+      const crNum = e.cr != null ? Number(e.cr) : NaN;
+      const quantity = Number(e.quantity ?? 1) || 1;
+      const safeCr = Number.isFinite(crNum) && crNum >= 0 ? crNum : null;
+
+      return {
+        name: e.name ?? "??",
+        cr: safeCr,
+        quantity: Math.max(1, Math.min(99, quantity))
+      };
+    })
+    .filter((e) => e.cr !== null);
+}
+
 /**
  * Generuje Individual Treasure dla listy wrogów.
  *
@@ -0,0 +1,341 @@
+/**
+ * calculator-file.service.js
+ *
+ * Serwis eksportu i importu szkicu starcia do pliku JSON
+ * (przekazanie koledze, trzymanie szkiców w repozytorium kampanii).
+ *
+ * Plik zawiera aktywną zakładkę kalkulatora: sojuszników, wrogów
+ * (ilości, fale, nadpisania), próg trudności i nazwę zestawu drużyny.
+ * Format jest wersjonowany (CALCULATOR_FILE_VERSION) i sprawdzany przed
+ * importem. Przy imporcie każdy UUID jest rozwiązywany, a gdy aktora nie ma
+ * (np. plik z innego świata) – szukamy go po nazwie w kompendiach.
+ */
+
+import {
+  ENTRY_OVERRIDE_FIELDS,
+  MAX_WAVE,
+  createEntryKey,
+  getActorXp,
+  getEntryXp,
+  normalizeEntryOverride,
+  normalizeWave,
+  refreshEntryFromActor
+} from "../core/encounter-state.service.js";
+
+/** Identyfikator formatu pliku. */
+export const CALCULATOR_FILE_FORMAT = "dnd5e-2024-encounter.calculator";
+
+/** Wersja formatu pliku (starsze wersje mogą wymagać migracji). */
+export const CALCULATOR_FILE_VERSION = 1;
+
+const TARGET_KEYS = ["low", "moderate", "high"];
+
+/**
+ * Pola wpisu zapisywane w pliku. Klucz wpisu i totalXp są wyliczane
+ * na nowo przy imporcie.
+ */
+const FILE_ENTRY_FIELDS = [
+  "uuid",
+  "name",
+  "type",
+  "level",
+  "cr",
+  "xp",
+  "quantity",
+  "wave",
+  ...ENTRY_OVERRIDE_FIELDS
+];
+
+/**
+ * Kopiuje do pliku tylko znane pola wpisu.
+ *
+ * @param {Object} entry
+ * @returns {Object}
+ */
+function pickFileEntry(entry) {
+  const out = {};
+  for (const field of FILE_ENTRY_FIELDS) {
+    if (entry?.[field] !== undefined && entry?.[field] !== null) {
+      out[field] = entry[field];
+    }
+  }
+  return out;
+}
+
+/**
+ * Buduje zawartość pliku eksportu.
+ *
+ * @param {Object} params
+ * @param {Array} params.allies
+ * @param {Array} params.enemies
+ * @param {string} params.targetDifficultyKey
+ * @param {string} [params.name] - nazwa zakładki starcia
+ * @param {string|null} [params.partyPresetName]
+ * @returns {Object}
+ */
+export function buildCalculatorFile({
+  allies = [],
+  enemies = [],
+  targetDifficultyKey,
+  name = "",
+  partyPresetName = null
+}) {
+  return {
+    format: CALCULATOR_FILE_FORMAT,
+    version: CALCULATOR_FILE_VERSION,
+    exportedAt: new Date().toISOString(),
+    name: String(name ?? ""),
+    targetDifficulty: TARGET_KEYS.includes(targetDifficultyKey)
+      ? targetDifficultyKey
+      : "moderate",
+    partyPreset: partyPresetName || null,
+    allies: allies.map(pickFileEntry),
+    enemies: enemies.map(pickFileEntry)
+  };
+}
+
+/**
+ * Sprawdza listę wpisów z pliku.
+ *
+ * @param {*} list
+ * @param {string} label - nazwa listy w komunikatach
+ * @param {string[]} errors
+ */
+function validateEntries(list, label, errors) {
+  if (!Array.isArray(list)) {
+    errors.push(`„${label}” musi być listą.`);
+    return;
+  }
+
+  list.forEach((entry, i) => {
+    const where = `${label}[${i}]`;
+    if (!entry || typeof entry !== "object") {
+      errors.push(`${where}: wpis musi być obiektem.`);
+      return;
+    }
+
+    const hasUuid = typeof entry.uuid === "string" && entry.uuid.trim();
+    const hasName = typeof entry.name === "string" && entry.name.trim();
+    if (!hasUuid && !hasName) {
+      errors.push(`${where}: brak „uuid” i „name”.`);
+    }
+
+    if (entry.quantity !== undefined) {
+      const q = Number(entry.quantity);
+      if (!Number.isInteger(q) || q < 1 || q > 99) {
+        errors.push(`${where}: „quantity” musi być liczbą całkowitą 1–99.`);
+      }
+    }
+
+    if (entry.wave !== undefined) {
+      const w = Number(entry.wave);
+      if (!Number.isInteger(w) || w < 1 || w > MAX_WAVE) {
+        errors.push(`${where}: „wave” musi być liczbą całkowitą 1–${MAX_WAVE}.`);
+      }
+    }
+
+    for (const field of ["xp", ...ENTRY_OVERRIDE_FIELDS]) {
+      if (entry[field] === undefined || entry[field] === null) continue;
+      if (!Number.isFinite(Number(entry[field]))) {
+        errors.push(`${where}: „${field}” musi być liczbą.`);
+      }
+    }
+  });
+}
+
+/**
+ * Sprawdza zgodność danych z formatem pliku.
+ *
+ * @param {*} data - sparsowany JSON
+ * @returns {string[]} - lista błędów (pusta = plik poprawny)
+ */
+export function validateCalculatorFile(data) {
+  if (!data || typeof data !== "object" || Array.isArray(data)) {
+    return ["Plik nie zawiera obiektu JSON."];
+  }
+  if (data.format !== CALCULATOR_FILE_FORMAT) {
+    return ["To nie jest plik eksportu kalkulatora starć."];
+  }
+
+  const version = Number(data.version);
+  if (!Number.isInteger(version) || version < 1) {
+    return ["Brak poprawnej wersji formatu."];
+  }
+  if (version > CALCULATOR_FILE_VERSION) {
+    return [
+      `Plik ma nowszą wersję formatu (${version}) niż obsługiwana (${CALCULATOR_FILE_VERSION}) – zaktualizuj moduł.`
+    ];
+  }
+
+  const errors = [];
+  if (
+    data.targetDifficulty !== undefined &&
+    !TARGET_KEYS.includes(data.targetDifficulty)
+  ) {
+    errors.push("„targetDifficulty” musi mieć wartość low, moderate lub high.");
+  }
+  if (
+    data.partyPreset !== undefined &&
+    data.partyPreset !== null &&
+    typeof data.partyPreset !== "string"
+  ) {
+    errors.push("„partyPreset” musi być tekstem.");
+  }
+  validateEntries(data.allies, "allies", errors);
+  validateEntries(data.enemies, "enemies", errors);
+  return errors;
+}
+
+/**
+ * Szuka aktora po nazwie w indeksach kompendiów (bez względu na wielkość liter).
+ *
+ * @param {string} name
+ * @param {Object} params
+ * @param {Iterable} params.packs - kompendia (np. game.packs)
+ * @param {string[]} [params.packIds=[]] - kompendia przeszukiwane w pierwszej kolejności
+ * @returns {Promise<string|null>} - uuid znalezionego aktora
+ */
+export async function findCompendiumActorUuidByName(
+  name,
+  { packs, packIds = [] }
+) {
+  const wanted = String(name ?? "").trim().toLowerCase();
+  if (!wanted) return null;
+
+  const actorPacks = [...(packs ?? [])].filter(
+    (p) => p.documentName === "Actor"
+  );
+  // Kompendia wybrane w ustawieniach mają pierwszeństwo.
+  actorPacks.sort(
+    (a, b) =>
+      Number(packIds.includes(b.collection)) -
+      Number(packIds.includes(a.collection))
+  );
+
+  for (const pack of actorPacks) {
+    try {
+      const index = await pack.getIndex();
+      const match = [...index].find(
+        (e) => String(e.name ?? "").toLowerCase() === wanted
+      );
+      if (match) {
+        return match.uuid ?? `Compendium.${pack.collection}.Actor.${match._id}`;
+      }
+    } catch (_e) {
+      // nieczytelne kompendium – szukamy dalej
+    }
+  }
+  return null;
+}
+
+/**
+ * Rozwiązuje aktora po uuid (błąd albo dokument innego typu = brak aktora).
+ *
+ * @param {Function} actorResolverByUuid
+ * @param {string|null} uuid
+ * @returns {Promise<Actor|null>}
+ */
+async function resolveActor(actorResolverByUuid, uuid) {
+  if (!uuid) return null;
+  try {
+    const doc = await actorResolverByUuid(uuid);
+    return doc?.documentName === "Actor" ? doc : null;
+  } catch (_e) {
+    return null;
+  }
+}
+
+/**
+ * Odtwarza wpisy z pliku, rozwiązując aktorów.
+ *
+ * @param {Array} rawEntries
+ * @param {Object} resolvers
+ * @param {Function} resolvers.actorResolverByUuid - async (uuid) => Actor|null
+ * @param {Function} resolvers.findUuidByName - async (name) => uuid|null
+ * @param {Function} resolvers.getActorXpFn
+ * @param {Object} report - { missing: [], relinked: [] }
+ * @returns {Promise<Array>}
+ */
+async function resolveEntries(rawEntries, resolvers, report) {
+  const { actorResolverByUuid, findUuidByName, getActorXpFn } = resolvers;
+  const entries = [];
+
+  for (const raw of rawEntries ?? []) {
+    const entry = pickFileEntry(raw);
+    entry.key = createEntryKey();
+    entry.xp = Number(entry.xp) || 0;
+    entry.quantity = Math.max(1, Math.min(99, Number(entry.quantity) || 1));
+    if (entry.wave !== undefined) entry.wave = normalizeWave(entry.wave);
+    for (const field of ENTRY_OVERRIDE_FIELDS) {
+      const value = normalizeEntryOverride(field, entry[field]);
+      if (value === null) delete entry[field];
+      else entry[field] = value;
+    }
+
+    let actor = await resolveActor(actorResolverByUuid, entry.uuid);
+
+    let relinked = false;
+    if (!actor && entry.name) {
+      actor = await resolveActor(actorResolverByUuid, await findUuidByName(entry.name));
+      relinked = !!actor;
+    }
+
+    if (actor) {
+      entry.id = actor.id;
+      entry.uuid = actor.uuid;
+      entry.type = actor.type;
+      refreshEntryFromActor(entry, actor, getActorXpFn);
+      if (relinked) {
+        const note = "dopasowano po nazwie w kompendium";
+        entry.changed = entry.changed ? `${note}; ${entry.changed}` : note;
+        report.relinked.push(entry.name);
+      }
+    } else {
+      entry.missing = true;
+      entry.uuid ??= "";
+      entry.name ??= entry.uuid;
+      entry.totalXp = getEntryXp(entry) * entry.quantity;
+      report.missing.push(entry.name);
+    }
+
+    entries.push(entry);
+  }
+
+  return entries;
+}
+
+/**
+ * Odtwarza stan kalkulatora z poprawnego pliku (patrz validateCalculatorFile()).
+ *
+ * @param {Object} data
+ * @param {Object} params
+ * @param {Function} params.actorResolverByUuid - async (uuid) => Actor|null
+ * @param {Function} params.findUuidByName - async (name) => uuid|null
+ * @param {Function} [params.getActorXpFn]
+ * @returns {Promise<Object>} - { name, allies, enemies, targetDifficultyKey,
+ *   partyPresetName, missing, relinked }
+ */
+export async function resolveCalculatorFile(
+  data,
+  { actorResolverByUuid, findUuidByName, getActorXpFn = getActorXp }
+) {
+  const resolvers = { actorResolverByUuid, findUuidByName, getActorXpFn };
+  const report = { missing: [], relinked: [] };
+
+  const allies = await resolveEntries(data.allies, resolvers, report);
+  const enemies = await resolveEntries(data.enemies, resolvers, report);
+
+  return {
+    name: String(data.name ?? "").trim(),
+    allies,
+    enemies,
+    targetDifficultyKey: TARGET_KEYS.includes(data.targetDifficulty)
+      ? data.targetDifficulty
+      : "moderate",
+    partyPresetName:
+      typeof data.partyPreset === "string" && data.partyPreset.trim()
+        ? data.partyPreset.trim()
+        : null,
+    ...report
+  };
+}
@@ -0,0 +1,181 @@
+/**
+ * calculator-state.service.js
+ *
+ * Serwis do zapisu i odtwarzania roboczego stanu kalkulatora
+ * (sojusznicy, zakładki starć z wrogami i progiem trudności).
+ *
+ * Stan jest trzymany we fladze użytkownika, więc każdy MG / gracz
+ * ma własny szkic, który przetrwa odświeżenie przeglądarki.
+ */
+
+import { MODULE_ID } from "../../config/constants.js";
+import {
+  ENTRY_OVERRIDE_FIELDS,
+  createEntryKey,
+  getEntryXp
+} from "../core/encounter-state.service.js";
+
+/** Klucz flagi użytkownika ze stanem kalkulatora. */
+export const CALCULATOR_STATE_FLAG = "calculatorState";
+
+/** Wersja formatu zapisu (na potrzeby przyszłych migracji). */
+export const CALCULATOR_STATE_VERSION = 1;
+
+const TARGET_KEYS = ["low", "moderate", "high"];
+
+/**
+ * Pola wpisu zapisywane we fladze.
+ */
+const ENTRY_FIELDS = [
+  "key",
+  "id",
+  "uuid",
+  "name",
+  "type",
+  "level",
+  "cr",
+  "xp",
+  "quantity",
+  "totalXp",
+  "wave",
+  ...ENTRY_OVERRIDE_FIELDS
+];
+
+/**
+ * Kopiuje do zapisu tylko znane pola wpisu.
+ *
+ * @param {Object} entry
+ * @returns {Object}
+ */
+function pickEntryFields(entry) {
+  const out = {};
+  for (const field of ENTRY_FIELDS) {
+    if (entry?.[field] !== undefined) out[field] = entry[field];
+  }
+  return out;
+}
+
+/**
+ * Buduje obiekt stanu do zapisu we fladze.
+ *
+ * @param {Object} params
+ * @param {Array} params.allies
+ * @param {Array} params.workspaces - zakładki (workspace.service)
+ * @param {string} params.activeWorkspaceId
+ * @returns {Object} - { version, allies, workspaces, activeIndex }
+ */
+export function serializeCalculatorState({
+  allies = [],
+  workspaces = [],
+  activeWorkspaceId
+}) {
+  return {
+    version: CALCULATOR_STATE_VERSION,
+    allies: allies.map(pickEntryFields),
+    workspaces: workspaces.map((w) => ({
+      name: w.name,
+      customName: !!w.customName,
+      targetDifficultyKey: w.targetDifficultyKey,
+      enemies: (w.enemies ?? []).map(pickEntryFields)
+    })),
+    activeIndex: Math.max(
+      0,
+      workspaces.findIndex((w) => w.id === activeWorkspaceId)
+    )
+  };
+}
+
+/**
+ * Zapisuje stan kalkulatora we fladze użytkownika.
+ *
+ * @param {User} user
+ * @param {Object} state - parametry serializeCalculatorState()
+ * @returns {Promise}
+ */
+export function saveCalculatorState(user, state) {
+  return user.setFlag(
+    MODULE_ID,
+    CALCULATOR_STATE_FLAG,
+    serializeCalculatorState(state)
+  );
+}
+
+/**
+ * Odtwarza wpisy z zapisu. Wpisy bez uuid są odrzucane jako uszkodzone;
+ * wpisy, których aktora nie da się już odnaleźć, zostają na liście
+ * z flagą `missing: true`.
+ *
+ * @param {Array} rawEntries
+ * @param {Function} actorResolverByUuid
+ * @param {Array} missing - tu trafiają nazwy brakujących aktorów
+ * @returns {Promise<Array>}
+ */
+async function restoreEntries(rawEntries, actorResolverByUuid, missing) {
+  const entries = [];
+
+  for (const raw of Array.isArray(rawEntries) ? rawEntries : []) {
+    if (typeof raw?.uuid !== "string" || !raw.uuid) continue;
+
+    const entry = pickEntryFields(raw);
+    entry.key ||= createEntryKey();
+    entry.xp = Number(entry.xp) || 0;
+    entry.quantity = Math.max(1, Math.min(99, Number(entry.quantity) || 1));
+    entry.totalXp = getEntryXp(entry) * entry.quantity;
+
+    let actor = null;
+    try {
+      actor = await actorResolverByUuid?.(entry.uuid);
+    } catch (e) {
+      actor = null;
+    }
+
+    if (actor) {
+      entry.name = actor.name;
+    } else {
+      entry.missing = true;
+      missing.push(entry.name ?? entry.uuid);
+    }
+
+    entries.push(entry);
+  }
+
+  return entries;
+}
+
+/**
+ * Odtwarza stan kalkulatora z danych flagi.
+ *
+ * @param {Object} data - zawartość flagi (wynik serializeCalculatorState())
+ * @param {Object} params
+ * @param {Function} params.actorResolverByUuid - async (uuid) => Actor|null
+ * @returns {Promise<Object|null>} - { allies, workspaces, activeIndex, missing }
+ *   albo null, gdy brak zapisu lub zapis jest nieczytelny
+ */
+export async function restoreCalculatorState(data, { actorResolverByUuid }) {
+  if (!data || typeof data !== "object") return null;
+  if (Number(data.version) !== CALCULATOR_STATE_VERSION) return null;
+
+  const missing = [];
+  const allies = await restoreEntries(data.allies, actorResolverByUuid, missing);
+
+  const workspaces = [];
+  for (const raw of Array.isArray(data.workspaces) ? data.workspaces : []) {
+    workspaces.push({
+      name: String(raw?.name ?? "").trim() || `Starcie ${workspaces.length + 1}`,
+      customName: !!raw?.customName,
+      targetDifficultyKey: TARGET_KEYS.includes(raw?.targetDifficultyKey)
+        ? raw.targetDifficultyKey
+        : "moderate",
+      enemies: await restoreEntries(raw?.enemies, actorResolverByUuid, missing)
+    });
+  }
+
+  if (!workspaces.length) return null;
+
+  const activeIndex = Math.min(
+    workspaces.length - 1,
+    Math.max(0, Math.floor(Number(data.activeIndex) || 0))
+  );
+
+  return { allies, workspaces, activeIndex, missing };
+}
@@ -0,0 +1,129 @@
+/**
+ * Combat Import – wypełnianie kalkulatora uczestnikami walki (Combat).
+ *
+ * Uczestnicy są dzieleni na strony tak samo jak tokeny sceny
+ * (token-import.service): wrogie → wrogowie, przyjazne / PC → sojusznicy.
+ * Pokonani uczestnicy (defeated) są pomijani, więc przy synchronizacji
+ * na żywo wypadają z sumy XP.
+ */
+
+import {
+  ENTRY_OVERRIDE_FIELDS,
+  getActorXp,
+  getEntryXp
+} from "../core/encounter-state.service.js";
+import { importTokens } from "./token-import.service.js";
+
+/**
+ * Zwraca tokeny uczestników walki. Uczestnicy bez tokena są pomijani.
+ *
+ * @param {Combat} combat
+ * @param {Object} [options]
+ * @param {boolean} [options.includeDefeated=false]
+ * @returns {TokenDocument[]}
+ */
+export function getCombatTokens(combat, { includeDefeated = false } = {}) {
+  const tokens = [];
+
+  for (const combatant of combat?.combatants ?? []) {
+    const defeated = combatant.isDefeated ?? combatant.defeated;
+    if (defeated && !includeDefeated) continue;
+    if (combatant.token) tokens.push(combatant.token);
+  }
+
+  return tokens;
+}
+
+/**
+ * Przenosi nadpisania (XP, waga, poziom PC) i falę ze starego wpisu
+ * na nowy wpis tego samego aktora, żeby ponowny odczyt walki ich nie gubił.
+ * Nadpisania odczytane z tokena (resolveBaseActor()) mają pierwszeństwo.
+ *
+ * @param {Object} entry - nowy wpis
+ * @param {Object} old - wpis sprzed odczytu
+ */
+function applyPreviousEntry(entry, old) {
+  for (const field of ENTRY_OVERRIDE_FIELDS) {
+    if (old[field] !== undefined && entry[field] === undefined) {
+      entry[field] = old[field];
+    }
+  }
+  if (old.wave !== undefined) entry.wave = old.wave;
+  entry.totalXp = getEntryXp(entry) * (Number(entry.quantity) || 1);
+}
+
+/**
+ * Zachowuje podział na wiersze sprzed odczytu walki.
+ * Gdy aktor miał kilka wierszy (różne fale lub nadpisania), nowa ilość
+ * jest rozdzielana między nie w dotychczasowej kolejności: każdy wiersz
+ * dostaje co najwyżej swoją starą ilość, nadwyżka trafia do ostatniego,
+ * a ubytek (np. pokonani) zabiera najpierw z ostatnich wierszy.
+ * Wiersze zachowują swoje klucze, falę i nadpisania.
+ *
+ * @param {Array} entries - nowe wpisy (zgrupowane po aktorze)
+ * @param {Array} previous - wpisy sprzed odczytu
+ * @returns {Array} - wpisy po rozdzieleniu
+ */
+function carryOverEntryOverrides(entries, previous) {
+  const result = [];
+
+  for (const entry of entries) {
+    const olds = (previous ?? []).filter((e) => e.uuid === entry.uuid);
+
+    if (olds.length <= 1) {
+      if (olds.length) applyPreviousEntry(entry, olds[0]);
+      result.push(entry);
+      continue;
+    }
+
+    let remaining = Number(entry.quantity) || 1;
+    olds.forEach((old, index) => {
+      const isLast = index === olds.length - 1;
+      const quantity = isLast
+        ? remaining
+        : Math.min(Number(old.quantity) || 1, remaining);
+      if (quantity <= 0) return;
+
+      const row = { ...entry, key: old.key ?? entry.key, quantity };
+      applyPreviousEntry(row, old);
+      result.push(row);
+      remaining -= quantity;
+    });
+  }
+
+  return result;
+}
+
+/**
+ * Buduje listy sojuszników i wrogów z uczestników walki.
+ * Duplikaty (niepowiązane tokeny tego samego aktora) są grupowane w jeden wpis.
+ *
+ * @param {Object} params
+ * @param {Combat} params.combat
+ * @param {Array} [params.previousAllies=[]] - źródło nadpisań do zachowania
+ * @param {Array} [params.previousEnemies=[]] - źródło nadpisań do zachowania
+ * @param {Function} [params.getActorXpFn]
+ * @returns {Object} - { allies, enemies, counts: { allies, enemies, skipped } }
+ */
+export function buildEntriesFromCombat({
+  combat,
+  previousAllies = [],
+  previousEnemies = [],
+  getActorXpFn = getActorXp
+}) {
+  const allies = [];
+  const enemies = [];
+
+  const counts = importTokens({
+    allies,
+    enemies,
+    tokens: getCombatTokens(combat),
+    getActorXpFn
+  });
+
+  return {
+    allies: carryOverEntryOverrides(allies, previousAllies),
+    enemies: carryOverEntryOverrides(enemies, previousEnemies),
+    counts
+  };
+}
@@ -2,8 +2,11 @@
  * Encounter Import – import aktora encounter do kalkulatora.
  */
 
-import { addSingleActorToSide } from "../core/encounter-state.service.js";
-import { getActorXp } from "../core/encounter-state.service.js";
+import {
+  ENTRY_OVERRIDE_FIELDS,
+  addSingleActorToSide,
+  getActorXp
+} from "../core/encounter-state.service.js";
 
 /**
  * Importuje aktora encounter do kalkulatora (po stronie enemies).
@@ -48,7 +51,13 @@ export async function importEncounterActor({
     entries = flags.enemies
       .map((e) => ({
         uuid: e.uuid ?? null,
-        quantity: Number(e.quantity ?? 1) || 1
+        quantity: Number(e.quantity ?? 1) || 1,
+        wave: Number(e.wave ?? 1) || 1,
+        overrides: Object.fromEntries(
+          ENTRY_OVERRIDE_FIELDS.filter(
+            (f) => e[f] !== undefined && e[f] !== null
+          ).map((f) => [f, e[f]])
+        )
       }))
       .filter((e) => !!e.uuid);
   }
@@ -89,6 +98,8 @@ export async function importEncounterActor({
       continue;
     }
 
+    // Nadpisania zapisane przez kalkulator (xpOverride itd.) trafiają
+    // do wpisu od razu, żeby sztuki scalały się tylko z identycznymi.
     const loops = Math.max(1, Math.min(qty, 999));
     for (let i = 0; i < loops; i++) {
       addSingleActorToSide({
@@ -96,7 +107,9 @@ export async function importEncounterActor({
         enemies,
         actor: enemyActor,
         side,
-        getActorXpFn
+        getActorXpFn,
+        wave: e.wave ?? 1,
+        overrides: e.overrides ?? {}
       });
     }
   }
@@ -0,0 +1,96 @@
+/**
+ * Token Import – dodawanie do kalkulatora aktorów z tokenów na scenie.
+ *
+ * Strona wynika z nastawienia tokena:
+ *  - wrogie (oraz ukryte / secret) → wrogowie,
+ *  - przyjazne oraz postacie graczy → sojusznicy,
+ *  - neutralne są pomijane.
+ * Niepowiązane tokeny (actorLink = false) liczą się jako ich aktor bazowy
+ * (addSingleActorToSide → resolveBaseActor), więc kilka tokenów tego samego
+ * potwora trafia do jednego wpisu z ilością, a różnice tokena – do nadpisań.
+ */
+
+import {
+  addSingleActorToSide,
+  getActorXp
+} from "../core/encounter-state.service.js";
+
+/**
+ * Zwraca dokument tokena (przyjmuje Token z canvasu albo TokenDocument).
+ *
+ * @param {Token|TokenDocument} token
+ * @returns {TokenDocument|null}
+ */
+function getTokenDocument(token) {
+  return token?.document ?? token ?? null;
+}
+
+/**
+ * Ustala stronę kalkulatora dla tokena.
+ *
+ * @param {Token|TokenDocument} token
+ * @returns {"allies"|"enemies"|null} - null dla tokenów neutralnych / bez aktora
+ */
+export function getTokenSide(token) {
+  const doc = getTokenDocument(token);
+  const actor = doc?.actor;
+  if (!actor) return null;
+
+  if (actor.type === "character" || actor.hasPlayerOwner) return "allies";
+
+  const { FRIENDLY, HOSTILE, SECRET } = CONST.TOKEN_DISPOSITIONS;
+  if (doc.disposition === FRIENDLY) return "allies";
+  if (doc.disposition === HOSTILE || doc.disposition === SECRET) {
+    return "enemies";
+  }
+  return null;
+}
+
+/**
+ * Zwraca aktora tokena: aktora świata dla tokenów powiązanych,
+ * aktora syntetycznego (z różnicami tokena) dla niepowiązanych.
+ * Zamiana na aktora bazowego odbywa się przy dodawaniu wpisu.
+ *
+ * @param {Token|TokenDocument} token
+ * @returns {Actor|null}
+ */
+export function getTokenSourceActor(token) {
+  const doc = getTokenDocument(token);
+  return doc?.actor ?? doc?.baseActor ?? null;
+}
+
+/**
+ * Dodaje aktorów z tokenów po stronach wynikających z ich nastawienia.
+ *
+ * @param {Object} params
+ * @param {Array} params.allies
+ * @param {Array} params.enemies
+ * @param {Array} params.tokens - Token lub TokenDocument
+ * @param {string[]} [params.sides=["allies","enemies"]] - które strony importować
+ * @param {Function} [params.getActorXpFn]
+ * @returns {Object} - { allies: liczba, enemies: liczba, skipped: liczba }
+ */
+export function importTokens({
+  allies,
+  enemies,
+  tokens,
+  sides = ["allies", "enemies"],
+  getActorXpFn = getActorXp
+}) {
+  const counts = { allies: 0, enemies: 0, skipped: 0 };
+
+  for (const token of tokens ?? []) {
+    const side = getTokenSide(token);
+    const actor = side ? getTokenSourceActor(token) : null;
+
+    if (!actor || !sides.includes(side)) {
+      counts.skipped++;
+      continue;
+    }
+
+    addSingleActorToSide({ allies, enemies, actor, side, getActorXpFn });
+    counts[side]++;
+  }
+
+  return counts;
+}
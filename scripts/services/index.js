@@ -5,10 +5,10 @@
  * aby UI mogło importować je z jednego miejsca.
  *
  * Struktura:
- * - core/       - Core logic (difficulty, state, settings, actor factory)
+ * - core/       - Core logic (difficulty, state, settings, party presets, encounter templates, actor factory, journal page, chat card, history, workspaces, XP award)
  * - ui/         - UI helpers (dialogs, DOM, forms, callbacks)
- * - data/       - Data processing (loot, treasure, currency, items)
- * - import-export/ - Import/export functionality (allies, encounters, groups)
+ * - data/       - Data processing (loot, treasure, currency, items, compendium search, generator, text list parser)
+ * - import-export/ - Import/export functionality (allies, encounters, groups, scene tokens, combat, calculator state, JSON file)
  */
 
 // ═══════════════════════════════════════════════════════════════
@@ -17,39 +17,131 @@
 
 export {
   calculateDifficulty,
-  normalizeEnemyQuantities
+  calculateWaveDifficulties,
+  normalizeEnemyQuantities,
+  getTargetDifficultyLabels
 } from "./core/difficulty-calculator.service.js";
 
+export {
+  normalizeDifficultyBands,
+  getBandForRatio
+} from "./core/difficulty-bands.service.js";
+
 export {
   getTargetDifficulty,
   getDifficultyDisplayMode,
+  setDifficultyDisplayMode,
+  getDifficultyBands,
+  setDifficultyBands,
+  getXpBudgetTable,
+  setXpBudgetTable,
+  getDifficultyRuleset,
   getAutoLoadSavedAllies,
   getAutoLootQuantityMode,
   getAllyNpcWeight,
+  getMaxEnemiesPerPc,
+  getMonsterCompendia,
   getSavedAllies,
   getSavedTeam,
-  setSavedAllies,
-  setSavedTeam,
+  getPartyPresets,
+  setPartyPresets,
+  getEncounterTemplates,
+  setEncounterTemplates,
   getEncounterDefaultName,
   getEncounterUseFolderByDefault,
   getEncounterDefaultFolderName,
   getEncounterDefaultGold,
   getEncounterDefaultSilver,
-  getEncounterDefaultCopper
+  getEncounterDefaultCopper,
+  getEncounterExportJournalByDefault,
+  getEncounterJournalId
 } from "./core/settings-repository.service.js";
 
+export {
+  normalizePartyPresets,
+  findPartyPreset,
+  getDefaultPartyPreset,
+  upsertPartyPreset,
+  renamePartyPreset,
+  deletePartyPreset,
+  setDefaultPartyPreset,
+  migrateLegacyPartyPresets
+} from "./core/party-presets.service.js";
+
+export {
+  parseTemplateTags,
+  normalizeEncounterTemplates,
+  upsertEncounterTemplate,
+  deleteEncounterTemplate,
+  filterEncounterTemplates,
+  getTemplateFieldValues,
+  buildTemplateEnemies
+} from "./core/encounter-templates.service.js";
+
 export {
   createEncounterActor,
   ensureActorFolder
 } from "./core/encounter-actor-factory.service.js";
 
 export {
+  buildTreasureSummary,
+  buildEncounterJournalData,
+  createEncounterJournalPage
+} from "./core/encounter-journal.service.js";
+
+export {
+  ENCOUNTER_CARD_FLAG,
+  buildEncounterChatData,
+  postEncounterChatCard
+} from "./core/encounter-chat.service.js";
+
+export {
+  MAX_WAVE,
+  ENTRY_OVERRIDE_FIELDS,
   getActorXp,
+  refreshEntryFromActor,
+  resolveBaseActor,
+  getEntryXp,
+  hasEntryOverrides,
+  normalizeEntryOverride,
+  setEntryOverride,
+  createEntryKey,
+  normalizeWave,
+  findEntryIndex,
   removeEntryFromList,
   addSingleActorToSide,
-  updateEnemyQuantity
+  addActorWithQuantity,
+  canMergeEnemyEntries,
+  updateEnemyQuantity,
+  setEnemyWave,
+  getEnemyWaves,
+  moveEntry
 } from "./core/encounter-state.service.js";
 
+export {
+  DEFAULT_HISTORY_LIMIT,
+  createCalculatorHistory,
+  snapshotCalculatorState,
+  pushHistory,
+  undoHistory,
+  redoHistory,
+  pushHistoryStep,
+  undoHistoryStep,
+  redoHistoryStep
+} from "./core/calculator-history.service.js";
+
+export {
+  createWorkspace,
+  duplicateWorkspace,
+  getNextWorkspaceName
+} from "./core/workspace.service.js";
+
+export {
+  calculateXpAward,
+  applyXpAward,
+  postXpAwardChatCard
+} from "./core/xp-award.service.js";
+
 // ═══════════════════════════════════════════════════════════════
 // UI SERVICES
 // ═══════════════════════════════════════════════════════════════
@@ -78,6 +170,10 @@ export {
   buildCurrencyContext
 } from "./ui/form-components.service.js";
 
+export {
+  buildBudgetBreakdownView
+} from "./ui/breakdown-view.service.js";
+
 export {
   getDefaultDragDropCallbacks,
   prepareDragDropConfig
@@ -112,6 +208,7 @@ export {
 export {
   generateIndividualTreasure,
   generateTreasureHoard,
+  normalizeEnemiesForTreasure,
   getIndividualTreasureConfig,
   getTreasureHoardConfig
 } from "./data/treasure-generator.service.js";
@@ -124,6 +221,26 @@ export {
   setCurrencyValue
 } from "./data/currency-roller.service.js";
 
+export {
+  buildMonsterCandidate,
+  loadMonsterCandidates,
+  getCreatureTypes,
+  filterMonsterCandidates,
+  findBudgetFillers
+} from "./data/compendium-search.service.js";
+
+export {
+  ENCOUNTER_ARCHETYPES,
+  generateEncounter
+} from "./data/encounter-generator.service.js";
+
+export {
+  parseEnemyList,
+  matchEnemyList,
+  scoreNameMatch,
+  normalizeMonsterName
+} from "./data/text-list-parser.service.js";
+
 export {
   removeItemById,
   updateItemQuantity,
@@ -142,7 +259,35 @@ export {
   importEncounterActor
 } from "./import-export/encounter-import.service.js";
 
+export {
+  getTokenSide,
+  getTokenSourceActor,
+  importTokens
+} from "./import-export/token-import.service.js";
+
+export {
+  getCombatTokens,
+  buildEntriesFromCombat
+} from "./import-export/combat-import.service.js";
+
 export {
   getPcUuids,
   getAllyUuids
 } from "./import-export/ally-serializer.service.js";
+
+export {
+  CALCULATOR_FILE_FORMAT,
+  CALCULATOR_FILE_VERSION,
+  buildCalculatorFile,
+  validateCalculatorFile,
+  findCompendiumActorUuidByName,
+  resolveCalculatorFile
+} from "./import-export/calculator-file.service.js";
+
+export {
+  CALCULATOR_STATE_FLAG,
+  CALCULATOR_STATE_VERSION,
+  serializeCalculatorState,
+  saveCalculatorState,
+  restoreCalculatorState
+} from "./import-export/calculator-state.service.js";
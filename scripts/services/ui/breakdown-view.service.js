@@ -0,0 +1,90 @@
+/**
+ * breakdown-view.service.js
+ *
+ * Przygotowuje dane do wyświetlenia rozbicia budżetu XP na wrogów
+ * (procenty przy wierszach i pasek skumulowany w kalkulatorze).
+ * Operuje wyłącznie na wyniku calculateDifficulty().
+ */
+
+/**
+ * Zamienia ułamek na procent całkowity (0.704 → 70).
+ *
+ * @param {number} fraction
+ * @returns {number}
+ */
+function toPercent(fraction) {
+  const value = Number(fraction) || 0;
+  return Math.round(value * 100);
+}
+
+/**
+ * Buduje widok paska budżetu.
+ *
+ * Skala paska to większa z wartości: budżet albo XP wrogów (po mnożniku),
+ * dzięki czemu przekroczenie budżetu jest widoczne jako segmenty
+ * wychodzące za znacznik budżetu.
+ *
+ * @param {Object} difficulty - wynik calculateDifficulty()
+ * @returns {Object} - {
+ *   hasData: boolean,
+ *   segments: [{ uuid, name, totalXp, widthPercent, hue, budgetPercent, totalPercent }],
+ *   budgetMarkerPercent: number,
+ *   usedPercent: number,
+ *   isOverBudget: boolean,
+ *   sharesByKey: Map<string, { budgetPercent, totalPercent }>
+ * }
+ *
+ * sharesByKey – udziały wpisów po kluczu wpisu (key, a gdy go brak – uuid).
+ */
+export function buildBudgetBreakdownView(difficulty) {
+  const breakdown = Array.isArray(difficulty?.breakdown)
+    ? difficulty.breakdown
+    : [];
+  const budget = Number(difficulty?.budget) || 0;
+  const multiplier = Number(difficulty?.multiplier) || 1;
+  const comparedXp =
+    Number(difficulty?.adjustedXP ?? difficulty?.totalXP) || 0;
+
+  const sharesByKey = new Map();
+  for (const entry of breakdown) {
+    sharesByKey.set(entry.key ?? entry.uuid, {
+      budgetPercent: toPercent(entry.shareOfBudget),
+      totalPercent: toPercent(entry.shareOfTotal)
+    });
+  }
+
+  const scale = Math.max(budget, comparedXp);
+  if (!breakdown.length || scale <= 0) {
+    return {
+      hasData: false,
+      segments: [],
+      budgetMarkerPercent: 0,
+      usedPercent: 0,
+      isOverBudget: false,
+      sharesByKey
+    };
+  }
+
+  const segments = breakdown
+    .filter((entry) => entry.totalXp > 0)
+    .map((entry, index) => ({
+      uuid: entry.uuid,
+      name: entry.name,
+      totalXp: entry.totalXp,
+      widthPercent:
+        Math.round(((entry.totalXp * multiplier) / scale) * 10000) / 100,
+      // Kolejne segmenty dostają odcienie rozłożone po kole barw.
+      hue: (index * 47) % 360,
+      budgetPercent: toPercent(entry.shareOfBudget),
+      totalPercent: toPercent(entry.shareOfTotal)
+    }));
+
+  return {
+    hasData: segments.length > 0,
+    segments,
+    budgetMarkerPercent: Math.round((budget / scale) * 10000) / 100,
+    usedPercent: budget > 0 ? toPercent(comparedXp / budget) : 0,
+    isOverBudget: budget > 0 && comparedXp > budget,
+    sharesByKey
+  };
+}
@@ -18,6 +18,7 @@ export function getDefaultDragDropCallbacks(context) {
       drop: context._canDragDrop.bind(context)
     },
     callbacks: {
+      dragstart: context._onDragStart.bind(context),
       drop: context._onDrop.bind(context)
     }
   };
@@ -33,7 +33,9 @@ export function queryFormTextInputs(root) {
     summary: root.querySelector('textarea[name="encounterSummary"]'),
     description: root.querySelector('textarea[name="encounterDescription"]'),
     useFolder: root.querySelector('input[name="useFolder"]'),
-    folderName: root.querySelector('input[name="folderName"]')
+    folderName: root.querySelector('input[name="folderName"]'),
+    exportJournal: root.querySelector('input[name="exportJournal"]'),
+    journalId: root.querySelector('select[name="journalId"]')
   };
 }
 
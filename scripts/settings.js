@@ -11,6 +11,8 @@
 import {
   MODULE_ID,
   DEFAULT_ALLY_NPC_WEIGHT,
+  DEFAULT_MAX_ENEMIES_PER_PC,
+  DEFAULT_DIFFICULTY_BANDS,
   DEFAULT_BG_COLOR,
   DEFAULT_TEXT_COLOR,
   DEFAULT_FONT_SCALE,
@@ -21,6 +23,9 @@ import {
   DEFAULT_ENCOUNTER_COPPER
 } from "./config/constants.js";
 import { COLOR_PRESETS } from "./config/presets.js";
+import { setActiveBudgetTable } from "./data/xp-budget-2024.js";
+import { DifficultyBandsConfig } from "./dialogs/difficulty-bands-config.js";
+import { XpBudgetTableConfig } from "./dialogs/xp-budget-table-config.js";
 
 /**
  * Mapa konfiguracji wszystkich ustawień modułu.
@@ -60,6 +65,83 @@ const SETTINGS_CONFIG = [
       high: "Wysoka"
     }
   },
+  {
+    key: "difficultyDisplayMode",
+    name: "Widok trudności",
+    hint:
+      "Klasyczny – progi DMG (niska / umiarkowana / wysoka / ekstremalna). " +
+      "Względem budżetu – porównanie z wybranym budżetem według progów z edytora „Progi trudności”. " +
+      "Widok można też przełączać w nagłówku kalkulatora. Ustawienie jest osobne dla każdego użytkownika.",
+    scope: "client",
+    config: true,
+    type: String,
+    default: "dmg",
+    choices: {
+      dmg: "Klasyczny (progi DMG)",
+      budget: "Względem budżetu"
+    }
+  },
+  {
+    key: "difficultyBands",
+    name: "Progi trudności względem budżetu",
+    scope: "world",
+    config: false,
+    type: Array,
+    default: DEFAULT_DIFFICULTY_BANDS
+  },
+  {
+    key: "xpBudgetTable",
+    name: "Tabela budżetów XP (DMG 2024)",
+    scope: "world",
+    config: false,
+    type: Object,
+    // Pusty obiekt = wbudowana tabela XP_BUDGET_2024.
+    default: {},
+    onChange: (value) => setActiveBudgetTable(value)
+  },
+  {
+    key: "difficultyRuleset",
+    name: "Zestaw zasad trudności",
+    hint:
+      "DMG 2024 – budżet XP na postać (niska / umiarkowana / wysoka). " +
+      "DMG 2014 – progi łatwa / średnia / trudna / śmiertelna oraz mnożnik XP " +
+      "zależny od liczby potworów i wielkości drużyny.",
+    scope: "world",
+    config: true,
+    type: String,
+    default: "2024",
+    choices: {
+      "2024": "DMG 2024 (budżet XP)",
+      "2014": "DMG 2014 (progi + mnożnik)"
+    }
+  },
+  {
+    key: "maxEnemiesPerPc",
+    name: "Ostrzeżenie: maks. wrogów na postać",
+    hint:
+      "Kalkulator pokaże ostrzeżenie, gdy liczba wrogów przekroczy tę wartość pomnożoną " +
+      "przez liczbę postaci graczy. 0 = wyłącz to ostrzeżenie.",
+    scope: "world",
+    config: true,
+    type: Number,
+    default: DEFAULT_MAX_ENEMIES_PER_PC,
+    range: {
+      min: 0,
+      max: 6,
+      step: 1
+    }
+  },
+  {
+    key: "monsterCompendia",
+    name: "Kompendia potworów (podpowiedzi budżetu)",
+    hint:
+      "Identyfikatory kompendiów aktorów przeszukiwanych przy uzupełnianiu budżetu, " +
+      "oddzielone przecinkami (np. dnd5e.monsters). Puste = wszystkie kompendia aktorów.",
+    scope: "world",
+    config: true,
+    type: String,
+    default: ""
+  },
   {
     key: "colorPreset",
     name: "Schemat kolorów kalkulatora",
@@ -190,6 +272,26 @@ const SETTINGS_CONFIG = [
     type: Number,
     default: DEFAULT_ENCOUNTER_COPPER
   },
+  {
+    key: "encounterExportJournalByDefault",
+    name: "Domyślnie zapisuj encounter w dzienniku",
+    hint:
+      "Jeśli zaznaczone, popup 'Utwórz encounter' będzie domyślnie zaznaczał " +
+      "opcję tworzenia strony dziennika z podsumowaniem starcia.",
+    scope: "world",
+    config: true,
+    type: Boolean,
+    default: false
+  },
+  {
+    key: "encounterJournalId",
+    name: "Dziennik encounterów",
+    scope: "world",
+    config: false,
+    type: String,
+    // id JournalEntry wybranego w popupie ("" = nowy dziennik o nazwie katalogu)
+    default: ""
+  },
   {
     key: "autoLootQuantityMode",
     name: "Tryb auto-loot z potworów",
@@ -211,14 +313,34 @@ const SETTINGS_CONFIG = [
   },
   {
     key: "autoLoadSavedAllies",
-    name: "Autowczytywanie zapisu sojuszników",
+    name: "Autowczytywanie domyślnego zestawu drużyny",
     hint:
-      "Jeśli włączone, kalkulator automatycznie wczyta zapisanych sojuszników przy otwarciu.",
+      "Jeśli włączone, kalkulator przy otwarciu wczyta zestaw drużyny oznaczony jako domyślny " +
+      "(o ile odtworzony stan nie ma sojuszników).",
     scope: "world",
     config: true,
     type: Boolean,
     default: true
   },
+  {
+    key: "partyPresets",
+    name: "Zestawy drużyny",
+    scope: "world",
+    config: false,
+    type: Object,
+    // { presets: [{ id, name, uuids }], defaultId, migrated } – party-presets.service.js
+    default: { presets: [], defaultId: null, migrated: false }
+  },
+  {
+    key: "encounterTemplates",
+    name: "Biblioteka szablonów starć",
+    scope: "world",
+    config: false,
+    type: Object,
+    // { templates: [...] } – encounter-templates.service.js
+    default: { templates: [] }
+  },
+  // Stare zapisy (sprzed zestawów drużyny) – czytane tylko przy migracji.
   {
     key: "savedTeam",
     name: "Zapisana drużyna (UUID)",
@@ -237,14 +359,49 @@ const SETTINGS_CONFIG = [
   }
 ];
 
+/**
+ * Menu ustawień (przyciski w konfiguracji modułu otwierające własne okna).
+ * Struktura: { key: "menuKey", ...restOfConfig dla game.settings.registerMenu() }
+ */
+const SETTINGS_MENUS = [
+  {
+    key: "difficultyBandsMenu",
+    name: "Progi trudności względem budżetu",
+    label: "Edytuj progi",
+    hint:
+      "Nazwy, granice (stosunek XP wrogów do budżetu) i kolory progów " +
+      "używanych w widoku „Względem budżetu”.",
+    icon: "fa-solid fa-sliders",
+    type: DifficultyBandsConfig,
+    restricted: true
+  },
+  {
+    key: "xpBudgetTableMenu",
+    name: "Tabela budżetów XP (DMG 2024)",
+    label: "Edytuj tabelę",
+    hint:
+      "Budżety XP na postać (niska / umiarkowana / wysoka) dla poziomów 1–20. " +
+      "Zapisywane w ustawieniach świata – przetrwają aktualizację modułu.",
+    icon: "fa-solid fa-table",
+    type: XpBudgetTableConfig,
+    restricted: true
+  }
+];
+
 /**
  * Funkcja wywoływana w Hooks.once("init"),
  * która rejestruje wszystkie ustawienia modułu.
- * Iteruje przez SETTINGS_CONFIG i rejestruje każde ustawienie.
+ * Iteruje przez SETTINGS_CONFIG i rejestruje każde ustawienie,
+ * a następnie rejestruje menu z SETTINGS_MENUS.
  */
 export function registerModuleSettings() {
   for (const settingConfig of SETTINGS_CONFIG) {
     const { key, ...config } = settingConfig;
     game.settings.register(MODULE_ID, key, config);
   }
+
+  for (const menuConfig of SETTINGS_MENUS) {
+    const { key, ...config } = menuConfig;
+    game.settings.registerMenu(MODULE_ID, key, config);
+  }
 }